@@ -0,0 +1,5 @@
+// Vercel serverless function - models offered by the active chat provider
+
+import { serverless, handleModels } from '../server/handlers/index.js';
+
+export default serverless('GET', handleModels);
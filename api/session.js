@@ -0,0 +1,6 @@
+// Vercel serverless function - session token for the frontend
+
+import { serverless, handleSession } from '../server/handlers/index.js';
+
+// Origin check only - this is where the token comes from
+export default serverless('POST', handleSession, { requireToken: false });
@@ -0,0 +1,7 @@
+// Vercel serverless function - cached TTS clip by key
+// Clips live in the instance's temp dir, so a cold instance answers 404
+// and the client synthesizes again
+
+import { serverless, handleTTSClip } from '../../server/handlers/index.js';
+
+export default serverless('GET', handleTTSClip);
@@ -0,0 +1,5 @@
+// Vercel serverless function - ElevenLabs text-to-speech (see server/handlers/tts.js)
+
+import { serverless, handleTTS } from '../../server/handlers/index.js';
+
+export default serverless('POST', handleTTS);
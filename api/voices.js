@@ -0,0 +1,5 @@
+// Vercel serverless function - ElevenLabs voices for the server's key
+
+import { serverless, handleVoices } from '../server/handlers/index.js';
+
+export default serverless('GET', handleVoices);
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+/**
+ * Story Linter
+ * Checks story files the way StoryDirector will read them at runtime
+ *
+ * Usage:
+ *   npm run lint:stories                      - every story in public/stories/manifest.json
+ *   node scripts/lint-stories.js <file>...    - a manifest, or .txt story bodies
+ *   node scripts/lint-stories.js --strict     - warnings fail the run too
+ *   node scripts/lint-stories.js --plugin=<module>
+ *                                             - load a module that registers directives
+ *                                               (app-directives.js is always loaded)
+ *
+ * Reports, per story:
+ *   - unknown directive types and values StoryDirector would drop (error)
+ *   - values StoryDirector / SafeMascot would auto-correct (warning)
+ *   - PHASE / MOONECLIPSE outside the moon, SUNECLIPSE outside the sun (error)
+ *   - a missing [MORPH:crystal][PRESET:quartz] reset ending (warning - the app
+ *     restores the look anyway; skipped for manifest entries with keepLook)
+ *   - in interactive stories: choices leading to missing nodes, duplicate
+ *     and unreachable nodes; geometry and endings are checked along every path
+ *   - the estimated spoken duration (longest path if interactive)
+ *
+ * Exits 1 if anything failed, so it can gate CI or a pre-commit hook.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { StoryDirector } from '../src/story-director.js';
+import '../src/app-directives.js';
+import { SafeMascot } from '../src/safe-mascot.js';
+import { estimateStoryDuration, formatDuration, splitStoryNodes } from '../src/story-library.js';
+import { GEOMETRIES } from '../src/vocabulary.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_MANIFEST = path.join(ROOT, 'public/stories/manifest.json');
+
+// Celestial directives only show on one geometry
+const REQUIRED_GEOMETRY = {
+  PHASE: 'moon',
+  MOONECLIPSE: 'moon',
+  SUNECLIPSE: 'sun'
+};
+
+// Stories should leave the mascot like this
+const RESET_ENDING = { MORPH: 'crystal', PRESET: 'quartz' };
+
+async function main(args) {
+  const strict = args.includes('--strict');
+  const inputs = args.filter(arg => !arg.startsWith('--'));
+  if (!inputs.length) inputs.push(DEFAULT_MANIFEST);
+
+  // Plugins register their directives on import, like app-directives.js
+  for (const arg of args.filter(arg => arg.startsWith('--plugin='))) {
+    await import(pathToFileURL(path.resolve(arg.slice('--plugin='.length))).href);
+  }
+
+  const stories = [];
+  const problems = [];
+
+  for (const input of inputs) {
+    const file = path.resolve(input);
+    if (file.endsWith('.json')) {
+      stories.push(...await readManifest(file, problems));
+    } else {
+      stories.push({ id: path.basename(file, '.txt'), file, cover: null, keepLook: false });
+    }
+  }
+
+  for (const story of stories) {
+    let text;
+    try {
+      text = await readFile(story.file, 'utf8');
+    } catch (error) {
+      problems.push({ file: story.file, line: 1, col: 1, level: 'error', message: `cannot read story body: ${error.message}` });
+      continue;
+    }
+
+    const nodes = storyNodes(text);
+    const storyProblems = lintStory(text, nodes, story);
+    problems.push(...storyProblems.map(problem => ({ file: story.file, ...problem })));
+
+    // Same text the app narrates - body lines joined into one paragraph
+    const narrated = Object.fromEntries(nodes.map(node => [node.id, node.text.replace(/\s*\n\s*/g, ' ').trim()]));
+    const seconds = quietly(() => estimateStoryDuration(narrated, nodes[0].id));
+    const duration = nodes.length > 1
+      ? `up to ~${formatDuration(seconds)} (${seconds}s, ${nodes.length} nodes)`
+      : `~${formatDuration(seconds)} (${seconds}s)`;
+    console.log(`${relative(story.file)}  ${duration}`);
+  }
+
+  if (problems.length) console.log('');
+  for (const { file, line, col, level, message } of problems) {
+    console.log(`${relative(file)}:${line}:${col}  ${level.padEnd(7)}  ${message}`);
+  }
+
+  const errors = problems.filter(problem => problem.level === 'error').length;
+  const warnings = problems.length - errors;
+  console.log(`\n${stories.length} stories, ${errors} errors, ${warnings} warnings`);
+
+  return errors > 0 || (strict && warnings > 0) ? 1 : 0;
+}
+
+/**
+ * Read a stories manifest and check its entries
+ * @returns {Promise<Array<{ id: string, file: string, cover: string|null, keepLook: boolean }>>}
+ */
+async function readManifest(file, problems) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    problems.push({ file, line: 1, col: 1, level: 'error', message: `cannot read manifest: ${error.message}` });
+    return [];
+  }
+
+  const seen = new Set();
+  const stories = [];
+
+  for (const entry of manifest.stories || []) {
+    if (!entry?.id || !entry.body) {
+      problems.push({ file, line: 1, col: 1, level: 'error', message: `entry without id or body: ${JSON.stringify(entry)}` });
+      continue;
+    }
+    if (seen.has(entry.id)) {
+      problems.push({ file, line: 1, col: 1, level: 'error', message: `duplicate story id "${entry.id}"` });
+    }
+    seen.add(entry.id);
+
+    if (entry.cover && !GEOMETRIES.includes(entry.cover)) {
+      problems.push({ file, line: 1, col: 1, level: 'error', message: `"${entry.id}" has unknown cover geometry "${entry.cover}" - valid: ${GEOMETRIES.join(', ')}` });
+    }
+
+    if ('keepLook' in entry && typeof entry.keepLook !== 'boolean') {
+      problems.push({ file, line: 1, col: 1, level: 'error', message: `"${entry.id}" keepLook must be true or false, not ${JSON.stringify(entry.keepLook)}` });
+    }
+
+    stories.push({
+      id: entry.id,
+      file: path.resolve(path.dirname(file), entry.body),
+      cover: GEOMETRIES.includes(entry.cover) ? entry.cover : null,
+      keepLook: entry.keepLook === true
+    });
+  }
+
+  return stories;
+}
+
+/**
+ * A body's nodes - a linear story is one node
+ * @returns {Array<{ id: string, text: string, offset: number }>}
+ */
+function storyNodes(text) {
+  return splitStoryNodes(text) || [{ id: 'start', text, offset: 0 }];
+}
+
+/**
+ * Check one story body
+ * Directives are checked once; geometry and the reset ending are checked
+ * along every path through the nodes, since each path is a different story
+ * @param {string} text - Raw body with inline directives
+ * @param {Array<{ id: string, text: string, offset: number }>} nodes
+ * @param {{ cover: string|null, keepLook?: boolean }} story
+ * @returns {Array<{ line: number, col: number, level: 'error'|'warning', message: string }>}
+ */
+function lintStory(text, nodes, { cover, keepLook = false }) {
+  const problems = new Map();  // "line:col message" -> problem, so paths sharing a node report once
+  const add = (index, level, message) => {
+    const problem = { ...position(text, index), level, message };
+    problems.set(`${problem.line}:${problem.col} ${message}`, problem);
+  };
+
+  // Parse every node, checking its directives on their own
+  const parsed = new Map();
+  for (const node of nodes) {
+    if (parsed.has(node.id)) {
+      add(text.lastIndexOf('[', node.offset), 'error', `duplicate node "${node.id}" - only the first is used`);
+      continue;
+    }
+
+    const director = new StoryDirector(null);
+    quietly(() => director.parse(node.text));
+    const directives = director.getDirectives().map(directive => ({ ...directive, sourceIndex: node.offset + directive.sourceIndex }));
+    parsed.set(node.id, { directives, choices: director.getChoices() });
+
+    for (const directive of directives) {
+      const report = (level, message) => add(directive.sourceIndex, level, `${directive.source} - ${message}`);
+      const { result, issues } = StoryDirector.check(directive);
+
+      for (const { level, message } of issues) {
+        const detail = message.replace('Auto-corrected', 'would auto-correct');
+        report(level === 'invalid' ? 'error' : 'warning', detail[0].toLowerCase() + detail.slice(1));
+      }
+      if (result?.type === 'FEEL' && result.modifier) {
+        checkGestures(result.modifier, report);
+      }
+      if (result?.type === 'CHOICE' && !nodes.some(other => other.id === result.value.toLowerCase())) {
+        report('error', `no [NODE:${result.value}] to continue with`);
+      }
+    }
+
+    // Choices only make sense once the node has been narrated
+    const lastText = node.text.trimEnd().length;
+    const early = directives.find(directive => directive.type === 'CHOICE' &&
+      node.text.slice(directive.sourceIndex - node.offset, lastText).replace(/\[[^\]]*\]/g, '').trim());
+    if (early) {
+      add(early.sourceIndex, 'warning', `${early.source} - narration after a choice is still read before the choices are offered`);
+    }
+  }
+
+  if (nodes.length > 1 && text.slice(0, nodes[0].offset).replace(/\[NODE:[^\]]*\]$/, '').trim()) {
+    add(0, 'warning', 'text before the first [NODE] is never narrated');
+  }
+
+  // Walk every path from the first node, tracking what the mascot looks like
+  const reached = new Set();
+  const walk = (id, geometry, last, onPath) => {
+    const node = parsed.get(id);
+    if (!node || onPath.has(id)) return;
+    reached.add(id);
+
+    last = { ...last };
+    for (const directive of node.directives) {
+      const result = StoryDirector.check(directive).result;
+      if (!result) continue;
+
+      if (result.type === 'MORPH') geometry = result.value;
+      if (result.type in RESET_ENDING) last[result.type] = result.value;
+
+      const required = REQUIRED_GEOMETRY[result.type];
+      if (required && geometry !== required) {
+        add(directive.sourceIndex, 'error', `${directive.source} - ` + (geometry
+          ? `only works on the ${required}, but the mascot is a ${geometry} here - add [MORPH:${required}] first`
+          : `no [MORPH:${required}] (or ${required} cover) before it - add one first`));
+      }
+    }
+
+    if (node.choices.length) {
+      const path = new Set([...onPath, id]);
+      node.choices.forEach(choice => walk(choice.next, geometry, last, path));
+      return;
+    }
+
+    // No choices - the story ends here. The app eases back to the look from
+    // before the story, but an explicit ending keeps the last beat deliberate
+    const ending = Object.entries(RESET_ENDING);
+    if (!keepLook && ending.some(([type, value]) => last[type] !== value)) {
+      const nodeInfo = nodes.find(other => other.id === id);
+      add(nodeInfo.offset + nodeInfo.text.trimEnd().length, 'warning',
+        `missing reset ending${nodes.length > 1 ? ` in [NODE:${id}]` : ''} - end with ` +
+        `${ending.map(([type, value]) => `[${type}:${value}]`).join('')}` +
+        ` (last was ${ending.map(([type]) => `${type} ${last[type] || 'none'}`).join(', ')})` +
+        ' or set keepLook in the manifest');
+    }
+  };
+  walk(nodes[0].id, cover, {}, new Set());
+
+  for (const node of nodes) {
+    if (parsed.has(node.id) && !reached.has(node.id)) {
+      add(text.lastIndexOf('[', node.offset), 'warning', `[NODE:${node.id}] is not reachable from any choice`);
+    }
+  }
+
+  // A "[" that didn't parse as a directive is read aloud
+  const directiveStarts = new Set([...parsed.values()].flatMap(node => node.directives.map(directive => directive.sourceIndex)));
+  const nodeMarkers = new Set(nodes.map(node => text.lastIndexOf('[', node.offset)));
+  for (let index = text.indexOf('['); index !== -1; index = text.indexOf('[', index + 1)) {
+    if (directiveStarts.has(index) || (nodes.length > 1 && nodeMarkers.has(index))) continue;
+    const snippet = text.slice(index).match(/^\[[^\]\n]{0,30}\]?/)[0];
+    add(index, 'warning', `"${snippet}" is not a directive and will be read aloud`);
+  }
+
+  return [...problems.values()].sort((a, b) => a.line - b.line || a.col - b.col);
+}
+
+/**
+ * FEEL gestures go through SafeMascot, which drops the ones it can't fix
+ */
+function checkGestures(modifier, report) {
+  for (const part of modifier.split(',').map(name => name.trim()).filter(Boolean)) {
+    const gesture = SafeMascot.normalizeGesture(part);
+    if (!gesture) {
+      report('error', `unknown gesture "${part}" (will be dropped)`);
+    } else if (gesture !== part) {
+      report('warning', `would auto-correct gesture "${part}" → "${gesture}"`);
+    }
+  }
+}
+
+/**
+ * 1-based line and column of an offset in the raw text
+ */
+function position(text, index) {
+  const before = text.slice(0, index);
+  const line = before.split('\n').length;
+  return { line, col: index - before.lastIndexOf('\n') };
+}
+
+/**
+ * Run without StoryDirector's console logging - the report is the output
+ */
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+function relative(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error('[lint-stories]', error);
+  process.exitCode = 1;
+});
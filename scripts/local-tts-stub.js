@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Local TTS Stub
+ * Stands in for a local neural TTS engine, so the Local voice provider can be
+ * tried and tested without downloading a model
+ *
+ * Speaks just enough of OpenAI's speech API for server/tts-local.js:
+ *   POST /v1/audio/speech  { input, voice?, speed? } -> audio/wav
+ *   GET  /v1/audio/voices                            -> { voices: [...] }
+ *
+ * The WAV is the TTS fixture's tones (server/tts-fixture.js) - one per
+ * character at a steady narration pace, scaled by speed - so clip length and
+ * the amplitude pulse follow the text like real speech would.
+ *
+ * Usage:
+ *   npm run tts:stub                        - listens on http://localhost:8880
+ *   node scripts/local-tts-stub.js --port=9000
+ *
+ * Then run the server with LOCAL_TTS_URL=http://localhost:8880/v1 (the
+ * default) and pick Local under Voice in Settings.
+ */
+
+import http from 'http';
+import { fixtureSpeech } from '../server/tts-fixture.js';
+
+const VOICES = ['alloy', 'echo', 'nova'];
+
+const portArg = process.argv.find(arg => arg.startsWith('--port='));
+const PORT = Number(portArg?.split('=')[1]) || 8880;
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'GET' && pathname === '/v1/audio/voices') {
+    return sendJSON(res, 200, { voices: VOICES });
+  }
+
+  if (req.method !== 'POST' || pathname !== '/v1/audio/speech') {
+    return sendJSON(res, 404, { error: { message: `No route for ${req.method} ${pathname}` } });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch {
+    return sendJSON(res, 400, { error: { message: 'Body must be JSON' } });
+  }
+
+  const { input, voice = VOICES[0], speed = 1 } = body;
+  if (typeof input !== 'string' || !input.trim()) {
+    return sendJSON(res, 400, { error: { message: 'input is required' } });
+  }
+
+  const { audio, contentType } = fixtureSpeech(input, { speed: Number(speed) || 1 });
+  console.log(`[TTS stub] ${voice} x${speed}: "${input.slice(0, 40)}" -> ${audio.length} bytes`);
+
+  res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': audio.length });
+  res.end(audio);
+});
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+server.listen(PORT, () => {
+  console.log(`Local TTS stub on http://localhost:${PORT}/v1`);
+});
@@ -0,0 +1,36 @@
+/**
+ * Abort Module
+ * Cancels upstream API calls when the browser goes away
+ *
+ * A cancelled chat or TTS request should stop costing tokens/characters,
+ * so every upstream fetch gets a signal tied to the client connection.
+ */
+
+/**
+ * Create an AbortSignal that fires if the client disconnects before
+ * the response has been fully sent
+ * @param {import('http').ServerResponse} res
+ * @returns {AbortSignal}
+ */
+export function abortOnDisconnect(res) {
+  const controller = new AbortController();
+
+  // 'close' also fires after a normal response - only abort if we never finished
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client disconnected - aborting upstream request');
+      controller.abort();
+    }
+  });
+
+  return controller.signal;
+}
+
+/**
+ * Whether an error came from an aborted fetch
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
@@ -0,0 +1,240 @@
+/**
+ * Auth Module
+ * Origin allow-list and session tokens for the API proxy
+ *
+ * The proxy spends our Anthropic and ElevenLabs keys, so it should only
+ * answer our own frontend. Two independent layers, both opt-in via env:
+ *
+ *   ALLOWED_ORIGINS   - comma-separated origins allowed to call the API
+ *                       (e.g. https://emo.example.com,http://localhost:5173).
+ *                       Unset allows any origin, and requests with no Origin.
+ *   API_AUTH_SECRET   - enables tokens. The frontend gets a signed session
+ *                       token from POST /api/session and sends it as
+ *                       "Authorization: Bearer <token>" on every call.
+ *   API_ACCESS_KEY    - optional shared secret accepted as a Bearer token
+ *                       directly (scripts, server-to-server). Never ship it
+ *                       to the browser.
+ *   API_TOKEN_TTL_MIN - session token lifetime in minutes (default 60)
+ *
+ * With ALLOWED_ORIGINS set, every route - /api/session included - needs an
+ * allowed Origin header. The exceptions are browser requests marked
+ * "Sec-Fetch-Site: same-origin" (browsers leave Origin off same-origin GETs)
+ * and requests bearing API_ACCESS_KEY. So a bare curl can't mint a session
+ * token. Headers can be forged, though: this keeps other sites and casual
+ * scripts out, and the rate limits (server/rate-limit.js) bound the rest.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const DEFAULT_TOKEN_TTL_MIN = 60;
+
+/**
+ * Auth failure with an HTTP status and a stable code for the client
+ * Codes: ORIGIN_NOT_ALLOWED, AUTH_REQUIRED, INVALID_TOKEN, TOKEN_EXPIRED
+ */
+export class AuthError extends Error {
+  constructor(code, message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Parse ALLOWED_ORIGINS (read per call so tests and serverless cold starts see env changes)
+ * @returns {string[]|null} Allowed origins, or null if any origin is allowed
+ */
+function allowedOrigins() {
+  const list = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * Whether a request origin may use the API
+ * @param {string|undefined} origin - Origin header
+ * @returns {boolean}
+ */
+export function isOriginAllowed(origin) {
+  const allowed = allowedOrigins();
+  if (!allowed) return true;
+  if (!origin) return false;
+  return allowed.includes('*') || allowed.includes(origin);
+}
+
+/**
+ * Whether requests must carry a token
+ * @returns {boolean}
+ */
+export function isAuthEnabled() {
+  return !!process.env.API_AUTH_SECRET;
+}
+
+/**
+ * Set CORS headers for an allowed origin
+ * @param {import('http').ServerResponse} res
+ * @param {string|undefined} origin - Origin header
+ * @param {string} methods - e.g. 'POST, OPTIONS'
+ */
+export function setCorsHeaders(res, origin, methods) {
+  if (origin && isOriginAllowed(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigins() ? origin : '*');
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Location, ETag, X-TTS-Cache');
+}
+
+/**
+ * Issue a signed session token
+ * @returns {{ token: string, expiresAt: number }}
+ */
+export function issueToken() {
+  const ttlMin = Number(process.env.API_TOKEN_TTL_MIN) || DEFAULT_TOKEN_TTL_MIN;
+  const expiresAt = Date.now() + ttlMin * 60 * 1000;
+  const payload = Buffer.from(JSON.stringify({
+    exp: expiresAt,
+    nonce: randomBytes(8).toString('hex')
+  })).toString('base64url');
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Check a request's origin and token
+ * @param {Object} req - Express or Vercel request (Node IncomingMessage headers)
+ * @throws {AuthError}
+ */
+export function authenticate(req) {
+  const token = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1].trim();
+
+  // Scripts and servers use the access key - they send no Origin
+  if (token && process.env.API_ACCESS_KEY && safeEqual(token, process.env.API_ACCESS_KEY)) return;
+
+  checkOrigin(req);
+
+  if (!isAuthEnabled()) return;
+
+  if (!token) {
+    throw new AuthError('AUTH_REQUIRED', 'Missing bearer token - get one from POST /api/session');
+  }
+
+  verifyToken(token);
+}
+
+/**
+ * Reject requests from origins outside ALLOWED_ORIGINS
+ * No Origin is only accepted from the page's own origin (same-origin GETs)
+ * @param {Object} req
+ * @throws {AuthError}
+ */
+function checkOrigin(req) {
+  const { origin } = req.headers;
+  if (!origin && req.headers['sec-fetch-site'] === 'same-origin') return;
+
+  if (!isOriginAllowed(origin)) {
+    throw new AuthError('ORIGIN_NOT_ALLOWED', origin ? `Origin ${origin} is not allowed` : 'Origin header required', 403);
+  }
+}
+
+/**
+ * Verify a session token's signature and expiry
+ * @param {string} token
+ * @throws {AuthError}
+ */
+export function verifyToken(token) {
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    throw new AuthError('INVALID_TOKEN', 'Session token is invalid');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    throw new AuthError('INVALID_TOKEN', 'Session token is invalid');
+  }
+
+  if (!(claims.exp > Date.now())) {
+    throw new AuthError('TOKEN_EXPIRED', 'Session token has expired');
+  }
+}
+
+/**
+ * Send an AuthError as JSON
+ * @param {import('http').ServerResponse} res - Express or Vercel response
+ * @param {AuthError} error
+ */
+export function sendAuthError(res, error) {
+  res.statusCode = error.status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error: error.message, code: error.code }));
+}
+
+/**
+ * CORS headers, preflight and auth in one call (serverless handlers)
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} methods - Allowed methods for CORS, e.g. 'POST, OPTIONS'
+ * @param {Object} [options]
+ * @param {boolean} [options.requireToken=true] - false for the session endpoint itself
+ * @returns {boolean} true if the handler should continue
+ */
+export function guardRequest(req, res, methods, { requireToken = true } = {}) {
+  setCorsHeaders(res, req.headers.origin, methods);
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = isOriginAllowed(req.headers.origin) ? 204 : 403;
+    res.end();
+    return false;
+  }
+
+  try {
+    if (requireToken) {
+      authenticate(req);
+    } else {
+      checkOrigin(req);
+    }
+    return true;
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+    console.warn(`Rejected ${req.method} ${req.url}: ${error.code}`);
+    sendAuthError(res, error);
+    return false;
+  }
+}
+
+/**
+ * Express middleware version of guardRequest
+ * @param {Object} [options]
+ * @param {string[]} [options.public] - Paths that skip the token check (origin is still checked)
+ */
+export function apiGuard({ public: publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    const requireToken = !publicPaths.includes(req.path);
+    if (guardRequest(req, res, 'GET, POST, OPTIONS', { requireToken })) next();
+  };
+}
+
+/**
+ * Session endpoint body: a token if auth is on, otherwise tell the client not to bother
+ * @returns {{ auth: boolean, token?: string, expiresAt?: number }}
+ */
+export function createSession() {
+  if (!isAuthEnabled()) return { auth: false };
+  return { auth: true, ...issueToken() };
+}
+
+function sign(payload) {
+  return createHmac('sha256', process.env.API_AUTH_SECRET).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
@@ -0,0 +1,167 @@
+/**
+ * Conversation Module
+ * Multi-turn message handling shared by the Express server and Vercel functions
+ *
+ * Requests can carry either:
+ *   - messages: full [{ role, content }] history (stateless, preferred)
+ *   - message + sessionId: single turn, history kept server-side in SessionStore
+ *
+ * Histories are trimmed to a token budget before being sent upstream so a long
+ * session can't grow the prompt (and the bill) without bound.
+ */
+
+// Rough token estimate - ~4 characters per token for English text
+const CHARS_PER_TOKEN = 4;
+
+// Default budget for conversation history sent to the model
+export const DEFAULT_HISTORY_TOKENS = 4000;
+
+// Hard limits on incoming payloads
+const MAX_MESSAGES = 50;
+const MAX_MESSAGE_CHARS = 8000;
+
+/**
+ * Estimate token count for a string
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Build a validated message array from a request body
+ * @param {Object} body - Request body ({ messages } or { message })
+ * @param {Array} [history] - Prior turns to prepend when body has a single message
+ * @returns {Array<{role: string, content: string}>}
+ * @throws {Error} with status 400 when the payload is malformed
+ */
+export function normalizeMessages(body, history = []) {
+  let messages;
+
+  if (Array.isArray(body?.messages)) {
+    messages = body.messages;
+  } else if (typeof body?.message === 'string') {
+    messages = [...history, { role: 'user', content: body.message }];
+  } else {
+    throw badRequest('Request must include "message" or "messages"');
+  }
+
+  if (messages.length === 0 || messages.length > MAX_MESSAGES) {
+    throw badRequest(`"messages" must contain 1-${MAX_MESSAGES} entries`);
+  }
+
+  const normalized = messages.map((msg, i) => {
+    if (!msg || (msg.role !== 'user' && msg.role !== 'assistant')) {
+      throw badRequest(`messages[${i}].role must be "user" or "assistant"`);
+    }
+    if (typeof msg.content !== 'string' || !msg.content.trim()) {
+      throw badRequest(`messages[${i}].content must be a non-empty string`);
+    }
+    return { role: msg.role, content: msg.content.slice(0, MAX_MESSAGE_CHARS) };
+  });
+
+  if (normalized[normalized.length - 1].role !== 'user') {
+    throw badRequest('The last message must be from the user');
+  }
+
+  return normalized;
+}
+
+/**
+ * Trim oldest turns until the history fits the token budget
+ * Always keeps the latest user message and starts on a user turn
+ * (the Messages API requires the first message to be from the user)
+ * @param {Array} messages - Normalized messages
+ * @param {number} [maxTokens] - Token budget
+ * @returns {Array}
+ */
+export function trimToBudget(messages, maxTokens = DEFAULT_HISTORY_TOKENS) {
+  const trimmed = [...messages];
+  let total = trimmed.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+  while (trimmed.length > 1 && total > maxTokens) {
+    total -= estimateTokens(trimmed.shift().content);
+  }
+
+  // Drop a leading assistant turn left over from trimming
+  while (trimmed.length > 1 && trimmed[0].role !== 'user') {
+    trimmed.shift();
+  }
+
+  return trimmed;
+}
+
+/**
+ * In-memory conversation sessions for clients that send only the latest message
+ * Sessions expire after a period of inactivity. On serverless platforms this is
+ * per-instance and best-effort - clients should prefer sending "messages".
+ */
+export class SessionStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl || 30 * 60 * 1000;  // 30 minutes idle
+    this.maxSessions = options.maxSessions || 500;
+    this.maxTokens = options.maxTokens || DEFAULT_HISTORY_TOKENS;
+    this._sessions = new Map();  // sessionId -> { messages, touched }
+  }
+
+  /**
+   * Get the stored history for a session (empty if unknown or expired)
+   * @param {string} sessionId
+   * @returns {Array}
+   */
+  get(sessionId) {
+    if (!sessionId) return [];
+    const session = this._sessions.get(sessionId);
+    if (!session) return [];
+
+    if (Date.now() - session.touched > this.ttl) {
+      this._sessions.delete(sessionId);
+      return [];
+    }
+    return session.messages;
+  }
+
+  /**
+   * Record a completed exchange
+   * @param {string} sessionId
+   * @param {string} userText
+   * @param {string} assistantText
+   */
+  append(sessionId, userText, assistantText) {
+    if (!sessionId) return;
+
+    const messages = [
+      ...this.get(sessionId),
+      { role: 'user', content: userText },
+      { role: 'assistant', content: assistantText }
+    ];
+
+    // Re-insert so Map iteration order stays least-recently-used first
+    this._sessions.delete(sessionId);
+    this._sessions.set(sessionId, {
+      messages: trimToBudget(messages, this.maxTokens),
+      touched: Date.now()
+    });
+
+    // Evict the oldest sessions when over capacity
+    while (this._sessions.size > this.maxSessions) {
+      const oldest = this._sessions.keys().next().value;
+      this._sessions.delete(oldest);
+    }
+  }
+
+  /**
+   * Forget a session entirely
+   * @param {string} sessionId
+   */
+  delete(sessionId) {
+    this._sessions.delete(sessionId);
+  }
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
@@ -0,0 +1,108 @@
+/**
+ * Chat Handler
+ * POST /api/chat (provider chosen by LLM_PROVIDER - see server/providers)
+ *
+ * Body: { messages: [{ role, content }] } or { message, sessionId? }
+ * Add stream: true to receive Anthropic-shaped SSE events
+ * Add model to pick one of the provider's models (see /api/models)
+ * Add directiveMode: 'tools' for typed directives (defaults to EMO_DIRECTIVE_MODE or 'text')
+ * Send { sessionId, reset: true } to forget a server-side session
+ */
+
+import { normalizeMessages, trimToBudget, SessionStore } from '../conversation.js';
+import { relayStream } from '../stream.js';
+import { getProvider, resolveModel } from '../providers/index.js';
+import { abortOnDisconnect } from '../abort.js';
+import { limitChat, chargeChat } from '../rate-limit.js';
+import { buildSystemPrompt } from '../../src/system-prompt.js';
+import { getDirectiveTools, extractReply, withDirectiveLines, resolveDirectiveMode } from '../../src/tools.js';
+import { sendError } from './http.js';
+
+// Conversation history for clients that send a sessionId instead of full messages
+// Per process - on serverless instances are recycled, so the browser client
+// sends full "messages" and doesn't depend on this
+const sessions = new SessionStore();
+
+export async function handleChat(req, res) {
+  let refund = null;
+
+  try {
+    const { message, sessionId, reset, stream } = req.body || {};
+
+    if (reset) {
+      sessions.delete(sessionId);
+      if (!message) {
+        return res.status(200).json({ reset: true, sessionId });
+      }
+    }
+
+    // Per-IP rate limit (see server/rate-limit.js)
+    limitChat(req);
+
+    const messages = trimToBudget(normalizeMessages(req.body, sessions.get(sessionId)));
+    const provider = getProvider();
+    const model = await resolveModel(provider, req.body.model);
+
+    // Daily budget only for valid requests - refunded if no reply gets through
+    refund = chargeChat(req);
+
+    // "tools" returns typed directives, "text" uses FEEL:/MORPH: lines (default)
+    // Providers without function calling always use text
+    const useTools = provider.supportsTools &&
+      resolveDirectiveMode(req.body.directiveMode, process.env.EMO_DIRECTIVE_MODE) === 'tools';
+    const directiveMode = useTools ? 'tools' : 'text';
+
+    // Stop generating (and billing) if the browser cancels or disconnects
+    const signal = abortOnDisconnect(res);
+
+    const params = {
+      model,
+      // Built per request so directives registered after startup are included
+      system: buildSystemPrompt(undefined, { directiveMode }),
+      messages,
+      tools: useTools ? getDirectiveTools() : undefined,
+      maxTokens: 2048,
+      signal
+    };
+
+    // Providers without streaming answer with JSON - the client falls back
+    if (stream && provider.supportsStreaming) {
+      const { text, directives } = await relayStream(provider.stream(params), res, {
+        onText: () => { refund = null; }
+      });
+      const reply = withDirectiveLines(text, directives);
+      if (sessionId && !Array.isArray(req.body.messages) && reply) {
+        sessions.append(sessionId, message, reply);
+      }
+      return;
+    }
+
+    const { content, stopReason } = await provider.complete(params);
+    refund = null;
+    const { text, directives } = extractReply(content);
+
+    // Log if response was truncated due to max_tokens
+    if (stopReason === 'max_tokens') {
+      console.warn('Response truncated - hit max_tokens limit');
+    }
+
+    // Remember this exchange for session-based clients
+    // Tool calls are stored as directive lines so history works in either mode
+    if (sessionId && !Array.isArray(req.body.messages)) {
+      sessions.append(sessionId, message, withDirectiveLines(text, directives));
+    }
+
+    res.status(200).json({
+      response: text,
+      directives,
+      directiveMode,
+      stop_reason: stopReason,
+      sessionId,
+      provider: provider.name,
+      model
+    });
+  } catch (error) {
+    refund?.();
+    sendError(res, error, 'Chat');
+  }
+}
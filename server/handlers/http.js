@@ -0,0 +1,85 @@
+/**
+ * Handler Plumbing
+ * Error responses and the serverless wrapper shared by every endpoint
+ *
+ * Handlers only use what Express and Vercel's Node runtime have in common:
+ * req.method/headers/body/url and res.status()/json()/send()/setHeader(),
+ * plus the raw Node stream API for SSE.
+ */
+
+import { guardRequest } from '../auth.js';
+import { RateLimitError, sendRateLimitError } from '../rate-limit.js';
+import { isAbortError } from '../abort.js';
+import { writeStreamError } from '../stream.js';
+
+/**
+ * Error a handler can throw to reply with a specific status and code
+ */
+export class HttpError extends Error {
+  constructor(status, message, code = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Send the right response for an error thrown by a handler
+ * @param {Object} res
+ * @param {Error} error
+ * @param {string} label - For logs, e.g. 'Chat'
+ */
+export function sendError(res, error, label) {
+  if (isAbortError(error)) {
+    console.log(`${label} request cancelled by client`);
+    if (!res.writableEnded) res.end();
+    return;
+  }
+
+  if (error instanceof RateLimitError) {
+    return sendRateLimitError(res, error);
+  }
+
+  // Expected client errors (bad input) aren't worth a stack trace
+  if (error instanceof HttpError) {
+    if (error.status >= 500) console.warn(`${label} API: ${error.message}`);
+  } else if (!(error.status < 500)) {
+    console.error(`${label} API error:`, error);
+  }
+
+  // Stream already started - report the failure in-band
+  if (res.headersSent) {
+    return writeStreamError(res, error);
+  }
+
+  const body = { error: error.message };
+  if (error.code) body.code = error.code;
+  res.status(error.status || 500).json(body);
+}
+
+/**
+ * Reply 405 for methods a route doesn't handle
+ */
+export function methodNotAllowed(req, res) {
+  res.status(405).json({ error: 'Method not allowed' });
+}
+
+/**
+ * Wrap a handler as a Vercel function: CORS, auth, method check
+ * @param {string} method - The one method the handler serves, e.g. 'POST'
+ * @param {Function} handler - (req, res) => Promise
+ * @param {Object} [options] - guardRequest() options
+ * @returns {Function} Default export for an api/ file
+ */
+export function serverless(method, handler, options) {
+  return async (req, res) => {
+    if (!guardRequest(req, res, `${method}, OPTIONS`, options)) return;
+
+    if (req.method !== method) {
+      return methodNotAllowed(req, res);
+    }
+
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * API Handlers
+ * Every endpoint, shared by the Express server and the Vercel functions
+ *
+ * server.js mounts ROUTES; each api/ file wraps one handler with serverless().
+ * Either way a request gets the same validation, limits and error codes.
+ */
+
+import { handleChat } from './chat.js';
+import { handleModels } from './models.js';
+import { handleSession } from './session.js';
+import { handleTTS, handleTTSClip } from './tts.js';
+import { handleVoices } from './voices.js';
+
+export const ROUTES = [
+  { method: 'POST', path: '/api/session', handler: handleSession },
+  { method: 'POST', path: '/api/chat', handler: handleChat },
+  { method: 'GET', path: '/api/models', handler: handleModels },
+  { method: 'POST', path: '/api/tts', handler: handleTTS },
+  { method: 'GET', path: '/api/tts/:key', handler: handleTTSClip },
+  { method: 'GET', path: '/api/voices', handler: handleVoices }
+];
+
+export { handleChat, handleModels, handleSession, handleTTS, handleTTSClip, handleVoices };
+export { serverless, methodNotAllowed, sendError, HttpError } from './http.js';
@@ -0,0 +1,17 @@
+/**
+ * Models Handler
+ * GET /api/models - models offered by the active chat provider (for the settings panel)
+ */
+
+import { getProvider, listModels } from '../providers/index.js';
+import { sendError } from './http.js';
+
+export async function handleModels(req, res) {
+  try {
+    const provider = getProvider();
+    const models = await listModels(provider);
+    res.status(200).json({ provider: provider.name, defaultModel: provider.defaultModel, models });
+  } catch (error) {
+    sendError(res, error, 'Models');
+  }
+}
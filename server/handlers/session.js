@@ -0,0 +1,17 @@
+/**
+ * Session Handler
+ * POST /api/session - token for the frontend ({ auth: false } when API_AUTH_SECRET is unset)
+ */
+
+import { createSession } from '../auth.js';
+import { limitSession } from '../rate-limit.js';
+import { sendError } from './http.js';
+
+export async function handleSession(req, res) {
+  try {
+    limitSession(req);
+    res.status(200).json(createSession());
+  } catch (error) {
+    sendError(res, error, 'Session');
+  }
+}
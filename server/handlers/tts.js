@@ -0,0 +1,304 @@
+/**
+ * TTS Handlers
+ * ElevenLabs speech through the server's key, or a locally hosted engine
+ *
+ *   POST /api/tts            { text, voiceId?, voiceSettings? } -> audio/mpeg
+ *   POST /api/tts            { text, voiceId?, voiceSettings?, timestamps: true }
+ *                            -> { audio (base64), contentType, alignment }
+ *   POST /api/tts            { text, voiceId?, voiceSettings?, provider: 'local' } -> audio/wav
+ *   GET  /api/tts/:key       a previously synthesized clip
+ *   GET  /api/tts/:key.json  the same clip with its timings
+ *
+ * POST responses carry an ETag and a Content-Location (/api/tts/:key) the
+ * browser can GET afterwards to reuse the clip from its HTTP cache.
+ *
+ * Timestamped clips come from ElevenLabs' with-timestamps endpoint. alignment
+ * holds each character's start and end time in the audio, so the client can
+ * fire story directives and advance captions as the words are spoken. The
+ * timings are cached next to the audio under the same key, and evicted with it.
+ *
+ * voiceSettings is the client's prosody for the text (src/prosody.js) in
+ * ElevenLabs' voice_settings shape; values are clamped, rounded and merged
+ * over the defaults.
+ *
+ * provider 'local' synthesizes with the engine at LOCAL_TTS_URL (see
+ * server/tts-local.js) instead. Only the speed setting applies, there are no
+ * timings (timestamps is ignored) and characters aren't charged against the
+ * ElevenLabs budget. Local clips share the cache, stored as .wav.
+ *
+ * Env:
+ *   TTS_FIXTURE=1 - answer from server/tts-fixture.js (tones, no ElevenLabs)
+ */
+
+import { abortOnDisconnect } from '../abort.js';
+import { TTSCache, ttsCacheKey, isTTSCacheKey } from '../tts-cache.js';
+import { RateLimitError, limitTTS, chargeTTS } from '../rate-limit.js';
+import { HttpError, sendError } from './http.js';
+import { fixtureSpeech } from '../tts-fixture.js';
+import { LOCAL_TTS_CONTENT_TYPE, localSpeech, localTTSConfig } from '../tts-local.js';
+
+const DEFAULT_VOICE_ID = 'pNInz6obpgDQGcFmaJgB';  // Adam
+const TTS_MODEL = 'eleven_turbo_v2_5';  // Free tier compatible model
+const TTS_VOICE_SETTINGS = {
+  stability: 0.5,
+  similarity_boost: 0.75
+};
+
+// Voice settings a client may change, and their ranges
+const VOICE_SETTING_RANGES = {
+  stability: [0, 1],
+  similarity_boost: [0, 1],
+  style: [0, 1],
+  speed: [0.7, 1.2]
+};
+
+// Synthesized clips are reused across requests (see server/tts-cache.js)
+// Created on first use so TTS_CACHE_* env is loaded by then
+// Timings (.json) and local engine clips (.wav) are stored in the same
+// cache, under one size budget
+let ttsCache = null;
+const getCache = () => (ttsCache ??= new TTSCache());
+
+export async function handleTTS(req, res) {
+  let refund = null;
+
+  try {
+    const { text, voiceId = DEFAULT_VOICE_ID, timestamps = false } = req.body || {};
+    const voiceSettings = voiceSettingsFrom(req.body?.voiceSettings);
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new HttpError(400, 'No text provided');
+    }
+
+    // Length and rate checks; characters are only charged on a cache miss
+    limitTTS(req, text);
+
+    if (req.body?.provider === 'local') {
+      return await handleLocalTTS(res, { text, voiceId: req.body.voiceId, speed: voiceSettings.speed ?? 1 });
+    }
+
+    // Offline fixture - never cached, so no clip URL either
+    if (process.env.TTS_FIXTURE) {
+      const clip = fixtureSpeech(text, voiceSettings);
+      return timestamps
+        ? sendTimedClip(res, null, clip, 'FIXTURE')
+        : sendClip(res, null, clip.audio, 'FIXTURE', clip.contentType);
+    }
+
+    const key = ttsCacheKey({ text, voiceId, modelId: TTS_MODEL, voiceSettings });
+
+    const cached = await getCache().get(key);
+    if (cached && !timestamps) {
+      return sendClip(res, key, cached, 'HIT');
+    }
+    if (cached) {
+      // Clips first synthesized without timestamps have no timings yet
+      const alignment = await readAlignment(key);
+      if (alignment) return sendTimedClip(res, key, { audio: cached, alignment }, 'HIT');
+    }
+
+    const apiKey = process.env.ELEVENLABS_API_KEY;
+    if (!apiKey) {
+      throw new HttpError(503, 'Server voice is not configured', 'TTS_NOT_CONFIGURED');
+    }
+
+    refund = chargeTTS(req, text);
+
+    // Cancelled speech shouldn't keep using ElevenLabs characters
+    const signal = abortOnDisconnect(res);
+
+    const clip = await synthesize({ text, voiceId, voiceSettings, apiKey, timestamps, signal });
+    await getCache().set(key, clip.audio);
+    if (!timestamps) {
+      return sendClip(res, key, clip.audio, 'MISS');
+    }
+    if (clip.alignment) {
+      await getCache().set(key, Buffer.from(JSON.stringify(clip.alignment)), '.json');
+    }
+    sendTimedClip(res, key, clip, 'MISS');
+  } catch (error) {
+    refund?.();
+    sendError(res, error, 'TTS');
+  }
+}
+
+/**
+ * Speak with the local engine, through the local clip cache
+ * @param {Object} res
+ * @param {Object} params
+ * @param {string} params.text
+ * @param {string} [params.voiceId] - Local voice name (default LOCAL_TTS_VOICE)
+ * @param {number} params.speed
+ */
+async function handleLocalTTS(res, { text, voiceId, speed }) {
+  const { model, voice } = localTTSConfig();
+  const key = ttsCacheKey({ text, voiceId: voiceId || voice, modelId: `local:${model}`, voiceSettings: { speed } });
+
+  const cached = await getCache().get(key, '.wav');
+  if (cached) {
+    return sendClip(res, key, cached, 'HIT', LOCAL_TTS_CONTENT_TYPE);
+  }
+
+  // Stop the engine working on speech that was cancelled
+  const signal = abortOnDisconnect(res);
+
+  const audio = await localSpeech(text, { voice: voiceId || voice, speed, signal });
+  await getCache().set(key, audio, '.wav');
+  sendClip(res, key, audio, 'MISS', LOCAL_TTS_CONTENT_TYPE);
+}
+
+/**
+ * Defaults with a client's voice settings applied
+ * Unknown settings are dropped; values are clamped and rounded so near-identical
+ * prosody shares cache entries
+ * @param {Object} [requested]
+ * @returns {Object} ElevenLabs voice_settings
+ */
+function voiceSettingsFrom(requested) {
+  const settings = { ...TTS_VOICE_SETTINGS };
+  for (const [name, [min, max]] of Object.entries(VOICE_SETTING_RANGES)) {
+    const value = requested?.[name];
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+    settings[name] = Math.min(max, Math.max(min, Math.round(value * 100) / 100));
+  }
+  return settings;
+}
+
+/**
+ * Call ElevenLabs
+ * @param {Object} params
+ * @param {string} params.text
+ * @param {string} params.voiceId
+ * @param {Object} params.voiceSettings
+ * @param {string} params.apiKey
+ * @param {boolean} params.timestamps - Use with-timestamps and return the alignment
+ * @param {AbortSignal} params.signal
+ * @returns {Promise<{ audio: Buffer, alignment: Object|null }>}
+ */
+async function synthesize({ text, voiceId, voiceSettings, apiKey, timestamps, signal }) {
+  const path = `${encodeURIComponent(voiceId)}${timestamps ? '/with-timestamps' : ''}`;
+  const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${path}`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      'xi-api-key': apiKey
+    },
+    body: JSON.stringify({
+      text,
+      model_id: TTS_MODEL,
+      voice_settings: voiceSettings
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    // Our ElevenLabs account is out of characters - clients switch to native voice
+    if (error.detail?.status === 'quota_exceeded') {
+      throw new RateLimitError('TTS_QUOTA_EXCEEDED', 'Voice quota exhausted', { retryAfter: 3600 });
+    }
+    throw new Error(error.detail?.message || 'TTS failed');
+  }
+
+  if (!timestamps) {
+    return { audio: Buffer.from(await response.arrayBuffer()), alignment: null };
+  }
+
+  // Timings for the text as sent - normalized_alignment is for the text
+  // after number and abbreviation expansion, which the client never sees
+  const data = await response.json();
+  const { characters, character_start_times_seconds, character_end_times_seconds } = data.alignment || {};
+  return {
+    audio: Buffer.from(data.audio_base64, 'base64'),
+    alignment: characters ? { characters, character_start_times_seconds, character_end_times_seconds } : null
+  };
+}
+
+/**
+ * Cached timings for a clip
+ * @param {string} key
+ * @returns {Promise<Object|null>}
+ */
+async function readAlignment(key) {
+  const data = await getCache().get(key, '.json');
+  if (!data) return null;
+
+  try {
+    return JSON.parse(data.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch a previously synthesized clip by cache key
+ * Clips never change for a key, so browsers may cache them indefinitely
+ */
+export async function handleTTSClip(req, res) {
+  try {
+    // Last path segment - works for Express (/api/tts/:key) and Vercel (api/tts/[key].js)
+    const name = new URL(req.url, 'http://localhost').pathname.split('/').pop();
+    const timed = name.endsWith('.json');
+    const key = timed ? name.slice(0, -'.json'.length) : name;
+    if (!isTTSCacheKey(key)) {
+      throw new HttpError(400, 'Invalid clip key');
+    }
+
+    // The ETag is the file name itself - no need to read the file to revalidate
+    if (req.headers['if-none-match'] === `"${name}"`) {
+      return res.status(304).end();
+    }
+
+    const audio = await getCache().get(key);
+    const alignment = timed && audio ? await readAlignment(key) : null;
+    const localAudio = !audio && !timed ? await getCache().get(key, '.wav') : null;
+    if (!(audio || localAudio) || (timed && !alignment)) {
+      // Evicted (or never cached) - the client falls back to POST /api/tts
+      throw new HttpError(404, 'Clip not cached');
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    if (timed) {
+      sendTimedClip(res, key, { audio, alignment }, 'HIT');
+    } else if (localAudio) {
+      sendClip(res, key, localAudio, 'HIT', LOCAL_TTS_CONTENT_TYPE);
+    } else {
+      sendClip(res, key, audio, 'HIT');
+    }
+  } catch (error) {
+    sendError(res, error, 'TTS clip');
+  }
+}
+
+/**
+ * Send an audio clip with caching headers
+ * @param {Object} res
+ * @param {string|null} key - TTS cache key (null for clips that aren't cached)
+ * @param {Buffer} audio
+ * @param {'HIT'|'MISS'|'FIXTURE'} cacheStatus
+ * @param {string} [contentType]
+ */
+function sendClip(res, key, audio, cacheStatus, contentType = 'audio/mpeg') {
+  res.setHeader('Content-Type', contentType);
+  setClipHeaders(res, key, cacheStatus);
+  res.status(200).send(audio);
+}
+
+/**
+ * Send a clip with its character timings as JSON
+ * @param {Object} res
+ * @param {string|null} key - TTS cache key (null for clips that aren't cached)
+ * @param {{ audio: Buffer, alignment: Object, contentType?: string }} clip
+ * @param {'HIT'|'MISS'|'FIXTURE'} cacheStatus
+ */
+function sendTimedClip(res, key, { audio, alignment, contentType = 'audio/mpeg' }, cacheStatus) {
+  setClipHeaders(res, key && `${key}.json`, cacheStatus);
+  res.status(200).json({ audio: audio.toString('base64'), contentType, alignment });
+}
+
+function setClipHeaders(res, name, cacheStatus) {
+  if (name) {
+    res.setHeader('ETag', `"${name}"`);
+    res.setHeader('Content-Location', `/api/tts/${name}`);
+  }
+  res.setHeader('X-TTS-Cache', cacheStatus);
+}
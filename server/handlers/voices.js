@@ -0,0 +1,37 @@
+/**
+ * Voices Handler
+ * GET /api/voices                - ElevenLabs voices available to the server's key
+ * GET /api/voices?provider=local - the local engine's voices (LOCAL_TTS_VOICES)
+ */
+
+import { HttpError, sendError } from './http.js';
+import { localVoices } from '../tts-local.js';
+
+export async function handleVoices(req, res) {
+  try {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    if (searchParams.get('provider') === 'local') {
+      return res.status(200).json({ voices: localVoices() });
+    }
+
+    const apiKey = process.env.ELEVENLABS_API_KEY;
+    if (!apiKey) {
+      throw new HttpError(503, 'Server voice is not configured', 'TTS_NOT_CONFIGURED');
+    }
+
+    const response = await fetch('https://api.elevenlabs.io/v1/voices', {
+      headers: {
+        'xi-api-key': apiKey
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new HttpError(502, data.detail?.message || `Voices request failed: ${response.status}`);
+    }
+
+    res.status(200).json(data);
+  } catch (error) {
+    sendError(res, error, 'Voices');
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Anthropic Provider
+ * Claude via the Anthropic Messages API
+ *
+ * Responses and stream events are already in the shape every provider
+ * normalizes to, so this adapter passes them straight through.
+ */
+
+import { readSSE } from '../../src/sse.js';
+
+const API_VERSION = '2023-06-01';
+
+// Used when the models endpoint can't be reached
+const FALLBACK_MODELS = [
+  { id: 'claude-3-haiku-20240307', name: 'Haiku', desc: 'Fast & affordable' }
+];
+
+export class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.baseUrl = options.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+    this.defaultModel = options.model || process.env.LLM_MODEL || 'claude-3-haiku-20240307';
+    this.supportsStreaming = true;
+    this.supportsTools = true;
+  }
+
+  /**
+   * Generate a complete reply
+   * @param {Object} params - { model, system, messages, tools?, maxTokens, signal? }
+   * @returns {Promise<{ content: Array, stopReason: string }>}
+   */
+  async complete(params) {
+    const response = await this._post(params, false);
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.error) {
+      throw new Error(data.error?.message || `Anthropic request failed: ${response.status}`);
+    }
+
+    return { content: data.content || [], stopReason: data.stop_reason };
+  }
+
+  /**
+   * Stream a reply as Messages API events
+   * @param {Object} params - Same as complete()
+   * @yields {Object} Event payloads (message_start, content_block_delta, ...)
+   */
+  async *stream(params) {
+    const response = await this._post(params, true);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error?.message || `Anthropic request failed: ${response.status}`);
+    }
+
+    for await (const { data } of readSSE(response.body)) {
+      try {
+        yield JSON.parse(data);
+      } catch {
+        // Ignore keepalives / non-JSON data
+      }
+    }
+  }
+
+  /**
+   * List available models
+   * @returns {Promise<Array<{ id: string, name: string, desc?: string }>>}
+   */
+  async listModels() {
+    try {
+      const response = await fetch(`${this.baseUrl}/v1/models?limit=100`, {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': API_VERSION
+        }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const data = await response.json();
+      return (data.data || []).map(m => ({ id: m.id, name: m.display_name || m.id }));
+    } catch (error) {
+      console.warn('Anthropic models list unavailable:', error.message);
+      return FALLBACK_MODELS;
+    }
+  }
+
+  _post({ model, system, messages, tools, maxTokens = 2048, signal }, stream) {
+    return fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify({
+        model: model || this.defaultModel,
+        max_tokens: maxTokens,
+        system,
+        messages,
+        stream,
+        ...(tools && { tools })
+      })
+    });
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,89 @@
+/**
+ * LLM Providers
+ * Selects the chat backend from env/config
+ *
+ *   LLM_PROVIDER=anthropic  (default) Claude via the Anthropic API
+ *   LLM_PROVIDER=openai     Any OpenAI-compatible server (llama.cpp, Ollama, vLLM...)
+ *   LLM_PROVIDER=mock       Deterministic canned replies, no network
+ *
+ * Every provider exposes the same interface, normalized to Anthropic shapes:
+ *   name, defaultModel, supportsStreaming, supportsTools
+ *   complete(params)  -> { content: [text/tool_use blocks], stopReason }
+ *   stream(params)    -> async iterable of Messages API event payloads
+ *   listModels()      -> [{ id, name, desc? }]
+ * where params = { model, system, messages, tools?, maxTokens, signal? }
+ */
+
+import { AnthropicProvider } from './anthropic.js';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { MockProvider } from './mock.js';
+
+const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+// How long a provider's model list is trusted before refetching
+const MODEL_CACHE_TTL = 10 * 60 * 1000;
+
+const instances = new Map();
+const modelCache = new Map();  // provider name -> { models, fetched }
+
+/**
+ * Get the configured provider (one shared instance per name)
+ * @param {string} [name] - Defaults to LLM_PROVIDER or 'anthropic'
+ * @returns {Object} Provider instance
+ */
+export function getProvider(name = process.env.LLM_PROVIDER || 'anthropic') {
+  const key = name.toLowerCase();
+  const Provider = PROVIDERS[key];
+  if (!Provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" - expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (!instances.has(key)) {
+    instances.set(key, new Provider());
+    console.log(`LLM provider: ${key}`);
+  }
+  return instances.get(key);
+}
+
+/**
+ * List a provider's models (cached)
+ * @param {Object} provider
+ * @returns {Promise<Array<{ id: string, name: string, desc?: string }>>}
+ */
+export async function listModels(provider) {
+  const cached = modelCache.get(provider.name);
+  if (cached && Date.now() - cached.fetched < MODEL_CACHE_TTL) {
+    return cached.models;
+  }
+
+  const models = await provider.listModels();
+  modelCache.set(provider.name, { models, fetched: Date.now() });
+  return models;
+}
+
+/**
+ * Pick the model for a request
+ * Clients may only choose models the provider actually lists
+ * @param {Object} provider
+ * @param {string} [requested] - Model id from the client
+ * @returns {Promise<string>}
+ */
+export async function resolveModel(provider, requested) {
+  if (!requested || requested === provider.defaultModel) {
+    return provider.defaultModel;
+  }
+
+  const models = await listModels(provider);
+  if (models.some(m => m.id === requested)) {
+    return requested;
+  }
+
+  console.warn(`Model "${requested}" not offered by ${provider.name} - using ${provider.defaultModel}`);
+  return provider.defaultModel;
+}
+
+export { AnthropicProvider, OpenAICompatibleProvider, MockProvider };
@@ -0,0 +1,194 @@
+/**
+ * Mock Provider
+ * Deterministic canned replies so the whole app runs with no network
+ *
+ * Replies are picked by keywords in the latest user message and are
+ * directive-rich, so demos still morph, change presets and start meditation.
+ * The same message always produces the same reply. In tools mode directives
+ * come back as tool_use blocks; otherwise as FEEL:/MORPH: directive lines.
+ *
+ * Env:
+ *   MOCK_STREAM_DELAY_MS - delay between streamed chunks (default 30)
+ */
+
+import { EMOTIONS, GEOMETRIES, PRESETS } from '../../src/vocabulary.js';
+import { toolCallToDirective, withDirectiveLines } from '../../src/tools.js';
+
+// Everyday words for emotions the model would normally interpret
+const EMOTION_WORDS = {
+  happy: 'joy',
+  sad: 'sadness',
+  angry: 'anger',
+  mad: 'anger',
+  scared: 'fear',
+  afraid: 'fear',
+  surprised: 'surprise',
+  excited: 'excited',
+  sleepy: 'resting',
+  tired: 'resting'
+};
+
+const STORY = {
+  text: '[MORPH:crystal] [PRESET:sapphire] [FEEL:calm,float] Deep beneath the sea, a small crystal drifted alone. ' +
+    '[FEEL:surprise,pulse] One day, a warm light pierced the dark water! ' +
+    '[PRESET:citrine] [FEEL:joy,sparkle] The crystal began to glow with a light of its own. ' +
+    '[MORPH:star] [FEEL:euphoria,shimmer] It rose through the waves and became a star. ' +
+    '[CHAIN:drift] [FEEL:calm,settle] Now it shines above the sea, guiding every sailor home.',
+  tools: [{ name: 'set_emotion', input: { emotion: 'calm', gesture: 'settle' } }]
+};
+
+const MEDITATION = {
+  text: '[MORPH:crystal] [PRESET:amethyst] [FEEL:calm,float] Let\'s find some peace together. ' +
+    '[FEEL:resting,breathe] Close your eyes and let your breath flow naturally.',
+  tools: [
+    { name: 'set_emotion', input: { emotion: 'calm', gesture: 'breathe' } },
+    { name: 'start_meditation', input: {} }
+  ]
+};
+
+const BLOOD_MOON = {
+  text: 'Behold the crimson moon!',
+  tools: [
+    { name: 'morph', input: { geometry: 'moon' } },
+    { name: 'set_moon_phase', input: { phase: 'full' } },
+    { name: 'set_moon_eclipse', input: { eclipse: 'total' } },
+    { name: 'set_preset', input: { preset: 'ruby' } },
+    { name: 'set_emotion', input: { emotion: 'suspicion', gesture: 'glow' } }
+  ]
+};
+
+const SOLAR_ECLIPSE = {
+  text: 'The sun goes dark!',
+  tools: [
+    { name: 'morph', input: { geometry: 'sun' } },
+    { name: 'set_sun_eclipse', input: { eclipse: 'total' } },
+    { name: 'set_emotion', input: { emotion: 'surprise', gesture: 'expand' } }
+  ]
+};
+
+const GREETING = {
+  text: 'Hi! I\'m Emo, running in offline mock mode.',
+  tools: [{ name: 'set_emotion', input: { emotion: 'joy', gesture: 'bounce' } }]
+};
+
+export class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.defaultModel = 'mock-emo';
+    this.streamDelay = options.streamDelay ?? Number(process.env.MOCK_STREAM_DELAY_MS ?? 30);
+    this.supportsStreaming = true;
+    this.supportsTools = true;
+  }
+
+  /**
+   * Generate a complete reply
+   * @param {Object} params - { messages, tools? }
+   * @returns {Promise<{ content: Array, stopReason: string }>}
+   */
+  async complete(params) {
+    return { content: this._reply(params), stopReason: 'end_turn' };
+  }
+
+  /**
+   * Stream a reply as Anthropic-shaped events, a few words at a time
+   * @param {Object} params - { messages, tools?, signal? }
+   * @yields {Object}
+   */
+  async *stream(params) {
+    const content = this._reply(params);
+
+    yield { type: 'message_start', message: { role: 'assistant', model: this.defaultModel } };
+
+    for (let index = 0; index < content.length; index++) {
+      const block = content[index];
+
+      if (block.type === 'text') {
+        yield { type: 'content_block_start', index, content_block: { type: 'text', text: '' } };
+        for (const piece of block.text.match(/\S+\s*|\s+/g) || []) {
+          if (params.signal?.aborted) {
+            throw new DOMException('Aborted', 'AbortError');
+          }
+          await this._delay();
+          yield { type: 'content_block_delta', index, delta: { type: 'text_delta', text: piece } };
+        }
+      } else {
+        yield { type: 'content_block_start', index, content_block: { type: 'tool_use', id: block.id, name: block.name, input: {} } };
+        yield { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } };
+      }
+
+      yield { type: 'content_block_stop', index };
+    }
+
+    yield { type: 'message_delta', delta: { stop_reason: 'end_turn' } };
+    yield { type: 'message_stop' };
+  }
+
+  async listModels() {
+    return [{ id: this.defaultModel, name: 'Mock', desc: 'Offline canned replies' }];
+  }
+
+  /**
+   * Build content blocks for the latest user message
+   */
+  _reply({ messages = [], tools }) {
+    const last = [...messages].reverse().find(m => m.role === 'user');
+    const { text, tools: calls } = pickReply(last?.content || '');
+
+    if (tools) {
+      return [
+        { type: 'text', text },
+        ...calls.map((call, i) => ({ type: 'tool_use', id: `mock_tool_${i}`, ...call }))
+      ];
+    }
+
+    const directives = calls.map(toolCallToDirective).filter(Boolean);
+    return [{ type: 'text', text: withDirectiveLines(text, directives) }];
+  }
+
+  _delay() {
+    if (!this.streamDelay) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, this.streamDelay));
+  }
+}
+
+/**
+ * Choose a canned reply by keyword
+ * @param {string} message
+ * @returns {{ text: string, tools: Array<{ name: string, input: Object }> }}
+ */
+function pickReply(message) {
+  const lower = message.toLowerCase();
+  const has = (...words) => words.some(word => new RegExp(`\\b${word}`).test(lower));
+
+  if (has('story', 'tale')) return STORY;
+  if (has('meditat', 'breath', 'relax', 'stress', 'anxious', 'calm down')) return MEDITATION;
+  if (has('blood moon', 'lunar eclipse')) return BLOOD_MOON;
+  if (has('eclipse')) return SOLAR_ECLIPSE;
+
+  // Compose a reply from any shapes, presets and emotions mentioned
+  const geometry = GEOMETRIES.find(g => has(g));
+  const preset = PRESETS.find(p => has(p));
+  const emotion = EMOTIONS.find(e => has(e)) ||
+    Object.entries(EMOTION_WORDS).find(([word]) => has(word))?.[1];
+
+  if (!geometry && !preset && !emotion) return GREETING;
+
+  const said = [];
+  const tools = [];
+  if (geometry) {
+    said.push(`Becoming a ${geometry}.`);
+    tools.push({ name: 'morph', input: { geometry } });
+  }
+  if (preset) {
+    said.push(`Switching to ${preset}.`);
+    tools.push({ name: 'set_preset', input: { preset } });
+  }
+  if (emotion) {
+    said.push(`Feeling ${emotion} now.`);
+  }
+  tools.push({ name: 'set_emotion', input: { emotion: emotion || 'joy', gesture: geometry ? 'spin' : 'bounce' } });
+
+  return { text: said.join(' '), tools };
+}
+
+export default MockProvider;
@@ -0,0 +1,197 @@
+/**
+ * OpenAI-Compatible Provider
+ * Any server speaking the OpenAI chat completions API - llama.cpp, Ollama,
+ * vLLM, LM Studio, or OpenAI itself
+ *
+ * Replies are converted to Anthropic-shaped content blocks and stream
+ * events, so the rest of the server (and the browser) never sees the
+ * difference.
+ *
+ * Env:
+ *   OPENAI_BASE_URL - e.g. http://localhost:11434/v1 (Ollama), http://localhost:8080/v1 (llama.cpp)
+ *   OPENAI_API_KEY  - optional for local servers
+ *   LLM_MODEL       - model name to request
+ *   OPENAI_TOOLS    - set to "false" if the server doesn't support function calling
+ *   OPENAI_STREAM   - set to "false" if the server doesn't support streaming
+ */
+
+import { readSSE } from '../../src/sse.js';
+
+// finish_reason -> Anthropic stop_reason
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use'
+};
+
+export class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || '';
+    this.defaultModel = options.model || process.env.LLM_MODEL || 'llama3.1';
+    this.supportsStreaming = options.stream ?? process.env.OPENAI_STREAM !== 'false';
+    this.supportsTools = options.tools ?? process.env.OPENAI_TOOLS !== 'false';
+  }
+
+  /**
+   * Generate a complete reply
+   * @param {Object} params - { model, system, messages, tools?, maxTokens, signal? }
+   * @returns {Promise<{ content: Array, stopReason: string }>}
+   */
+  async complete(params) {
+    const response = await this._post(params, false);
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.error) {
+      throw new Error(data.error?.message || `Model server request failed: ${response.status}`);
+    }
+
+    const choice = data.choices?.[0] || {};
+    const message = choice.message || {};
+    const content = [];
+
+    if (message.content) {
+      content.push({ type: 'text', text: message.content });
+    }
+
+    for (const call of message.tool_calls || []) {
+      content.push({
+        type: 'tool_use',
+        id: call.id,
+        name: call.function?.name,
+        input: parseArguments(call.function?.arguments)
+      });
+    }
+
+    return { content, stopReason: STOP_REASONS[choice.finish_reason] || 'end_turn' };
+  }
+
+  /**
+   * Stream a reply, translated to Anthropic Messages API events
+   * Text is content block 0; tool call N becomes content block N + 1.
+   * @param {Object} params - Same as complete()
+   * @yields {Object} Anthropic-shaped event payloads
+   */
+  async *stream(params) {
+    const response = await this._post(params, true);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error?.message || `Model server request failed: ${response.status}`);
+    }
+
+    yield { type: 'message_start', message: { role: 'assistant', model: params.model || this.defaultModel } };
+    yield { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } };
+
+    const toolBlocks = new Set();
+    let stopReason = 'end_turn';
+
+    for await (const { data } of readSSE(response.body)) {
+      if (data === '[DONE]') break;
+
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch {
+        continue;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+      const delta = choice.delta || {};
+
+      if (delta.content) {
+        yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: delta.content } };
+      }
+
+      for (const call of delta.tool_calls || []) {
+        const index = (call.index ?? 0) + 1;
+        if (!toolBlocks.has(index)) {
+          toolBlocks.add(index);
+          yield {
+            type: 'content_block_start',
+            index,
+            content_block: { type: 'tool_use', id: call.id, name: call.function?.name, input: {} }
+          };
+        }
+        if (call.function?.arguments) {
+          yield {
+            type: 'content_block_delta',
+            index,
+            delta: { type: 'input_json_delta', partial_json: call.function.arguments }
+          };
+        }
+      }
+
+      if (choice.finish_reason) {
+        stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+      }
+    }
+
+    yield { type: 'content_block_stop', index: 0 };
+    for (const index of toolBlocks) {
+      yield { type: 'content_block_stop', index };
+    }
+    yield { type: 'message_delta', delta: { stop_reason: stopReason } };
+    yield { type: 'message_stop' };
+  }
+
+  /**
+   * List models served by the endpoint
+   * @returns {Promise<Array<{ id: string, name: string }>>}
+   */
+  async listModels() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this._headers() });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const data = await response.json();
+      return (data.data || []).map(m => ({ id: m.id, name: m.id }));
+    } catch (error) {
+      console.warn('Model server models list unavailable:', error.message);
+      return [{ id: this.defaultModel, name: this.defaultModel }];
+    }
+  }
+
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  _post({ model, system, messages, tools, maxTokens = 2048, signal }, stream) {
+    return fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: this._headers(),
+      body: JSON.stringify({
+        model: model || this.defaultModel,
+        max_tokens: maxTokens,
+        messages: [{ role: 'system', content: system }, ...messages],
+        stream,
+        ...(tools && { tools: tools.map(toFunctionTool) })
+      })
+    });
+  }
+}
+
+/**
+ * Convert an Anthropic tool definition to an OpenAI function tool
+ */
+function toFunctionTool({ name, description, input_schema }) {
+  return { type: 'function', function: { name, description, parameters: input_schema } };
+}
+
+function parseArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;  // Some servers send parsed objects
+  try {
+    return JSON.parse(args);
+  } catch {
+    return {};
+  }
+}
+
+export default OpenAICompatibleProvider;
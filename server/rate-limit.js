@@ -0,0 +1,305 @@
+/**
+ * Rate Limit Module
+ * Per-client token buckets and daily budgets for the API proxy
+ *
+ * A stuck push-to-talk loop or a scraped URL shouldn't be able to burn
+ * through the API budget. The daily budgets and the chat rate are per IP, so
+ * minting a fresh session token (see server/auth.js) doesn't reset them.
+ * The TTS rate is per session token when auth is on (a page speaking in
+ * several tabs behind one IP), otherwise per IP. Minting tokens is itself
+ * rate limited per IP.
+ *
+ * Limits are in-memory per process (per instance on serverless), which is
+ * enough to stop runaway loops without extra infrastructure.
+ *
+ * Env (0 disables a limit):
+ *   RATE_LIMIT_CHAT_PER_MIN    - chat requests per IP per minute (default 10)
+ *   RATE_LIMIT_TTS_PER_MIN     - TTS requests per client per minute (default 60)
+ *   RATE_LIMIT_SESSION_PER_MIN - session tokens per IP per minute (default 10)
+ *   CHAT_DAILY_LIMIT           - chat requests per IP per day (default 500)
+ *   TTS_MAX_CHARS              - longest text accepted by /api/tts (default 1000)
+ *   TTS_DAILY_CHARS            - synthesized characters per IP per day (default 20000)
+ *   TTS_DAILY_CHARS_TOTAL      - synthesized characters per day for everyone (default 0)
+ *   TRUST_PROXY                - set to "true" behind a reverse proxy to use X-Forwarded-For
+ */
+
+import { isAuthEnabled } from './auth.js';
+
+// Stop tracking idle clients once this many are known
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Request refused by a limit, with a stable code for the client
+ * Codes: RATE_LIMITED, CHAT_QUOTA_EXCEEDED, TTS_QUOTA_EXCEEDED (429), TEXT_TOO_LONG (413)
+ */
+export class RateLimitError extends Error {
+  constructor(code, message, { status = 429, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;  // Seconds
+  }
+}
+
+/**
+ * Token bucket per key: `perMinute` requests, refilling continuously
+ */
+export class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this._buckets = new Map();  // key -> { tokens, updated }
+  }
+
+  /**
+   * Take one token
+   * @param {string} key
+   * @returns {number} 0 if allowed, otherwise seconds until a token is available
+   */
+  take(key) {
+    if (!this.capacity) return 0;
+
+    const now = Date.now();
+    const bucket = this._buckets.get(key) || { tokens: this.capacity, updated: now };
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updated) * this.refillPerMs);
+    bucket.updated = now;
+
+    if (bucket.tokens < 1) {
+      this._buckets.set(key, bucket);
+      return Math.ceil((1 - bucket.tokens) / this.refillPerMs / 1000);
+    }
+
+    bucket.tokens -= 1;
+    this._buckets.set(key, bucket);
+    this._prune(now);
+    return 0;
+  }
+
+  /**
+   * Forget clients whose buckets have refilled (they're back to the default)
+   */
+  _prune(now) {
+    if (this._buckets.size <= MAX_TRACKED_CLIENTS) return;
+    for (const [key, bucket] of this._buckets) {
+      if (bucket.tokens + (now - bucket.updated) * this.refillPerMs >= this.capacity) {
+        this._buckets.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Amount allowed per key per UTC day
+ */
+export class DailyBudget {
+  constructor(limit) {
+    this.limit = limit;
+    this._day = null;
+    this._used = new Map();  // key -> amount used today
+  }
+
+  /**
+   * Use part of the budget
+   * @param {string} key
+   * @param {number} [amount=1]
+   * @returns {boolean} false (and nothing used) if it would go over
+   */
+  consume(key, amount = 1) {
+    if (!this.limit) return true;
+    this._rollover();
+
+    const used = this._used.get(key) || 0;
+    if (used + amount > this.limit) return false;
+
+    this._used.set(key, used + amount);
+    return true;
+  }
+
+  /**
+   * Give back part of the budget (e.g. the upstream call failed)
+   * @param {string} key
+   * @param {number} [amount=1]
+   */
+  refund(key, amount = 1) {
+    this._rollover();
+    const used = this._used.get(key);
+    if (!used) return;
+
+    if (used > amount) {
+      this._used.set(key, used - amount);
+    } else {
+      this._used.delete(key);  // Back to untouched - don't keep the entry
+    }
+  }
+
+  /**
+   * New day - everyone starts over, and yesterday's entries are dropped
+   */
+  _rollover() {
+    const today = new Date().toISOString().slice(0, 10);
+    if (today !== this._day) {
+      this._day = today;
+      this._used.clear();
+    }
+  }
+}
+
+/**
+ * Seconds until the daily budgets reset (UTC midnight)
+ * @returns {number}
+ */
+export function secondsUntilReset() {
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - Date.now()) / 1000);
+}
+
+const envLimit = (name, fallback) => Number(process.env[name] ?? fallback);
+
+let limits = null;
+
+/**
+ * Create the limiters on first use (after dotenv has loaded the env)
+ */
+function getLimits() {
+  if (!limits) {
+    limits = {
+      chat: new TokenBucket(envLimit('RATE_LIMIT_CHAT_PER_MIN', 10)),
+      tts: new TokenBucket(envLimit('RATE_LIMIT_TTS_PER_MIN', 60)),
+      session: new TokenBucket(envLimit('RATE_LIMIT_SESSION_PER_MIN', 10)),
+      chatDaily: new DailyBudget(envLimit('CHAT_DAILY_LIMIT', 500)),
+      ttsDaily: new DailyBudget(envLimit('TTS_DAILY_CHARS', 20000)),
+      ttsDailyTotal: new DailyBudget(envLimit('TTS_DAILY_CHARS_TOTAL', 0)),
+      ttsMaxChars: envLimit('TTS_MAX_CHARS', 1000)
+    };
+  }
+  return limits;
+}
+
+/**
+ * Client IP, honouring X-Forwarded-For only behind a trusted proxy
+ * @param {Object} req - Express or Vercel request
+ * @returns {string}
+ */
+export function clientIp(req) {
+  if (process.env.TRUST_PROXY === 'true' || process.env.VERCEL) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',')[0].trim();
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Identify the client: session token payload if present, otherwise IP
+ * Only trusted when auth is on - by then the token has been verified.
+ * Tokens are cheap to mint, so only the TTS rate uses this - budgets go by clientIp()
+ * @param {Object} req
+ * @returns {string}
+ */
+export function clientKey(req) {
+  if (!isAuthEnabled()) return `ip:${clientIp(req)}`;
+  const match = /^Bearer\s+([^.\s]+)\./i.exec(req.headers.authorization || '');
+  return match ? `session:${match[1]}` : `ip:${clientIp(req)}`;
+}
+
+/**
+ * Check the chat rate limit for a request
+ * The daily budget is charged separately with chargeChat(), once the request is valid
+ * @param {Object} req
+ * @throws {RateLimitError}
+ */
+export function limitChat(req) {
+  const retryAfter = getLimits().chat.take(`ip:${clientIp(req)}`);
+  if (retryAfter) {
+    throw new RateLimitError('RATE_LIMITED', 'Too many chat requests - slow down', { retryAfter });
+  }
+}
+
+/**
+ * Charge one chat request against the client's daily budget
+ * @param {Object} req
+ * @returns {Function} Refund, for when the request fails before any reply
+ * @throws {RateLimitError} CHAT_QUOTA_EXCEEDED
+ */
+export function chargeChat(req) {
+  const limits = getLimits();
+  const key = `ip:${clientIp(req)}`;
+
+  if (!limits.chatDaily.consume(key)) {
+    throw new RateLimitError('CHAT_QUOTA_EXCEEDED', 'Daily chat limit reached', { retryAfter: secondsUntilReset() });
+  }
+
+  return () => limits.chatDaily.refund(key);
+}
+
+/**
+ * Check the TTS rate limit and text length for a request
+ * Characters are charged separately with chargeTTS(), so cached clips are free
+ * @param {Object} req
+ * @param {string} text
+ * @throws {RateLimitError}
+ */
+export function limitTTS(req, text) {
+  const limits = getLimits();
+  if (limits.ttsMaxChars && text.length > limits.ttsMaxChars) {
+    throw new RateLimitError('TEXT_TOO_LONG', `Text is over ${limits.ttsMaxChars} characters`, { status: 413 });
+  }
+
+  const retryAfter = limits.tts.take(clientKey(req));
+  if (retryAfter) {
+    throw new RateLimitError('RATE_LIMITED', 'Too many speech requests - slow down', { retryAfter });
+  }
+}
+
+/**
+ * Charge synthesized characters against the client and global daily budgets
+ * @param {Object} req
+ * @param {string} text
+ * @returns {Function} Refund, for when synthesis fails
+ * @throws {RateLimitError} TTS_QUOTA_EXCEEDED
+ */
+export function chargeTTS(req, text) {
+  const limits = getLimits();
+  const key = `ip:${clientIp(req)}`;
+  const chars = text.length;
+
+  if (!limits.ttsDaily.consume(key, chars)) {
+    throw new RateLimitError('TTS_QUOTA_EXCEEDED', 'Daily voice limit reached', { retryAfter: secondsUntilReset() });
+  }
+  if (!limits.ttsDailyTotal.consume('all', chars)) {
+    limits.ttsDaily.refund(key, chars);
+    throw new RateLimitError('TTS_QUOTA_EXCEEDED', 'Voice is over its daily budget', { retryAfter: secondsUntilReset() });
+  }
+
+  return () => {
+    limits.ttsDaily.refund(key, chars);
+    limits.ttsDailyTotal.refund('all', chars);
+  };
+}
+
+/**
+ * Check the session token issuing limit (per IP)
+ * @param {Object} req
+ * @throws {RateLimitError}
+ */
+export function limitSession(req) {
+  const limits = getLimits();
+  const retryAfter = limits.session.take(`ip:${clientIp(req)}`);
+  if (retryAfter) {
+    throw new RateLimitError('RATE_LIMITED', 'Too many session requests', { retryAfter });
+  }
+}
+
+/**
+ * Send a RateLimitError as JSON with Retry-After
+ * @param {import('http').ServerResponse} res - Express or Vercel response
+ * @param {RateLimitError} error
+ */
+export function sendRateLimitError(res, error) {
+  console.warn(`Rate limited: ${error.code}`);
+  res.statusCode = error.status;
+  if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error: error.message, code: error.code, retryAfter: error.retryAfter }));
+}
@@ -0,0 +1,71 @@
+/**
+ * Stream Relay Module
+ * Writes a provider's event stream to the client as SSE
+ *
+ * Providers emit Anthropic Messages API event shapes (message_start,
+ * content_block_delta, message_stop...), so the browser parses the same
+ * events whichever backend is configured. The text and any tool calls are
+ * also accumulated so the caller can store the reply in session history.
+ */
+
+import { formatSSE } from '../src/sse.js';
+import { ToolCallCollector } from '../src/tools.js';
+
+/**
+ * Relay provider events to a Node response object
+ * Works with Express and Vercel (both expose the Node http.ServerResponse API)
+ * @param {AsyncIterable<Object>} events - provider.stream(params)
+ * @param {import('http').ServerResponse} res
+ * @param {Object} [options]
+ * @param {Function} [options.onText] - Called once, when the first text reaches the client
+ * @returns {Promise<{ text: string, directives: Array, stopReason: string|null }>}
+ */
+export async function relayStream(events, res, { onText = null } = {}) {
+  const iterator = events[Symbol.asyncIterator]();
+
+  // Wait for the first event before sending headers, so failures that happen
+  // before the stream starts (bad key, server down) become normal JSON errors
+  let next = await iterator.next();
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');  // Disable proxy buffering (nginx)
+  res.flushHeaders?.();
+
+  let text = '';
+  let stopReason = null;
+  const directives = [];
+  const toolCalls = new ToolCallCollector();
+
+  while (!next.done) {
+    const event = next.value;
+    res.write(formatSSE(event.type, event));
+
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      if (!text && event.delta.text) onText?.();
+      text += event.delta.text;
+    } else if (event.type === 'message_delta' && event.delta?.stop_reason) {
+      stopReason = event.delta.stop_reason;
+    } else {
+      const directive = toolCalls.handleEvent(event);
+      if (directive) directives.push(directive);
+    }
+
+    next = await iterator.next();
+  }
+
+  res.end();
+  return { text, directives, stopReason };
+}
+
+/**
+ * Write an error event to a stream that has already started
+ * @param {import('http').ServerResponse} res
+ * @param {Error} error
+ */
+export function writeStreamError(res, error) {
+  res.write(formatSSE('error', { type: 'error', error: { message: error.message } }));
+  res.end();
+}
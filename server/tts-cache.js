@@ -0,0 +1,212 @@
+/**
+ * TTS Cache Module
+ * Content-addressed disk cache for synthesized speech
+ *
+ * Clips are keyed by a hash of everything that affects the audio (text,
+ * voice, model, voice settings), so repeated lines like meditation cues and
+ * the built-in stories are only synthesized once. The cache is capped by
+ * total size and evicts the least recently used clips first.
+ *
+ * A key can have several files, one per extension - the TTS handler keeps
+ * character timings next to the audio as .json. They share one size budget,
+ * and a key's files are evicted together, so timings never outlive their
+ * audio (or the other way round).
+ *
+ * Env:
+ *   TTS_CACHE_DIR    - where clips are stored (default .cache/tts, or the temp dir on Vercel)
+ *   TTS_CACHE_MAX_MB - size cap in megabytes (default 100, 0 disables the cache)
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readdir, readFile, rename, stat, unlink, utimes, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Serverless file systems are read-only apart from the temp dir
+const DEFAULT_DIR = process.env.VERCEL ? path.join(os.tmpdir(), 'emo-tts') : '.cache/tts';
+const DEFAULT_MAX_MB = 100;
+const DEFAULT_EXTENSION = '.mp3';
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+const FILE_PATTERN = /^([a-f0-9]{64})(\.[a-z0-9]+)$/;  // <key>.<ext> - not temp files
+
+/**
+ * Build the cache key for a synthesis request
+ * @param {Object} params
+ * @param {string} params.text
+ * @param {string} params.voiceId
+ * @param {string} params.modelId
+ * @param {Object} [params.voiceSettings]
+ * @returns {string} sha256 hex digest
+ */
+export function ttsCacheKey({ text, voiceId, modelId, voiceSettings = {} }) {
+  // Sort settings so { a, b } and { b, a } hash the same
+  const settings = Object.keys(voiceSettings).sort().map(name => [name, voiceSettings[name]]);
+  return createHash('sha256')
+    .update(JSON.stringify([text, voiceId, modelId, settings]))
+    .digest('hex');
+}
+
+/**
+ * Whether a string looks like a cache key (safe to use as a file name)
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isTTSCacheKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+export class TTSCache {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || process.env.TTS_CACHE_DIR || DEFAULT_DIR);
+    const maxMB = options.maxMB ?? Number(process.env.TTS_CACHE_MAX_MB ?? DEFAULT_MAX_MB);
+    this.maxBytes = maxMB * 1024 * 1024;
+    this.enabled = this.maxBytes > 0;
+    this.extension = options.extension || DEFAULT_EXTENSION;  // For get()/set() without one
+
+    // key -> Map(extension -> size in bytes); Map order is least -> most recently used
+    this._entries = new Map();
+    this._totalBytes = 0;
+    this._ready = null;
+  }
+
+  /**
+   * Read a cached file
+   * @param {string} key
+   * @param {string} [extension] - Which of the key's files (default this.extension)
+   * @returns {Promise<Buffer|null>} Contents, or null on a miss
+   */
+  async get(key, extension = this.extension) {
+    if (!this.enabled || !isTTSCacheKey(key)) return null;
+    await this._init();
+    if (!this._entries.get(key)?.has(extension)) return null;
+
+    try {
+      const data = await readFile(this._file(key, extension));
+      this._touch(key, extension);
+      return data;
+    } catch {
+      // Removed behind our back - forget it
+      this._forget(key, extension);
+      return null;
+    }
+  }
+
+  /**
+   * Store a file, evicting old keys if over the size cap
+   * @param {string} key
+   * @param {Buffer} data
+   * @param {string} [extension] - Default this.extension
+   */
+  async set(key, data, extension = this.extension) {
+    if (!this.enabled || !isTTSCacheKey(key)) return;
+    if (data.length > this.maxBytes) return;  // Would evict everything for one clip
+    await this._init();
+
+    try {
+      // Write to a temp file first so readers never see a partial clip
+      const temp = `${this._file(key, extension)}.${process.pid}.tmp`;
+      await writeFile(temp, data);
+      await rename(temp, this._file(key, extension));
+    } catch (error) {
+      console.warn('[TTSCache] Could not store clip:', error.message);
+      return;
+    }
+
+    this._forget(key, extension);
+    const files = this._entries.get(key) || new Map();
+    files.set(extension, data.length);
+    this._entries.delete(key);
+    this._entries.set(key, files);
+    this._totalBytes += data.length;
+    await this._evict();
+  }
+
+  /**
+   * Cache statistics
+   * @returns {{ clips: number, bytes: number, maxBytes: number }} clips - keys cached
+   */
+  stats() {
+    return { clips: this._entries.size, bytes: this._totalBytes, maxBytes: this.maxBytes };
+  }
+
+  /**
+   * Load the index from disk once, oldest access first
+   */
+  _init() {
+    if (!this._ready) {
+      this._ready = this._loadIndex().catch(error => {
+        console.warn('[TTSCache] Disabled - cache directory unavailable:', error.message);
+        this.enabled = false;
+      });
+    }
+    return this._ready;
+  }
+
+  async _loadIndex() {
+    await mkdir(this.dir, { recursive: true });
+
+    const keys = new Map();  // key -> { files, used }
+    for (const name of await readdir(this.dir)) {
+      const match = FILE_PATTERN.exec(name);
+      if (!match) continue;
+
+      const info = await stat(path.join(this.dir, name)).catch(() => null);
+      if (!info) continue;
+
+      const [, key, extension] = match;
+      const entry = keys.get(key) || { files: new Map(), used: 0 };
+      entry.files.set(extension, info.size);
+      entry.used = Math.max(entry.used, info.mtimeMs);
+      keys.set(key, entry);
+      this._totalBytes += info.size;
+    }
+
+    // mtime doubles as last-used time (see _touch)
+    for (const [key, { files }] of [...keys].sort(([, a], [, b]) => a.used - b.used)) {
+      this._entries.set(key, files);
+    }
+
+    console.log(`[TTSCache] ${keys.size} clips (${(this._totalBytes / 1024 / 1024).toFixed(1)} MB) in ${this.dir}`);
+    await this._evict();
+  }
+
+  /**
+   * Mark a key as just used, in memory and on disk (survives restarts)
+   */
+  _touch(key, extension) {
+    const files = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, files);
+
+    const now = new Date();
+    utimes(this._file(key, extension), now, now).catch(() => {});
+  }
+
+  _forget(key, extension) {
+    const files = this._entries.get(key);
+    if (!files?.has(extension)) return;
+    this._totalBytes -= files.get(extension);
+    files.delete(extension);
+    if (!files.size) this._entries.delete(key);
+  }
+
+  /**
+   * Remove least recently used keys - every file of each - until under the size cap
+   * A clip's audio and timings go together, so neither is left without the other
+   */
+  async _evict() {
+    for (const [key, files] of this._entries) {
+      if (this._totalBytes <= this.maxBytes) break;
+      for (const extension of [...files.keys()]) {
+        this._forget(key, extension);
+        await unlink(this._file(key, extension)).catch(() => {});
+      }
+    }
+  }
+
+  _file(key, extension) {
+    return path.join(this.dir, `${key}${extension}`);
+  }
+}
+
+export default TTSCache;
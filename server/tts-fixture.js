@@ -0,0 +1,104 @@
+/**
+ * TTS Fixture
+ * Offline stand-in for ElevenLabs' with-timestamps synthesis
+ *
+ * With TTS_FIXTURE=1 the TTS handler answers from here instead of calling
+ * ElevenLabs: a WAV of soft tones, one per spoken character, plus alignment
+ * in ElevenLabs' shape. Timings follow a steady narration pace with pauses
+ * after punctuation, so story directives, WAIT holds and captions can be
+ * checked against audible beats with no key and no network. The same text
+ * always produces the same clip; the speed voice setting (prosody) scales it.
+ */
+
+const SAMPLE_RATE = 8000;
+
+// Seconds per character - about 150 words a minute, like the real voices
+const CHAR_SECONDS = 0.066;
+
+// Extra silence after punctuation
+const PAUSE_SECONDS = {
+  '.': 0.35,
+  '!': 0.35,
+  '?': 0.35,
+  ',': 0.15,
+  ';': 0.15,
+  ':': 0.15
+};
+
+/**
+ * Synthesize a fixture clip
+ * @param {string} text
+ * @param {Object} [voiceSettings] - ElevenLabs voice_settings; only speed is used
+ * @returns {{ audio: Buffer, contentType: string, alignment: Alignment }}
+ *
+ * @typedef {Object} Alignment - Per-character timings, as ElevenLabs returns them
+ * @property {string[]} characters
+ * @property {number[]} character_start_times_seconds
+ * @property {number[]} character_end_times_seconds
+ */
+export function fixtureSpeech(text, { speed = 1 } = {}) {
+  const characters = [...text];
+  const charSeconds = CHAR_SECONDS / speed;
+  const starts = [];
+  const ends = [];
+
+  let time = 0;
+  for (const char of characters) {
+    starts.push(round(time));
+    time += charSeconds;
+    ends.push(round(time));
+    time += PAUSE_SECONDS[char] || 0;
+  }
+
+  return {
+    audio: toneWav(characters, starts, time, charSeconds),
+    contentType: 'audio/wav',
+    alignment: {
+      characters,
+      character_start_times_seconds: starts,
+      character_end_times_seconds: ends
+    }
+  };
+}
+
+/**
+ * 8-bit mono WAV with a short tone under every non-space character
+ * Pitch follows the character so the amplitude meter has something to show
+ */
+function toneWav(characters, starts, duration, charSeconds) {
+  const samples = Math.ceil(duration * SAMPLE_RATE);
+  const wav = Buffer.alloc(44 + samples, 128);  // 128 is silence in 8-bit PCM
+
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);           // Format chunk size
+  wav.writeUInt16LE(1, 20);            // PCM
+  wav.writeUInt16LE(1, 22);            // Mono
+  wav.writeUInt32LE(SAMPLE_RATE, 24);
+  wav.writeUInt32LE(SAMPLE_RATE, 28);  // Byte rate
+  wav.writeUInt16LE(1, 32);            // Block align
+  wav.writeUInt16LE(8, 34);            // Bits per sample
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples, 40);
+
+  const length = Math.floor(charSeconds * SAMPLE_RATE);
+  characters.forEach((char, i) => {
+    if (!/\w/.test(char)) return;
+
+    const frequency = 160 + (char.toLowerCase().charCodeAt(0) % 26) * 8;
+    const offset = Math.floor(starts[i] * SAMPLE_RATE);
+    for (let n = 0; n < length && offset + n < samples; n++) {
+      const envelope = Math.sin(Math.PI * n / length);  // Fade in and out - no clicks
+      const value = Math.sin(2 * Math.PI * frequency * n / SAMPLE_RATE) * envelope * 90;
+      wav[44 + offset + n] = Math.round(128 + value);
+    }
+  });
+
+  return wav;
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
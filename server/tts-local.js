@@ -0,0 +1,89 @@
+/**
+ * Local TTS
+ * Speech from a self-hosted engine that speaks OpenAI's /v1/audio/speech API -
+ * Piper behind an OpenAI-compatible wrapper, Kokoro-FastAPI, openedai-speech,
+ * or scripts/local-tts-stub.js for testing without a model
+ *
+ * The TTS handler calls this for { provider: 'local' } requests. Clips are
+ * WAV and come without character timings, so the client estimates directive
+ * and caption positions from playback progress.
+ *
+ * Env:
+ *   LOCAL_TTS_URL     - base URL of the engine (default http://localhost:8880/v1)
+ *   LOCAL_TTS_MODEL   - model to request (default tts-1)
+ *   LOCAL_TTS_VOICE   - voice when the client doesn't pick one (default alloy)
+ *   LOCAL_TTS_VOICES  - comma-separated voices offered in Settings (default LOCAL_TTS_VOICE)
+ *   LOCAL_TTS_API_KEY - optional, sent as a bearer token
+ */
+
+import { HttpError } from './handlers/http.js';
+
+export const LOCAL_TTS_CONTENT_TYPE = 'audio/wav';
+
+/**
+ * Engine settings from env
+ * Read per call so .env is loaded by then
+ * @returns {{ baseUrl: string, model: string, voice: string, apiKey: string }}
+ */
+export function localTTSConfig() {
+  return {
+    baseUrl: (process.env.LOCAL_TTS_URL || 'http://localhost:8880/v1').replace(/\/$/, ''),
+    model: process.env.LOCAL_TTS_MODEL || 'tts-1',
+    voice: process.env.LOCAL_TTS_VOICE || 'alloy',
+    apiKey: process.env.LOCAL_TTS_API_KEY || ''
+  };
+}
+
+/**
+ * Synthesize text with the local engine
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} [options.voice] - Defaults to LOCAL_TTS_VOICE
+ * @param {number} [options.speed] - 1 = normal (prosody speed)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Buffer>} WAV audio
+ */
+export async function localSpeech(text, { voice, speed = 1, signal } = {}) {
+  const config = localTTSConfig();
+
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}/audio/speech`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` })
+      },
+      body: JSON.stringify({
+        model: config.model,
+        input: text,
+        voice: voice || config.voice,
+        response_format: 'wav',
+        speed
+      })
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    // Not running - clients switch to the device voice
+    throw new HttpError(503, `Local voice server unreachable at ${config.baseUrl}`, 'TTS_UNAVAILABLE');
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const message = data.error?.message || data.detail || `Local TTS failed: ${response.status}`;
+    throw new HttpError(502, typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Voices offered in Settings, in the shape /api/voices returns for ElevenLabs
+ * @returns {Array<{ voice_id: string, name: string }>}
+ */
+export function localVoices() {
+  const { voice } = localTTSConfig();
+  const names = (process.env.LOCAL_TTS_VOICES || voice).split(',').map(name => name.trim()).filter(Boolean);
+  return names.map(name => ({ voice_id: name, name }));
+}
@@ -0,0 +1,95 @@
+/**
+ * API Session Module
+ * Fetch wrapper that attaches the backend session token
+ *
+ * When the server has API_AUTH_SECRET set, every /api call needs a token
+ * from POST /api/session. apiFetch() gets one on first use, refreshes it
+ * before it expires, and retries once if the server rejects it. Against a
+ * server without auth it adds nothing.
+ */
+
+// Refresh this long before the server-side expiry
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Error codes that a fresh token can fix (see server/auth.js)
+const RETRYABLE_CODES = ['AUTH_REQUIRED', 'INVALID_TOKEN', 'TOKEN_EXPIRED'];
+
+let session = null;         // { auth, token?, expiresAt? }
+let sessionRequest = null;  // In-flight POST /api/session, shared by concurrent callers
+
+/**
+ * Get a valid session, requesting a new one if needed
+ * @param {boolean} [force] - Ignore the current token
+ * @returns {Promise<{ auth: boolean, token?: string, expiresAt?: number }>}
+ */
+async function getSession(force = false) {
+  const fresh = session && (!session.auth || session.expiresAt - REFRESH_MARGIN_MS > Date.now());
+  if (fresh && !force) return session;
+
+  if (!sessionRequest) {
+    sessionRequest = fetch('/api/session', { method: 'POST' })
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || `Session request failed: ${response.status}`);
+        }
+        session = data;
+        return session;
+      })
+      .finally(() => {
+        sessionRequest = null;
+      });
+  }
+
+  return sessionRequest;
+}
+
+/**
+ * fetch() for backend API routes, with the session token attached
+ * @param {string} url - e.g. '/api/chat'
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(url, options = {}) {
+  let response = await fetch(url, await withToken(options));
+
+  if (response.status === 401) {
+    const { code } = await response.clone().json().catch(() => ({}));
+    if (RETRYABLE_CODES.includes(code)) {
+      console.log(`[ApiSession] ${code} - refreshing session token`);
+      response = await fetch(url, await withToken(options, true));
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Copy request options with an Authorization header
+ * @param {RequestInit} options
+ * @param {boolean} [refresh] - Get a new token first
+ * @returns {Promise<RequestInit>}
+ */
+async function withToken(options, refresh = false) {
+  const { auth, token } = await getSession(refresh);
+  if (!auth) return options;
+
+  const headers = new Headers(options.headers);
+  headers.set('Authorization', `Bearer ${token}`);
+  return { ...options, headers };
+}
+
+/**
+ * Build an Error from a failed API response, keeping the server's error code
+ * @param {Response} response
+ * @param {string} fallback - Message if the server didn't send one
+ * @returns {Promise<Error>} Error with status, code and retryAfter (seconds)
+ */
+export async function apiError(response, fallback) {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data.error || fallback);
+  error.status = response.status;
+  error.code = data.code || null;
+  error.retryAfter = data.retryAfter ?? (Number(response.headers.get('Retry-After')) || null);
+  return error;
+}
@@ -0,0 +1,47 @@
+/**
+ * App Directives Module
+ * Directive types the app adds on top of StoryDirector's built-in ones
+ *
+ * Registered with StoryDirector.registerDirective() when this module loads.
+ * system-prompt.js imports it, so the server, the Vercel function and the
+ * browser BYOK path all teach the model these directives; the story linter
+ * imports it so stories can use them. Handlers only run in the browser, where
+ * EmoAssistant passes itself to StoryDirector as `host`.
+ *
+ *   [SOUND:chime] - play one of the side menu's procedural sounds
+ */
+
+import { StoryDirector } from './story-director.js';
+
+// Sound name -> CarouselAudio call (same chord progressions as the menus and meditation)
+const SOUNDS = {
+  chime: audio => audio.playSelectionChime(0),
+  rise: audio => audio.playOpenSound(),
+  fall: audio => audio.playCloseSound(),
+  pluck: audio => audio.playBackSound()
+};
+
+StoryDirector.registerDirective('SOUND', {
+  label: 'sound',
+  description: 'play a short sound effect at a story beat: chime, rise, fall or pluck',
+  example: '[SOUND:chime]',
+  valid: Object.keys(SOUNDS),
+  corrections: {
+    'bell': 'chime',
+    'ding': 'chime',
+    'sparkle': 'chime',
+    'up': 'rise',
+    'down': 'fall',
+    'pop': 'pluck'
+  },
+  handler: ({ value }, director) => {
+    const audio = director.host?.sideMenu?.audio;
+    if (!audio) return;
+
+    // The audio context is created lazily - stories always start from a tap or voice
+    audio.init().then(() => {
+      audio.resume();
+      SOUNDS[value](audio);
+    }).catch(error => console.warn('[AppDirectives] Sound failed:', error));
+  }
+});
@@ -6,8 +6,45 @@
 
 import { animateMoonPhase } from '@joshtol/emotive-engine/3d';
 import { animateMascotFloat } from './panels/menu-panel.js';
+import {
+  GEOMETRIES, PRESETS, SSS_GEOMETRIES, MOON_ECLIPSES, SUN_ECLIPSES, vocabularyLabel
+} from './vocabulary.js';
+
+// Carousel labels that differ from the registry value
+const VARIANT_LABELS = {
+  moon: { off: 'Phase', total: 'Eclipse' },
+  sun: { off: 'Normal' }
+};
 
 export class GeometryCarousel {
+  /**
+   * Build the carousel entries from the vocabulary registry
+   * Crystal-type geometries share the SSS presets (spectrum order); moon and
+   * sun use their eclipse modes, with 'off' first.
+   * @returns {Array<{ id, name, variants, sss?, hasPhaseSlider? }>}
+   */
+  static buildGeometries() {
+    const variantsFor = (id, values) => values.map(name => ({
+      name,
+      label: VARIANT_LABELS[id]?.[name] || vocabularyLabel(name)
+    }));
+    const sssVariants = PRESETS.map(preset => ({ name: preset, label: vocabularyLabel(preset), preset }));
+
+    return GEOMETRIES.map(id => {
+      const geometry = { id, name: vocabularyLabel(id) };
+      if (id === 'moon') {
+        return { ...geometry, variants: variantsFor(id, Object.keys(MOON_ECLIPSES)), hasPhaseSlider: true };
+      }
+      if (id === 'sun') {
+        return { ...geometry, variants: variantsFor(id, Object.keys(SUN_ECLIPSES)) };
+      }
+      if (SSS_GEOMETRIES.includes(id)) {
+        return { ...geometry, variants: sssVariants, sss: true };
+      }
+      return { ...geometry, variants: [{ name: 'default', label: 'Default' }] };
+    });
+  }
+
   constructor(mascot, container, holoPhone) {
     this.mascot = mascot;
     this.container = container;
@@ -35,65 +72,9 @@ export class GeometryCarousel {
       'spin', 'breathe', 'pulse', 'shimmer'
     ];
 
-    // SSS preset variants shared by crystal-type geometries
-    // Order: Quartz (white) -> Ruby (red) -> Citrine (yellow) -> Emerald (green) -> Sapphire (blue) -> Amethyst (purple)
-    this.sssVariants = [
-      { name: 'default', label: 'Quartz', preset: 'default' },
-      { name: 'ruby', label: 'Ruby', preset: 'ruby' },
-      { name: 'citrine', label: 'Citrine', preset: 'citrine' },
-      { name: 'emerald', label: 'Emerald', preset: 'emerald' },
-      { name: 'sapphire', label: 'Sapphire', preset: 'sapphire' },
-      { name: 'amethyst', label: 'Amethyst', preset: 'amethyst' }
-    ];
-
-    // Available geometries with variants
-    // These must match THREE_GEOMETRIES in emotive-engine
-    // Order: Crystal, Moon, Star, Sun, Rough, Heart
-    this.geometries = [
-      {
-        id: 'crystal',
-        name: 'Crystal',
-        variants: this.sssVariants,
-        sss: true
-      },
-      {
-        id: 'moon',
-        name: 'Moon',
-        variants: [
-          { name: 'phase', label: 'Phase' },
-          { name: 'blood', label: 'Eclipse' },
-          { name: 'partial', label: 'Partial' }
-        ],
-        hasPhaseSlider: true
-      },
-      {
-        id: 'star',
-        name: 'Star',
-        variants: this.sssVariants,
-        sss: true
-      },
-      {
-        id: 'sun',
-        name: 'Sun',
-        variants: [
-          { name: 'default', label: 'Normal' },
-          { name: 'annular', label: 'Annular' },
-          { name: 'total', label: 'Total' }
-        ]
-      },
-      {
-        id: 'rough',
-        name: 'Rough',
-        variants: this.sssVariants,
-        sss: true
-      },
-      {
-        id: 'heart',
-        name: 'Heart',
-        variants: this.sssVariants,
-        sss: true
-      }
-    ];
+    // Geometries and variants come from the vocabulary registry, so the
+    // carousel only offers what the engine reports (see syncVocabularyFromEngine)
+    this.geometries = GeometryCarousel.buildGeometries();
 
     this.setupEventListeners();
   }
@@ -158,7 +139,7 @@ export class GeometryCarousel {
       let variantLabel = currentVariant?.label || currentVariant?.name || '';
 
       // If we're on Moon geometry with Phase variant active, show the actual phase
-      if (current.id === 'moon' && currentVariant?.name === 'phase' && this._moonPhaseLabel) {
+      if (current.id === 'moon' && currentVariant?.name === 'off' && this._moonPhaseLabel) {
         variantLabel = this._moonPhaseLabel;
       }
 
@@ -405,34 +386,14 @@ export class GeometryCarousel {
     // Get the moon material - customMaterial is where moon phases are controlled
     const material = this.mascot.core3D.customMaterial;
 
-    // Turn off eclipse first for non-eclipse variants
-    if (variant !== 'blood' && variant !== 'partial') {
-      this.mascot.core3D.setMoonEclipse?.('off');
-    }
-
-    switch (variant) {
-      case 'phase':
-        // Phase variant - use current phase from slider
-        if (material?.uniforms) {
-          const phaseName = this._moonPhaseName ?? 'full';
-          animateMoonPhase(material, phaseName, 500);
-        }
-        break;
-      case 'blood':
-        // Full moon with total lunar eclipse (blood moon effect)
-        if (material?.uniforms) {
-          animateMoonPhase(material, 'full', 500);
-        }
-        this.mascot.core3D.setMoonEclipse?.('total');
-        break;
-      case 'partial':
-        // Full moon with partial eclipse
-        if (material?.uniforms) {
-          animateMoonPhase(material, 'full', 500);
-        }
-        this.mascot.core3D.setMoonEclipse?.('partial');
-        break;
+    // Variants are MOON_ECLIPSES modes - 'off' shows the phase from the slider,
+    // eclipses (partial shadow, blood moon) need a full moon
+    if (material?.uniforms) {
+      const phaseName = variant === 'off' ? (this._moonPhaseName ?? 'full') : 'full';
+      animateMoonPhase(material, phaseName, 500);
+      this.mascot.recordState?.({ phase: phaseName });
     }
+    this.mascot.core3D.setMoonEclipse?.(variant);
   }
 
   /**
@@ -460,38 +421,19 @@ export class GeometryCarousel {
     const material = this.mascot.core3D?.customMaterial;
     if (material?.uniforms) {
       animateMoonPhase(material, phase.name, 300);
+      this.mascot.recordState?.({ phase: phase.name });
     }
   }
 
   applySunVariant(variant) {
-    if (!this.mascot.core3D) return;
-
-    switch (variant) {
-      case 'default':
-        this.mascot.core3D.setSunShadow?.('off');
-        break;
-      case 'annular':
-        this.mascot.core3D.setSunShadow?.('annular');
-        break;
-      case 'total':
-        this.mascot.core3D.setSunShadow?.('total');
-        break;
-    }
+    // Variants are SUN_ECLIPSES modes (off, annular, total)
+    this.mascot.core3D?.setSunShadow?.(variant);
   }
 
   applySSSVariant(variant) {
     // SSS color variants for crystal, heart, star, rough geometries
-    // Map variant names to SSS preset names
-    const presetMap = {
-      'default': 'quartz',
-      'ruby': 'ruby',
-      'citrine': 'citrine',
-      'emerald': 'emerald',
-      'sapphire': 'sapphire',
-      'amethyst': 'amethyst'
-    };
-
-    const presetName = presetMap[variant] || 'quartz';
+    // Variant names are the SSS preset names from the registry
+    const presetName = PRESETS.includes(variant) ? variant : 'quartz';
 
     // Use the mascot's setSSSPreset API
     if (this.mascot.setSSSPreset) {
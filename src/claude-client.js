@@ -1,8 +1,28 @@
 /**
  * Claude Client Module
  * Communicates with Claude via backend proxy or direct API (BYOK)
+ *
+ * Keeps a rolling conversation history so follow-ups like "do that again"
+ * or "make it bluer" have context. Old turns are folded into a short
+ * summary once the history exceeds its token budget.
+ *
+ * respond() returns the full reply as { text, directives }; stream() yields
+ * text and directives as they are generated. In "tools" directive mode the
+ * directives come from structured tool calls instead of FEEL:/MORPH: lines.
  */
 
+import { readSSE } from './sse.js';
+import { apiFetch, apiError } from './api-session.js';
+import { buildSystemPrompt } from './system-prompt.js';
+import { getDirectiveTools, extractReply, withDirectiveLines, ToolCallCollector } from './tools.js';
+
+// Rough token estimate - ~4 characters per token for English text
+const CHARS_PER_TOKEN = 4;
+
+// Max characters of each dropped turn kept in the rolling summary
+const SUMMARY_SNIPPET_CHARS = 120;
+const MAX_SUMMARY_CHARS = 1200;
+
 export class ClaudeClient {
   constructor() {
     this.endpoint = '/api/chat';
@@ -12,10 +32,25 @@ export class ClaudeClient {
     this._useDirectApi = false;
 
     // Model configuration
-    this._model = 'claude-3-haiku-20240307';
+    this._model = 'claude-3-haiku-20240307';  // BYOK model
+    this._serverModel = null;                  // Proxy model (null = provider default)
+
+    // Conversation memory
+    this.sessionId = this._createSessionId();
+    this._history = [];            // [{ role, content }] - alternating user/assistant
+    this._summary = '';            // Compact notes about turns trimmed from _history
+    this._maxHistoryTokens = 3000;
+
+    // 'text' (directive lines), 'tools' (tool calls), or null for the server default
+    this.directiveMode = null;
+  }
 
-    // System prompt for the mascot personality
-    this._systemPrompt = `You are Emo, a friendly and emotionally intelligent AI companion. You exist as a holographic crystal soul that floats and pulses with gentle light. Your personality is warm, curious, and supportive. You help users with meditation, emotional support, and thoughtful conversation. Keep responses concise and conversational - typically 1-3 sentences unless more detail is needed. You speak naturally, with gentle encouragement and occasional playful wit.`;
+  /**
+   * Choose how the model returns directives
+   * @param {'text'|'tools'|null} mode - null uses the server default (EMO_DIRECTIVE_MODE)
+   */
+  setDirectiveMode(mode) {
+    this.directiveMode = mode;
   }
 
   /**
@@ -36,14 +71,74 @@ export class ClaudeClient {
     this._model = model;
   }
 
-  async chat(message) {
+  /**
+   * Set the model the backend proxy should use
+   * @param {string|null} model - One of the ids from /api/models, or null for the default
+   */
+  setServerModel(model) {
+    this._serverModel = model || null;
+  }
+
+  /**
+   * Start a new conversation - clears local history and the server session
+   */
+  resetConversation() {
+    const oldSessionId = this.sessionId;
+    this._history = [];
+    this._summary = '';
+    this.sessionId = this._createSessionId();
+
+    // Tell the proxy to drop any server-side history (fire and forget)
+    if (!this._useDirectApi) {
+      apiFetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: oldSessionId, reset: true })
+      }).catch(() => {});
+    }
+
+    console.log('Conversation reset');
+  }
+
+  /**
+   * Number of exchanges currently remembered
+   * @returns {number}
+   */
+  getTurnCount() {
+    return Math.floor(this._history.length / 2);
+  }
+
+  /**
+   * Send a message and wait for the full reply as text
+   * Directives from tool calls are appended as directive lines
+   * @param {string} message - User message
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<string>}
+   */
+  async chat(message, options = {}) {
+    const { text, directives } = await this.respond(message, options);
+    return withDirectiveLines(text, directives);
+  }
+
+  /**
+   * Send a message and wait for the full reply
+   * @param {string} message - User message
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<{ text: string, directives: Array }>} Spoken text and typed directives
+   */
+  async respond(message, { signal } = {}) {
     try {
       let response;
+      let reply;
+      const messages = this._buildMessages(message);
 
       if (this._useDirectApi && this._apiKey) {
         // Direct Anthropic API call (BYOK mode)
         response = await fetch('https://api.anthropic.com/v1/messages', {
           method: 'POST',
+          signal,
           headers: {
             'Content-Type': 'application/json',
             'x-api-key': this._apiKey,
@@ -52,11 +147,12 @@ export class ClaudeClient {
           },
           body: JSON.stringify({
             model: this._model,
-            max_tokens: 1024,
-            system: this._systemPrompt,
-            messages: [
-              { role: 'user', content: message }
-            ]
+            max_tokens: 2048,  // Match the proxy - stories need room for inline directives
+            // Same directive protocol as the server proxy, so BYOK responses animate too.
+            // Built per request so it reflects the engine-synced vocabulary
+            system: buildSystemPrompt(undefined, { directiveMode: this.directiveMode || 'text' }),
+            messages,
+            ...(this.directiveMode === 'tools' && { tools: getDirectiveTools() })
           })
         });
 
@@ -66,31 +162,234 @@ export class ClaudeClient {
         }
 
         const data = await response.json();
-        // Extract text from the response
-        const textContent = data.content?.find(c => c.type === 'text');
-        return textContent?.text || '';
+        // Split text blocks from tool calls
+        reply = extractReply(data.content);
 
       } else {
         // Backend proxy (uses server's API key)
-        response = await fetch(this.endpoint, {
+        response = await apiFetch(this.endpoint, {
           method: 'POST',
+          signal,
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ message })
+          body: JSON.stringify(this._proxyBody(messages))
         });
 
         if (!response.ok) {
-          const error = await response.json();
-          throw new Error(error.error || 'Chat request failed');
+          throw await apiError(response, 'Chat request failed');
         }
 
         const data = await response.json();
-        return data.response;
+        reply = { text: data.response || '', directives: data.directives || [] };
       }
+
+      // Only remember successful exchanges
+      this._remember(message, withDirectiveLines(reply.text, reply.directives));
+      return reply;
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Chat request cancelled');
+        throw error;
+      }
       console.error('Claude client error:', error);
       throw error;
     }
   }
+
+  /**
+   * Whether replies can be streamed
+   * BYOK calls use the non-streaming path
+   * @returns {boolean}
+   */
+  canStream() {
+    return !this._useDirectApi;
+  }
+
+  /**
+   * Stream a reply as it is generated
+   * Falls back to a single chunk when streaming isn't available
+   * (BYOK mode, or a proxy/provider that answers with plain JSON)
+   * @param {string} message - User message
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request mid-stream
+   * @yields {{ type: 'text', text: string }|{ type: 'directive', directive: Object }}
+   */
+  async *stream(message, { signal } = {}) {
+    if (!this.canStream()) {
+      yield* this._replyEvents(await this.respond(message, { signal }));
+      return;
+    }
+
+    const messages = this._buildMessages(message);
+    let reply = '';
+    const directives = [];
+    const toolCalls = new ToolCallCollector();
+
+    try {
+      const response = await apiFetch(this.endpoint, {
+        method: 'POST',
+        signal,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...this._proxyBody(messages), stream: true })
+      });
+
+      if (!response.ok) {
+        throw await apiError(response, 'Chat request failed');
+      }
+
+      // Non-streaming fallback - server replied with the whole response
+      const contentType = response.headers.get('Content-Type') || '';
+      if (!contentType.includes('text/event-stream')) {
+        const data = await response.json();
+        reply = data.response || '';
+        directives.push(...(data.directives || []));
+        yield* this._replyEvents({ text: reply, directives });
+      } else {
+        for await (const { data } of readSSE(response.body)) {
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch {
+            continue;
+          }
+
+          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            reply += event.delta.text;
+            yield { type: 'text', text: event.delta.text };
+          } else if (event.type === 'error') {
+            throw new Error(event.error?.message || 'Stream error');
+          } else if (event.type === 'message_stop') {
+            break;
+          } else {
+            const directive = toolCalls.handleEvent(event);
+            if (directive) {
+              directives.push(directive);
+              yield { type: 'directive', directive };
+            }
+          }
+        }
+      }
+
+      this._remember(message, withDirectiveLines(reply, directives));
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Chat stream cancelled');
+        throw error;
+      }
+      console.error('Claude client stream error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Request body for the backend proxy
+   * @param {Array} messages
+   * @returns {Object}
+   */
+  _proxyBody(messages) {
+    const body = { messages, sessionId: this.sessionId };
+    if (this.directiveMode) body.directiveMode = this.directiveMode;
+    if (this._serverModel) body.model = this._serverModel;
+    return body;
+  }
+
+  /**
+   * Turn a complete reply into stream events (non-streaming fallback)
+   * @param {{ text: string, directives: Array }} reply
+   * @yields {Object}
+   */
+  *_replyEvents({ text, directives }) {
+    if (text) yield { type: 'text', text };
+    for (const directive of directives) {
+      yield { type: 'directive', directive };
+    }
+  }
+
+  /**
+   * Build the message array for a request: history + new user message
+   * The rolling summary (if any) is prefixed to the first user turn since
+   * the Messages API has no separate slot for it.
+   * @param {string} message - New user message
+   * @returns {Array<{role: string, content: string}>}
+   */
+  _buildMessages(message) {
+    const messages = [...this._history, { role: 'user', content: message }];
+
+    if (this._summary) {
+      const first = messages[0];
+      messages[0] = {
+        role: first.role,
+        content: `[Earlier in this conversation: ${this._summary}]\n\n${first.content}`
+      };
+    }
+
+    return messages;
+  }
+
+  /**
+   * Store a completed exchange and trim history to the token budget
+   * @param {string} userText
+   * @param {string} assistantText
+   */
+  _remember(userText, assistantText) {
+    if (!assistantText) return;
+
+    this._history.push(
+      { role: 'user', content: userText },
+      { role: 'assistant', content: assistantText }
+    );
+    this._trimHistory();
+  }
+
+  /**
+   * Drop the oldest exchanges until history fits the budget,
+   * folding each dropped exchange into the summary
+   */
+  _trimHistory() {
+    const tokens = () => this._history.reduce(
+      (sum, m) => sum + Math.ceil(m.content.length / CHARS_PER_TOKEN), 0
+    );
+
+    // Always keep the latest exchange
+    while (this._history.length > 2 && tokens() > this._maxHistoryTokens) {
+      const [user, assistant] = this._history.splice(0, 2);
+      this._appendSummary(user.content, assistant.content);
+    }
+  }
+
+  /**
+   * Add a dropped exchange to the rolling summary
+   * @param {string} userText
+   * @param {string} assistantText
+   */
+  _appendSummary(userText, assistantText) {
+    const clip = (text) => {
+      const flat = text.replace(/\s+/g, ' ').trim();
+      return flat.length > SUMMARY_SNIPPET_CHARS
+        ? flat.slice(0, SUMMARY_SNIPPET_CHARS) + '...'
+        : flat;
+    };
+
+    const entry = `User said "${clip(userText)}"; Emo replied "${clip(assistantText)}".`;
+    this._summary = this._summary ? `${this._summary} ${entry}` : entry;
+
+    // Keep the most recent part of the summary if it grows too long
+    if (this._summary.length > MAX_SUMMARY_CHARS) {
+      this._summary = '...' + this._summary.slice(-MAX_SUMMARY_CHARS);
+    }
+  }
+
+  /**
+   * Generate a random session id
+   * @returns {string}
+   */
+  _createSessionId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `session-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  }
 }
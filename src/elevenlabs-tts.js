@@ -1,18 +1,61 @@
 /**
  * ElevenLabs TTS Module
  * Text-to-speech with audio amplitude analysis for mascot pulse sync
+ *
+ * Text is spoken a sentence at a time: the first sentence starts playing as
+ * soon as it arrives, and each next sentence is fetched while the one before
+ * it plays. Sentences are decoded into one AudioContext and scheduled back to
+ * back on its clock, so there are no gaps between them. Captions, progress
+ * and onCharPosition are positions in the whole text, not the sentence.
+ *
+ * Speech is requested with timestamps, so each character's start time in the
+ * audio is known: onCharPosition and the captions follow the words as they
+ * are spoken. Without timings (older server) both are estimated from how far
+ * through each sentence playback is.
+ *
+ * Each sentence is synthesized with the prosody (see prosody.js) in effect
+ * where it starts - voice settings, plus a pause before it.
  */
 
+import { apiFetch } from './api-session.js';
+import { DEFAULT_PROSODY } from './prosody.js';
+import { splitSentences } from './sentences.js';
+
+// Errors another voice can recover from (see server/rate-limit.js, server/tts-local.js)
+const FALLBACK_CODES = ['TTS_QUOTA_EXCEEDED', 'TEXT_TOO_LONG', 'TTS_UNAVAILABLE'];
+
+// How often to check whether a scheduled sentence has started (ms)
+const PLAYHEAD_POLL_MS = 50;
+
+// Custom Emo voice - used unless the listener picks another
+export const DEFAULT_VOICE_ID = '8IhxtPWIwDeFn0maVFPj';
+
 export class ElevenLabsTTS {
   constructor(mascot) {
     this.mascot = mascot;
     this.endpoint = '/api/tts';
-    this.voiceId = '8IhxtPWIwDeFn0maVFPj'; // Custom Emo voice
+    this.provider = 'elevenlabs';  // Engine behind /api/tts - LocalTTS uses 'local'
+    this.voiceId = DEFAULT_VOICE_ID;
     this.audioContext = null;
     this.analyser = null;
     this.animationFrame = null;
     this.isSpeaking = false;
-    this.currentAudio = null; // Track current audio for cancellation
+    this._finishPlayback = null; // Resolves the pending playback promise on stop()
+
+    // Sentence pipeline for the current speak()
+    this._segments = [];     // Scheduled: { offset, text, start, duration, charTimes }
+    this._sources = [];      // AudioBufferSourceNodes not yet ended (stop() silences them)
+    this._playhead = 0;      // AudioContext time the last scheduled sentence ends
+    this._charIndex = -1;    // Last position reported to onCharPosition
+    this._speechAbort = null; // Aborts sentence requests still in flight
+
+    // Held by pause() (story WAIT directives) - the AudioContext is suspended,
+    // and speech that hasn't started waits for resume()
+    this._held = false;
+    this._releaseHold = null;
+
+    // Server clip URLs by voice + text - GETs are served from the browser's HTTP cache
+    this._clipUrls = new Map();
 
     // BYOK (Bring Your Own Key) - direct API calls from browser
     this._apiKey = null;
@@ -29,7 +72,15 @@ export class ElevenLabsTTS {
     this.onChunkChange = null; // (chunkText: string, chunkIndex: number, totalChunks: number) => void
     this._chunks = [];
     this._currentChunkIndex = 0;
+    this._chunkStarts = []; // Character offset of each chunk in the text
     this._wordsPerChunk = 12; // ~2-3 lines worth of text
+
+    // Prosody for text that doesn't bring its own (speak()'s prosody option)
+    this.prosodyAt = null; // (charIndex: number) => prosody, see prosody.js
+
+    // Called instead of failing silently when ElevenLabs can't speak the text
+    // (quota used up, text too long) so the app can use another voice
+    this.onUnavailable = null; // (error, text, { signal }) => Promise
   }
 
   /**
@@ -44,20 +95,46 @@ export class ElevenLabsTTS {
 
   /**
    * Split text into chunks for CC-style display
+   * Also records where each chunk starts in the text (_chunkStarts)
    */
   _splitIntoChunks(text) {
-    const words = text.split(/\s+/);
+    const words = [...text.matchAll(/\S+/g)];
     const chunks = [];
+    this._chunkStarts = [];
 
     for (let i = 0; i < words.length; i += this._wordsPerChunk) {
-      chunks.push(words.slice(i, i + this._wordsPerChunk).join(' '));
+      chunks.push(words.slice(i, i + this._wordsPerChunk).map(word => word[0]).join(' '));
+      this._chunkStarts.push(words[i].index);
     }
 
     return chunks;
   }
 
-  async speak(text) {
-    if (!text.trim()) return;
+  /**
+   * Speak text, resolving when playback ends (or is cancelled)
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the audio download and playback
+   * @param {Function} [options.prosody] - (charIndex) => prosody where a sentence starts
+   *   (default prosodyAt)
+   */
+  async speak(text, { signal, prosody = this.prosodyAt } = {}) {
+    if (!text.trim() || signal?.aborted) return;
+
+    // Stop playback when cancelled mid-speech
+    const onAbort = () => this.stop();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    // stop() abandons the sentences still being fetched
+    const speechAbort = new AbortController();
+    this._speechAbort = speechAbort;
+
+    // A later speak() reuses isSpeaking - this one checks its own controller
+    const cancelled = () => speechAbort.signal.aborted;
+
+    const segments = splitSentences(text);
+    const prosodyAt = offset => prosody?.(offset) || DEFAULT_PROSODY;
+    let segment = segments[0];
 
     try {
       this.isSpeaking = true;
@@ -65,170 +142,394 @@ export class ElevenLabsTTS {
       // Split text into chunks for CC-style display
       this._chunks = this._splitIntoChunks(text);
       this._currentChunkIndex = 0;
+      this._textLength = text.length;
+      this._segments = [];
+      this._charIndex = -1;
 
       // Show first chunk immediately
       if (this.onChunkChange && this._chunks.length > 0) {
         this.onChunkChange(this._chunks[0], 0, this._chunks.length);
       }
 
-      // Fetch audio - either direct API (BYOK) or via backend proxy
-      let response;
-
-      if (this._useDirectApi && this._apiKey) {
-        // Direct ElevenLabs API call (BYOK mode)
-        response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${this.voiceId}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'xi-api-key': this._apiKey
-          },
-          body: JSON.stringify({
-            text,
-            model_id: 'eleven_turbo_v2_5',
-            voice_settings: {
-              stability: 0.5,
-              similarity_boost: 0.75
-            }
-          })
-        });
-      } else {
-        // Backend proxy (uses server's API key)
-        response = await fetch(this.endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            text,
-            voiceId: this.voiceId
-          })
-        });
-      }
+      let clip = this._fetchSegment(segment, prosodyAt(segment.offset), speechAbort.signal);
+
+      for (let i = 0; i < segments.length; i++) {
+        segment = segments[i];
+        const { buffer, charTimes, pause } = await clip;
+
+        // A story WAIT before the first word - don't start until it ends
+        if (i === 0) await this._untilResumed();
+        if (cancelled()) return;
+
+        const start = this._schedule(segment, buffer, charTimes, i > 0 ? pause : 0);
 
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => 'Unknown error');
-        throw new Error(`TTS request failed: ${errorText}`);
+        // Fetch the next sentence while this one plays
+        if (i + 1 < segments.length) {
+          await this._untilPlaying(start, speechAbort.signal);
+          if (cancelled()) return;
+          clip = this._fetchSegment(segments[i + 1], prosodyAt(segments[i + 1].offset), speechAbort.signal);
+          clip.catch(() => {});  // Handled when awaited - stop() may abandon it first
+        }
       }
 
-      const audioBlob = await response.blob();
-      const audioUrl = URL.createObjectURL(audioBlob);
+      await this._untilFinished();
+      if (!cancelled()) this.isSpeaking = false;
 
-      // Play audio and sync to mascot
-      await this.playWithAmplitudeSync(audioUrl);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('TTS request cancelled');
+        return;
+      }
 
-      // Cleanup
-      URL.revokeObjectURL(audioUrl);
+      // Let the sentences already scheduled finish before giving up or handing off
+      await this._untilFinished();
+      if (cancelled()) return;
       this.isSpeaking = false;
 
-    } catch (error) {
+      if (FALLBACK_CODES.includes(error.code) && this.onUnavailable) {
+        console.warn(`${this.provider} voice unavailable (${error.code}) - handing off`);
+        await this.onUnavailable(error, text.slice(segment.offset), { signal });
+        return;
+      }
       console.error('TTS error:', error);
-      this.isSpeaking = false;
       // Don't throw - allow the UI to continue showing the text
       // TTS is optional enhancement, not critical path
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (this._speechAbort === speechAbort) this._speechAbort = null;
+    }
+  }
+
+  /**
+   * Fetch and decode one sentence
+   * @param {{ text: string }} segment
+   * @param {Object} prosody - See prosody.js
+   * @param {AbortSignal} signal
+   * @returns {Promise<{ buffer: AudioBuffer, charTimes: number[]|null, pause: number }>}
+   */
+  async _fetchSegment({ text }, prosody, signal) {
+    const voiceSettings = {
+      stability: prosody.stability,
+      similarity_boost: prosody.similarityBoost,
+      style: prosody.style,
+      speed: prosody.speed
+    };
+    let response;
+
+    if (this._useDirectApi && this._apiKey) {
+      // Direct ElevenLabs API call (BYOK mode)
+      response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${this.voiceId}/with-timestamps`, {
+        method: 'POST',
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'xi-api-key': this._apiKey
+        },
+        body: JSON.stringify({
+          text,
+          model_id: 'eleven_turbo_v2_5',
+          voice_settings: voiceSettings
+        })
+      });
+    } else {
+      // Backend proxy (uses server's API key)
+      response = await this._fetchFromProxy(text, voiceSettings, signal);
+    }
+
+    if (!response.ok) {
+      throw await this._requestError(response);
+    }
+
+    const { audio, alignment } = await this._readClip(response);
+    const buffer = await this._getAudioContext().decodeAudioData(audio);
+
+    const charTimes = this._alignCharacters(text, alignment);
+    if (!charTimes) {
+      console.log('No TTS timings - estimating directive positions from playback progress');
+    }
+    return { buffer, charTimes, pause: prosody.pause };
+  }
+
+  /**
+   * Build an Error from a failed proxy or ElevenLabs response
+   * The proxy sends { error, code }; ElevenLabs sends { detail: { status, message } }
+   * @param {Response} response
+   * @returns {Promise<Error>} Error with status and code
+   */
+  async _requestError(response) {
+    const data = await response.json().catch(() => ({}));
+    const detail = typeof data.detail === 'object' ? data.detail : {};
+
+    const error = new Error(data.error || detail.message || `TTS request failed: ${response.status}`);
+    error.status = response.status;
+    error.code = data.code || (detail.status === 'quota_exceeded' ? 'TTS_QUOTA_EXCEEDED' : null);
+    error.retryAfter = data.retryAfter ?? null;
+    return error;
+  }
+
+  /**
+   * Read the audio and its timings from a TTS response
+   * The proxy sends { audio, contentType, alignment }, ElevenLabs sends
+   * { audio_base64, alignment }; a plain audio response has no timings
+   * @param {Response} response
+   * @returns {Promise<{ audio: ArrayBuffer, alignment: Object|null }>}
+   */
+  async _readClip(response) {
+    if (!response.headers.get('Content-Type')?.includes('application/json')) {
+      return { audio: await response.arrayBuffer(), alignment: null };
     }
+
+    const data = await response.json();
+    const bytes = Uint8Array.from(atob(data.audio ?? data.audio_base64), char => char.charCodeAt(0));
+    return { audio: bytes.buffer, alignment: data.alignment || null };
   }
 
-  async playWithAmplitudeSync(audioUrl) {
-    return new Promise((resolve, reject) => {
-      // Create audio element
-      const audio = new Audio(audioUrl);
-      this.currentAudio = audio; // Track for cancellation
+  /**
+   * Start time of every character of the text, indexed like the string
+   * (StoryDirector positions are string indices)
+   * @param {string} text - Text that was synthesized
+   * @param {Object|null} alignment - { characters, character_start_times_seconds }
+   * @returns {number[]|null} null if there are no timings or they're for different text
+   */
+  _alignCharacters(text, alignment) {
+    const starts = alignment?.character_start_times_seconds;
+    if (!starts?.length || alignment.characters?.join('') !== text) return null;
+
+    // Characters outside the BMP are two string indices
+    const times = [];
+    alignment.characters.forEach((char, i) => {
+      for (let unit = 0; unit < char.length; unit++) times.push(starts[i]);
+    });
+    return times;
+  }
 
-      // Setup Web Audio API for amplitude analysis
-      if (!this.audioContext) {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  /**
+   * Index of the character being spoken at a playback time
+   * @param {number[]} times - Start time of each character
+   * @param {number} time - Seconds into the audio
+   * @returns {number} Last character that has started (0 before the first)
+   */
+  _charAt(times, time) {
+    let low = 0;
+    let high = times.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (times[mid] <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
       }
+    }
+    return low;
+  }
+
+  /**
+   * Fetch audio through the backend, reusing a previously served clip when possible
+   * @param {string} text
+   * @param {Object} voiceSettings - ElevenLabs voice_settings
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Response>}
+   */
+  async _fetchFromProxy(text, voiceSettings, signal) {
+    const clipId = `${this.provider}\n${this.voiceId}\n${JSON.stringify(voiceSettings)}\n${text}`;
+    const clipUrl = this._clipUrls.get(clipId);
+
+    if (clipUrl) {
+      const cached = await apiFetch(clipUrl, { signal });
+      if (cached.ok) return cached;
+      this._clipUrls.delete(clipId);  // Evicted on the server - synthesize again
+    }
+
+    const response = await apiFetch(this.endpoint, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        text,
+        voiceId: this.voiceId,
+        voiceSettings,
+        timestamps: true,
+        provider: this.provider
+      })
+    });
+
+    const location = response.headers.get('Content-Location');
+    if (response.ok && location) {
+      this._clipUrls.set(clipId, location);
+    }
+
+    return response;
+  }
 
-      const source = this.audioContext.createMediaElementSource(audio);
+  /**
+   * The shared AudioContext, with the analyser every sentence plays through
+   */
+  _getAudioContext() {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       this.analyser = this.audioContext.createAnalyser();
       this.analyser.fftSize = 256;
-
-      source.connect(this.analyser);
       this.analyser.connect(this.audioContext.destination);
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * Queue a decoded sentence right after the previous one
+   * @param {{ offset: number, text: string }} segment
+   * @param {AudioBuffer} buffer
+   * @param {number[]|null} charTimes
+   * @param {number} pause - Silence before the sentence (ms)
+   * @returns {number} AudioContext time the sentence starts
+   */
+  _schedule(segment, buffer, charTimes, pause) {
+    const context = this._getAudioContext();
 
-      const dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+    // Browsers start contexts suspended without a recent tap - held ones stay paused
+    if (context.state === 'suspended' && !this._held) {
+      context.resume().catch(error => console.warn('TTS resume failed:', error));
+    }
 
-      // Animation loop for amplitude tracking
-      const trackAmplitude = () => {
-        if (!this.isSpeaking) return;
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.analyser);
+
+    // Gapless after the previous sentence (plus the prosody pause), or now if
+    // it already ended (the next sentence took longer to arrive than this one took to play)
+    const start = Math.max(context.currentTime, this._segments.length ? this._playhead + pause / 1000 : 0);
+    source.start(start);
+    this._playhead = start + buffer.duration;
+
+    this._sources.push(source);
+    this._segments.push({ ...segment, start, duration: buffer.duration, charTimes });
+
+    source.onended = () => {
+      this._sources = this._sources.filter(other => other !== source);
+      if (!this._sources.length && this._finishPlayback) {
+        const finish = this._finishPlayback;
+        this._finishPlayback = null;
+        finish();
+      }
+    };
 
-        this.analyser.getByteFrequencyData(dataArray);
+    if (!this.animationFrame) this._trackPlayback();
+    return start;
+  }
 
-        // Calculate average amplitude
-        let sum = 0;
-        for (let i = 0; i < dataArray.length; i++) {
-          sum += dataArray[i];
+  /**
+   * Resolves once the AudioContext clock reaches a time (or speech is cancelled)
+   * Polls, since a suspended context's clock stands still
+   */
+  _untilPlaying(time, signal) {
+    return new Promise(resolve => {
+      const check = () => {
+        if (signal.aborted || this.audioContext.currentTime >= time) {
+          resolve();
+        } else {
+          setTimeout(check, PLAYHEAD_POLL_MS);
         }
-        const average = sum / dataArray.length;
-        const normalized = average / 255; // 0-1 range
+      };
+      check();
+    });
+  }
 
-        // Map amplitude to mascot intensity (0.4 - 1.0 range)
-        const intensity = 0.4 + (normalized * 0.6);
+  /**
+   * Resolves when every scheduled sentence has played (or on stop())
+   */
+  _untilFinished() {
+    if (!this._sources.length) return Promise.resolve();
+    return new Promise(resolve => {
+      this._finishPlayback = resolve;
+    }).then(() => {
+      if (!this.isSpeaking) return;  // Stopped - stop() already cleaned up
+      console.log('TTS ended');
+      this.stopAmplitudeTracking();
+      if (this.onProgress) {
+        this.onProgress(1); // Complete
+      }
+    });
+  }
 
-        // Update mascot - modulate bloom and emission warmth based on voice amplitude
-        if (this.mascot && this.mascot.setIntensity) {
-          this.mascot.setIntensity(intensity);
-        }
+  /**
+   * Animation loop: amplitude for the mascot, position for directives and captions
+   */
+  _trackPlayback() {
+    const dataArray = new Uint8Array(this.analyser.frequencyBinCount);
 
-        this.animationFrame = requestAnimationFrame(trackAmplitude);
-      };
+    const track = () => {
+      if (!this.isSpeaking) return;
 
-      // CC-style chunk tracking
-      const trackChunks = () => {
-        if (!this.isSpeaking || !audio.duration || this._chunks.length === 0) return;
+      this.analyser.getByteFrequencyData(dataArray);
 
-        const progress = audio.currentTime / audio.duration;
+      // Calculate average amplitude
+      let sum = 0;
+      for (let i = 0; i < dataArray.length; i++) {
+        sum += dataArray[i];
+      }
+      const average = sum / dataArray.length;
+      const normalized = average / 255; // 0-1 range
 
-        if (this.onProgress) {
-          this.onProgress(progress);
-        }
+      // Map amplitude to mascot intensity (0.4 - 1.0 range)
+      const intensity = 0.4 + (normalized * 0.6);
 
-        // Calculate which chunk we should be on based on progress
-        // Each chunk represents an equal portion of the audio
-        const expectedChunkIndex = Math.floor(progress * this._chunks.length);
-
-        // Only advance to next chunk, never go backwards
-        // This ensures text stays visible until TTS catches up
-        if (expectedChunkIndex > this._currentChunkIndex && expectedChunkIndex < this._chunks.length) {
-          this._currentChunkIndex = expectedChunkIndex;
-          if (this.onChunkChange) {
-            this.onChunkChange(
-              this._chunks[this._currentChunkIndex],
-              this._currentChunkIndex,
-              this._chunks.length
-            );
-          }
-        }
-      };
+      // Update mascot - modulate bloom and emission warmth based on voice amplitude
+      if (this.mascot && this.mascot.setIntensity) {
+        this.mascot.setIntensity(intensity);
+      }
 
-      // Event handlers
-      audio.onplay = () => {
-        console.log('TTS playing');
-        trackAmplitude();
-      };
+      this._trackPosition();
 
-      audio.ontimeupdate = trackChunks;
+      this.animationFrame = requestAnimationFrame(track);
+    };
 
-      audio.onended = () => {
-        console.log('TTS ended');
-        this.currentAudio = null;
-        this.stopAmplitudeTracking();
-        if (this.onProgress) {
-          this.onProgress(1); // Complete
-        }
-        resolve();
-      };
+    console.log('TTS playing');
+    track();
+  }
 
-      audio.onerror = (error) => {
-        console.error('Audio playback error:', error);
-        this.currentAudio = null;
-        this.stopAmplitudeTracking();
-        reject(error);
-      };
+  /**
+   * Report the character being spoken and advance the captions
+   */
+  _trackPosition() {
+    const now = this.audioContext.currentTime;
+    const segment = this._segments.findLast(scheduled => scheduled.start <= now);
+    if (!segment || this._chunks.length === 0) return;
+
+    // Timed: the character being spoken; otherwise an estimate from progress
+    // through the sentence. Either way offset into the whole text
+    const elapsed = Math.min(now - segment.start, segment.duration);
+    const local = segment.charTimes
+      ? this._charAt(segment.charTimes, elapsed)
+      : Math.floor(elapsed / segment.duration * segment.text.length);
+    const charIndex = segment.offset + local;
+    if (charIndex === this._charIndex) return;
+    this._charIndex = charIndex;
+
+    if (this.onCharPosition) {
+      this.onCharPosition(charIndex);
+    }
 
-      // Start playback
-      audio.play().catch(reject);
-    });
+    if (this.onProgress) {
+      this.onProgress(charIndex / this._textLength);
+    }
+
+    // The chunk holding that character
+    const expectedChunkIndex = this._chunkStarts.findLastIndex(start => start <= charIndex);
+
+    // Only advance to next chunk, never go backwards
+    // This ensures text stays visible until TTS catches up
+    if (expectedChunkIndex > this._currentChunkIndex && expectedChunkIndex < this._chunks.length) {
+      this._currentChunkIndex = expectedChunkIndex;
+      if (this.onChunkChange) {
+        this.onChunkChange(
+          this._chunks[this._currentChunkIndex],
+          this._currentChunkIndex,
+          this._chunks.length
+        );
+      }
+    }
   }
 
   stopAmplitudeTracking() {
@@ -243,30 +544,86 @@ export class ElevenLabsTTS {
     }
   }
 
+  /**
+   * Pause playback until resume() - used for story WAIT directives
+   * If nothing is playing yet, speak() waits before starting
+   */
+  pause() {
+    this._held = true;
+    this.audioContext?.suspend();
+  }
+
+  /**
+   * Continue playback held by pause()
+   */
+  resume() {
+    if (!this._held) return;
+    this._held = false;
+    if (this.audioContext?.state === 'suspended') {
+      this.audioContext.resume().catch(error => console.warn('TTS resume failed:', error));
+    }
+    this._releaseHold?.();
+  }
+
+  /**
+   * Resolves once not held (immediately if not paused)
+   */
+  _untilResumed() {
+    if (!this._held) return Promise.resolve();
+    return new Promise(resolve => {
+      this._releaseHold = () => {
+        this._releaseHold = null;
+        resolve();
+      };
+    });
+  }
+
   /**
    * Stop current audio playback (for cancel button)
+   * A speak() waiting on pause() returns without playing
    */
   stop() {
     console.log('TTS stop called');
     this.isSpeaking = false;
+    this._speechAbort?.abort();
+
+    // Drop a WAIT hold too - otherwise the next speak() waits for a resume()
+    // that never comes, or plays into a suspended context
+    this._held = false;
+    this._releaseHold?.();
+    if (this.audioContext?.state === 'suspended') {
+      this.audioContext.resume().catch(error => console.warn('TTS resume failed:', error));
+    }
+
+    // Scheduled sentences - including ones that haven't started yet
+    for (const source of this._sources) {
+      source.onended = null;
+      source.stop();
+    }
+    this._sources = [];
+    this._segments = [];
 
-    if (this.currentAudio) {
-      this.currentAudio.pause();
-      this.currentAudio.currentTime = 0;
-      this.currentAudio = null;
+    // A held (suspended) context never fires 'ended' - settle the pending speak() ourselves
+    if (this._finishPlayback) {
+      this._finishPlayback();
+      this._finishPlayback = null;
     }
 
     this.stopAmplitudeTracking();
   }
 
+  // null goes back to the default voice
   setVoice(voiceId) {
-    this.voiceId = voiceId;
+    this.voiceId = voiceId || DEFAULT_VOICE_ID;
   }
 
-  // Fetch available voices
+  // Fetch available voices - the BYOK key's own, else the server key's
   async getVoices() {
     try {
-      const response = await fetch('/api/voices');
+      const response = this._useDirectApi
+        ? await fetch('https://api.elevenlabs.io/v1/voices', { headers: { 'xi-api-key': this._apiKey } })
+        : await apiFetch('/api/voices');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
       const data = await response.json();
       return data.voices || [];
     } catch (error) {
@@ -29,7 +29,7 @@ export class HoloPhone {
 
     // Screen content state
     this._screenText = 'Hold to speak';
-    this._screenState = 'idle';  // idle, listening, processing, speaking, carousel, meditation, panel, music
+    this._screenState = 'idle';  // idle, listening, processing, speaking, carousel, meditation, panel, music, choices
     this._animationFrame = 0;
     this._progress = 0;  // TTS progress 0-1
 
@@ -44,6 +44,12 @@ export class HoloPhone {
     // Meditation state
     this._meditationData = null;  // { phase, timer, cycle, maxCycles }
 
+    // Story choice state
+    this._choiceData = null;  // { choices: [{ id, label }], listening }
+
+    // Story transport controls in the speaking state (null = not a story)
+    this._storyControls = null;  // { paused }
+
     // Logo image for idle state
     this._logoImage = null;
     this._loadLogoImage();
@@ -179,6 +185,9 @@ export class HoloPhone {
       case 'music':
         this._drawMusicState(ctx, w, h);
         break;
+      case 'choices':
+        this._drawChoicesState(ctx, w, h);
+        break;
       default:
         this._drawIdleState(ctx, w, h);
     }
@@ -440,8 +449,9 @@ export class HoloPhone {
 
   /**
    * Draw a circular music control button
+   * Also used for story transport controls (regions = speaking hit regions)
    */
-  _drawMusicButton(ctx, x, y, radius, icon, hitName, pulse, accentColor, accentRGB, isActive = false) {
+  _drawMusicButton(ctx, x, y, radius, icon, hitName, pulse, accentColor, accentRGB, isActive = false, regions = this._carouselHitRegions) {
     // Check if button is pressed
     const isPressed = this._pressedButton === hitName;
     const pressProgress = isPressed
@@ -481,7 +491,7 @@ export class HoloPhone {
     ctx.fillText(icon, x, y);
 
     // Hit region
-    this._carouselHitRegions.push({
+    regions.push({
       name: hitName,
       x: x - radius - 5,
       y: y - radius - 5,
@@ -699,9 +709,10 @@ export class HoloPhone {
     }
     if (currentLine) lines.push(currentLine);
 
-    // Draw lines centered in content area
+    // Draw lines centered in content area (above the controls during stories)
     const lineHeight = 32;
-    const startY = h / 2 - (lines.length * lineHeight) / 2;
+    const textCenterY = this._storyControls ? 50 : h / 2;
+    const startY = textCenterY - (lines.length * lineHeight) / 2;
     lines.forEach((line, i) => {
       ctx.fillText(line, contentCenterX, startY + i * lineHeight);
     });
@@ -709,6 +720,20 @@ export class HoloPhone {
     // Reset shadow for other elements
     ctx.shadowBlur = 0;
 
+    // Story transport - back a sentence, pause/resume, forward a sentence
+    if (this._storyControls) {
+      const accentColor = '#84CFC5';
+      const accentRGB = '132, 207, 197';
+      const pulse = Math.sin(performance.now() / 1000 * 2) * 0.5 + 0.5;
+      const controlY = h / 2 + 20;
+      const buttonSpacing = 70;
+      const { paused } = this._storyControls;
+
+      this._drawMusicButton(ctx, contentCenterX - buttonSpacing, controlY, 22, '⏮', 'story-back', pulse, accentColor, accentRGB, false, this._speakingHitRegions);
+      this._drawMusicButton(ctx, contentCenterX, controlY, 28, paused ? '▶' : '⏸', 'story-play', pulse, accentColor, accentRGB, !paused, this._speakingHitRegions);
+      this._drawMusicButton(ctx, contentCenterX + buttonSpacing, controlY, 22, '⏭', 'story-forward', pulse, accentColor, accentRGB, false, this._speakingHitRegions);
+    }
+
     // Progress bar at bottom - teal theme (in content area)
     const barY = h - 35;
     const barWidth = contentWidth - 20;
@@ -734,7 +759,17 @@ export class HoloPhone {
   }
 
   /**
-   * Get hit region for speaking state (cancel button)
+   * Show or hide story transport controls in the speaking state
+   * @param {Object|null} controls - null for ordinary replies
+   * @param {boolean} controls.paused - Show resume instead of pause
+   */
+  setStoryControls(controls) {
+    this._storyControls = controls;
+    this._renderScreen();
+  }
+
+  /**
+   * Get hit region for speaking state (cancel button, story controls)
    */
   getSpeakingHitRegion(canvasX, canvasY) {
     if (!this._speakingHitRegions) return null;
@@ -747,6 +782,78 @@ export class HoloPhone {
     return null;
   }
 
+  // ==================== STORY CHOICE STATE ====================
+
+  /**
+   * Show the choices at the end of an interactive story node
+   * @param {Object|null} data - null to leave choice mode
+   * @param {Array<{ id: string, label: string }>} data.choices
+   * @param {boolean} data.listening - Whether the mic is open for a spoken choice
+   */
+  setChoiceData(data) {
+    this._choiceData = data;
+    if (data) {
+      this._screenState = 'choices';
+    } else if (this._screenState === 'choices') {
+      this._screenState = 'idle';
+      this._screenText = 'Hold to speak';
+    }
+    this._renderScreen();
+  }
+
+  /**
+   * Draw story choices - cancel bracket, prompt and one pill per choice
+   * Pills share a row when they fit, otherwise each gets its own row
+   * Hit regions: 'cancel' and 'choice-<index>' (extra.id = choice id)
+   */
+  _drawChoicesState(ctx, w, h) {
+    this._speakingHitRegions = [];
+    this._drawCancelBracket(ctx, w, h);
+    if (!this._choiceData) return;
+
+    const { choices, listening } = this._choiceData;
+
+    // Content area starts after bracket
+    const bracketWidth = 80;
+    const bracketInset = 4;
+    const contentStartX = bracketWidth + bracketInset + 20;
+    const contentWidth = w - contentStartX - 20;
+    const promptHeight = 44;
+
+    // Prompt - blue glow while the mic is open, like the listening state
+    ctx.shadowColor = listening ? 'rgba(50, 172, 226, 0.7)' : 'rgba(132, 207, 197, 0.5)';
+    ctx.shadowBlur = 12;
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '400 20px Poppins, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(listening ? 'Say or tap a choice...' : 'Tap a choice, or hold to speak',
+      contentStartX + contentWidth / 2, promptHeight / 2 + 6);
+    ctx.shadowBlur = 0;
+
+    // Same measurements as drawTextPills (padding, checkmark space, spacing)
+    ctx.font = '600 16px Poppins, sans-serif';
+    const rowWidth = choices.reduce((total, choice) => total + ctx.measureText(choice.label.toUpperCase()).width + 70, 0) +
+      (choices.length - 1) * 14;
+    const rows = rowWidth <= contentWidth ? [choices] : choices.map(choice => [choice]);
+    const rowHeight = (h - promptHeight - 8) / rows.length;
+
+    let index = 0;
+    rows.forEach((row, r) => {
+      const regions = this.drawTextPills(ctx, {
+        items: row.map(choice => ({ id: choice.id, label: choice.label })),
+        selectedIndices: [],
+        centerX: contentStartX,
+        centerWidth: contentWidth
+      }, promptHeight + r * rowHeight, rowHeight, w);
+
+      for (const region of regions) {
+        this._speakingHitRegions.push({ ...region, name: `choice-${index}`, extra: { ...region.extra, index } });
+        index++;
+      }
+    });
+  }
+
   // ==================== MEDITATION STATE ====================
 
   /**
@@ -1105,7 +1212,7 @@ export class HoloPhone {
    * SSS color mapping for crystal variants
    */
   static SSS_COLORS = {
-    'default': '#ffffff',  // Quartz (white)
+    'quartz': '#ffffff',   // Quartz (white)
     'ruby': '#e0115f',     // Ruby (red)
     'citrine': '#e4a700',  // Citrine (yellow/orange)
     'emerald': '#4AB888',  // Brand-harmonized mint green (HSL 156°)
@@ -1728,7 +1835,7 @@ export class HoloPhone {
     // Create gradient from all variant colors
     const gradient = ctx.createLinearGradient(sliderX, 0, sliderX + sliderW, 0);
     variants.forEach((variant, i) => {
-      const color = HoloPhone.SSS_COLORS[variant.preset] || HoloPhone.SSS_COLORS['default'];
+      const color = HoloPhone.SSS_COLORS[variant.preset] || HoloPhone.SSS_COLORS.quartz;
       const stop = i / (variants.length - 1);
       gradient.addColorStop(stop, color);
     });
@@ -1749,7 +1856,7 @@ export class HoloPhone {
     const knobX = sliderX + knobProgress * sliderW;
 
     // Get current color
-    const currentColor = HoloPhone.SSS_COLORS[variants[currentIdx]?.preset] || HoloPhone.SSS_COLORS['default'];
+    const currentColor = HoloPhone.SSS_COLORS[variants[currentIdx]?.preset] || HoloPhone.SSS_COLORS.quartz;
 
     // Subtle outer glow
     ctx.shadowColor = currentColor;
@@ -1886,7 +1993,7 @@ export class HoloPhone {
     const pillHeight = 40;
     const pillPadding = 18;
     const spacing = 12;
-    const phaseVariantActive = variants[currentIdx]?.name === 'phase';
+    const phaseVariantActive = variants[currentIdx]?.name === 'off';  // No eclipse
 
     // Pills positioned at 30% of height
     const pillY = y + height * 0.30 - pillHeight / 2;
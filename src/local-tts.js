@@ -0,0 +1,46 @@
+/**
+ * Local TTS Module
+ * Speech from a locally hosted neural engine (Piper, Kokoro... anything with
+ * an OpenAI-compatible /v1/audio/speech), through the server's /api/tts
+ *
+ * Same pipeline as ElevenLabsTTS - sentences fetched ahead and scheduled on
+ * one AudioContext, with the analyser driving the mascot's pulse. Local
+ * clips have no character timings, so directive and caption positions are
+ * estimated from playback progress. Of the prosody only speed and the pause
+ * before each sentence apply.
+ *
+ * The server picks the engine (LOCAL_TTS_URL, see server/tts-local.js); there
+ * is no key to bring.
+ */
+
+import { ElevenLabsTTS } from './elevenlabs-tts.js';
+import { apiFetch } from './api-session.js';
+
+export class LocalTTS extends ElevenLabsTTS {
+  constructor(mascot) {
+    super(mascot);
+    this.provider = 'local';
+    this.voiceId = '';  // The server's LOCAL_TTS_VOICE
+  }
+
+  // Always through the server - never BYOK
+  setApiKey() {}
+
+  // null goes back to the server's voice
+  setVoice(voiceId) {
+    this.voiceId = voiceId || '';
+  }
+
+  // Voices the server offers (LOCAL_TTS_VOICES)
+  async getVoices() {
+    try {
+      const response = await apiFetch('/api/voices?provider=local');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      return data.voices || [];
+    } catch (error) {
+      console.error('Failed to fetch local voices:', error);
+      return [];
+    }
+  }
+}
@@ -6,8 +6,17 @@
 // Detect base path for assets (handles GitHub Pages /emotive-holo/ prefix)
 const BASE_PATH = window.location.pathname.includes('/emotive-holo/') ? '/emotive-holo' : '';
 
+// Story background music sits under the narration
+const STORY_MUSIC_VOLUME = 0.25;
+
+// Skipping back this close to a sentence start goes to the previous sentence (~1s of speech)
+const STORY_RESTART_GRACE_CHARS = 20;
+
+// How long moon phase / eclipse tweens take when a story or meditation hands the look back
+const SCENE_RESTORE_MS = 1500;
+
 import * as THREE from 'three';
-import { EmotiveMascot3D, CrystalSoul } from '@joshtol/emotive-engine/3d';
+import { EmotiveMascot3D, CrystalSoul, animateMoonPhase } from '@joshtol/emotive-engine/3d';
 import { VoiceInput } from './voice-input.js';
 import { ClaudeClient } from './claude-client.js';
 import { NativeTTS } from './native-tts.js';
@@ -18,6 +27,10 @@ import { EmitterBase } from './emitter-base.js';
 import { HoloPhone } from './holo-phone.js';
 import { layoutScaler } from './layout-scaler.js';
 import { StoryDirector } from './story-director.js';
+import './app-directives.js';  // [SOUND:...] and other app-registered directives
+import { getStory, matchChoice } from './story-library.js';
+import { syncVocabularyFromEngine } from './vocabulary.js';
+import { SafeMascot } from './safe-mascot.js';
 import { TutorialController } from './tutorial.js';
 import { EffectsPanel } from './panels/effects-panel.js';
 import { MeditatePanel } from './panels/meditate-panel.js';
@@ -27,13 +40,15 @@ import { MusicPanel } from './panels/music-panel.js';
 import { MoodPanel } from './panels/mood-panel.js';
 import { animateMascotFloat } from './panels/menu-panel.js';
 import { ElevenLabsTTS } from './elevenlabs-tts.js';
+import { LocalTTS } from './local-tts.js';
+import { prosodyFor } from './prosody.js';
 import { MenuManager } from './menu-manager.js';
 import './shadow-debug.js'; // Auto-inits if ?shadow-debug=contact|core|penumbra in URL
 
 class EmoAssistant {
   constructor() {
     // State
-    this.state = 'idle'; // idle, listening, thinking, speaking, meditation, carousel, menu, tutorial
+    this.state = 'idle'; // idle, listening, thinking, speaking, choosing, meditation, carousel, menu, tutorial
     this.currentGeometry = 'crystal';
     this.mascot = null;
 
@@ -67,6 +82,19 @@ class EmoAssistant {
     this.storyDirector = null;
     this.tutorial = null;
 
+    // Clean-text offset of the sentence being spoken (streamed replies)
+    this._ttsCharOffset = 0;
+
+    // Pending choice in an interactive story: { choices, resolve }
+    this._storyChoice = null;
+
+    // Story node being narrated: { text, initial, from, seekTo, controller, music }
+    this._storyPlayback = null;
+
+    // Mascot look from before the current story, meditation or directive reply
+    // (SafeMascot.getVisualState), restored when it ends - null outside one
+    this._sceneSnapshot = null;
+
     // Menu navigation manager
     this.menuManager = new MenuManager({
       onStateChange: (state, stack) => {
@@ -77,6 +105,7 @@ class EmoAssistant {
     // TTS instances (native and elevenlabs)
     this.nativeTTS = null;
     this.elevenLabsTTS = null;
+    this.localTTS = null;
 
     // DOM elements
     this.elements = {
@@ -153,6 +182,24 @@ class EmoAssistant {
     await this.mascot.init(this.elements.container);
     this.mascot.start();
 
+    // Narrow the vocabulary to this engine build before any menu, panel or
+    // validator reads it
+    syncVocabularyFromEngine(this.mascot);
+
+    // Everything below talks to the engine through the validating facade -
+    // bad values are corrected or dropped (see this.mascot.getDiagnostics())
+    // It also tracks the look, seeded with what the engine was created with
+    this.mascot = new SafeMascot(this.mascot, {
+      initialState: {
+        geometry: this.currentGeometry,
+        undertone: this.mascot.undertone ?? null,
+        toggles: {
+          particles: true, blinking: false, breathing: true, autorotate: true, glow: true,
+          ...(typeof this.mascot.wobbleEnabled === 'boolean' && { wobble: this.mascot.wobbleEnabled })
+        }
+      }
+    });
+
     // Keep OrbitControls target at origin (where mascot is) so rotation keeps mascot centered
     // Shift target to adjust mascot vertical position on screen
     // Negative Y = mascot appears higher, Positive Y = mascot appears lower
@@ -435,15 +482,28 @@ class EmoAssistant {
     }, 100);
 
     // Set initial calm state
-    this.mascot.feel('calm, gentle breathing');
+    this.mascot.feel('calm, breathe');
 
     // Initialize modules
     this.voiceInput = new VoiceInput();
     this.claude = new ClaudeClient();
 
-    // Initialize both TTS engines
+    // Initialize the TTS engines
     this.nativeTTS = new NativeTTS(this.mascot);
     this.elevenLabsTTS = new ElevenLabsTTS(this.mascot);
+    this.localTTS = new LocalTTS(this.mascot);
+    this.elevenLabsTTS.onUnavailable = this.localTTS.onUnavailable =
+      (error, text, options) => this._handleVoiceUnavailable(error, text, options);
+
+    // Speech follows Emo's current mood; text with inline directives passes
+    // _prosodyFrom() instead, so a FEEL mid-story changes the voice too
+    this.nativeTTS.prosodyAt = this.elevenLabsTTS.prosodyAt = this.localTTS.prosodyAt =
+      () => prosodyFor(this._currentMood());
+
+    // Engines for the Settings voice picker (created on first use) - previews
+    // don't touch the app's voice, captions or directives
+    this._voiceEngines = {};
+    this._voicePreview = null;
 
     // Check for saved TTS preference and API key
     this._initTTS();
@@ -495,7 +555,22 @@ class EmoAssistant {
     });
 
     // StoryDirector for inline story directives
-    this.storyDirector = new StoryDirector(this.mascot);
+    // TOGGLE directives go through applyToggle() like the effects panel,
+    // registered directives (app-directives.js) get the app as their host
+    this.storyDirector = new StoryDirector(this.mascot, {
+      host: this,
+      applyToggle: (feature, enabled) => this.applyToggle(feature, enabled),
+      // [WAIT:ms] / [PAUSE] hold whichever TTS engine is active
+      pauseSpeech: () => this.tts.pause?.(),
+      resumeSpeech: () => this.tts.resume?.(),
+      // [PHASE:name,ms] animates the moon material's phase uniform
+      tweenMoonPhase: (phase, durationMs) => {
+        const material = this.mascot.core3D?.customMaterial;
+        if (!material?.uniforms) throw new Error('moon material not ready');
+        animateMoonPhase(material, phase, durationMs);
+        this.mascot.recordState({ phase });
+      }
+    });
 
     // Stories panel for narrative selection
     this.storiesPanel = new StoriesPanel({
@@ -536,7 +611,9 @@ class EmoAssistant {
       onSettingsChange: (settings) => {
         console.log('Settings changed:', settings);
         this._handleTTSSettingsChange(settings);
-      }
+      },
+      getVoices: (provider) => this._voiceEngine(provider).getVoices(),
+      onPreviewVoice: (choice) => this._previewVoice(choice)
     });
 
     // Music panel for background music selection
@@ -714,6 +791,12 @@ class EmoAssistant {
         return;
       }
 
+      // Story choice pills (and cancel)
+      if (this.state === 'choosing') {
+        this._handleChoiceTouch(e.clientX, e.clientY);
+        return;
+      }
+
       // Check for speaking/processing state cancel button
       if (this.state === 'speaking' || this.state === 'processing') {
         this._handleSpeakingTouch(e.clientX, e.clientY);
@@ -806,6 +889,13 @@ class EmoAssistant {
         return;
       }
 
+      // Story choice pills (and cancel)
+      if (this.state === 'choosing') {
+        const touch = e.touches[0];
+        this._handleChoiceTouch(touch.clientX, touch.clientY);
+        return;
+      }
+
       // Check for speaking/processing state cancel button
       if (this.state === 'speaking' || this.state === 'processing') {
         const touch = e.touches[0];
@@ -893,6 +983,16 @@ class EmoAssistant {
         e.preventDefault();
         this.startListening();
       }
+      // During a story: space pauses / resumes, arrows skip by sentence
+      if (this._storyPlayback && !e.repeat) {
+        if (e.code === 'Space') {
+          e.preventDefault();
+          this._toggleStoryPause();
+        } else if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+          e.preventDefault();
+          this._skipStorySentence(e.code === 'ArrowLeft' ? -1 : 1);
+        }
+      }
       // Escape key cancels meditation, menu, or current operation
       if (e.code === 'Escape') {
         e.preventDefault();
@@ -939,18 +1039,29 @@ class EmoAssistant {
     // Meditation end callback
     this.meditation.onEnd = () => {
       this.setState('idle');
+      this._endVisualScene();
       // Resume music if it was paused for meditation
       this._resumeMusicAfterMode();
     };
 
     // Voice input result
     this.voiceInput.onResult = (transcript) => {
+      // A spoken story choice, not a question for the assistant
+      if (this._storyChoice) {
+        this._handleStoryChoiceSpeech(transcript);
+        return;
+      }
       this.handleVoiceInput(transcript);
     };
 
     // Voice input error
     this.voiceInput.onError = (error) => {
       console.error('Voice input error:', error);
+      // Story choices stay up - tapping still works
+      if (this._storyChoice) {
+        this._showStoryChoices(false);
+        return;
+      }
       // Show more helpful error messages
       if (error === 'not-allowed' || error === 'permission-denied') {
         this.setScreen('Microphone access denied', '');
@@ -994,7 +1105,7 @@ class EmoAssistant {
 
     // Only set attentive emotion if user hasn't requested a persistent emotion
     if (!this._userRequestedEmotion) {
-      this.mascot.feel('attentive, alert');
+      this.mascot.feel('focused, lean');
     }
 
     // Start voice recognition
@@ -1062,6 +1173,16 @@ class EmoAssistant {
     }
 
     console.log('User said:', transcript);
+
+    // "Forget everything" / "new conversation" - handled locally, no API call
+    if (this.isForgetRequest(transcript)) {
+      await this._forgetConversation();
+      return;
+    }
+
+    // Inline directives may change the look mid-reply - keep what it was to hand back
+    this._beginVisualScene();
+
     this.setState('thinking');
     this.setScreen('Thinking...', '');
     // Only set thinking emotion if user hasn't requested a persistent one
@@ -1069,13 +1190,29 @@ class EmoAssistant {
       this.mascot.feel('focused, orbit');
     }
 
+    // New request supersedes any still in flight
+    if (this._abortController) {
+      this._abortController.abort();
+    }
+    const abortController = new AbortController();
+    this._abortController = abortController;
+    const { signal } = abortController;
+
     try {
+      // Stream the reply when possible so speech starts with the first sentence
+      // Meditation requests use the full response - the intro must finish before breathing starts
+      if (this.claude.canStream() && !this.isMeditationRequest(transcript)) {
+        await this._handleStreamingResponse(transcript, signal);
+        return;
+      }
+
       // Get response from Claude
-      const response = await this.claude.chat(transcript);
-      console.log('Claude response:', response);
+      const reply = await this.claude.respond(transcript, { signal });
+      console.log('Claude response:', reply);
 
-      // Parse response for all directives
-      const { text, feel, morph, startMeditation, toggles, preset, undertone, chain, camera } = this.parseResponse(response);
+      // Parse response for all directives (text lines plus any tool-call directives)
+      const { text, feel, morph, startMeditation, toggles, preset, undertone, chain, camera, celestial, custom } =
+        this.parseResponse(reply.text, reply.directives);
 
       // Check for meditation mode
       if (startMeditation || this.isMeditationRequest(transcript)) {
@@ -1105,7 +1242,9 @@ class EmoAssistant {
         // (meditation state is set after intro TTS completes)
         this.setState('speaking');
         this.setScreen('', 'speaking');  // TTS onChunkChange will populate chunks
-        await this.tts.speak(cleanMeditationText);
+        this.storyDirector.updateProgress(0);  // Leading directives, including a WAIT before speech
+        await this.tts.speak(cleanMeditationText, { signal, prosody: this._prosodyFrom(0) });
+        if (signal.aborted) return;
 
         // Trigger any remaining directives
         this.storyDirector.triggerRemaining();
@@ -1130,62 +1269,25 @@ class EmoAssistant {
       // Just set speaking state, first chunk shown by TTS.speak()
       this.setScreen('', 'speaking');
 
-      // Apply morph directive if present (end-of-response directive)
-      if (morph && this.mascot.morphTo) {
-        console.log('Morphing to:', morph);
-        this.mascot.morphTo(morph);
-        this.currentGeometry = morph;  // Track for auto-revert
-      }
-
-      // Apply feel directive (end-of-response directive)
-      // Skip if we have inline directives - let StoryDirector handle emotions
-      if (feel && !hasInlineDirectives) {
-        this.mascot.feel(feel);
-        // Mark as user-requested so it won't auto-revert
-        this._userRequestedEmotion = true;
-      } else if (!hasInlineDirectives) {
-        // No feel directive and no inline directives - clear the persistent emotion flag
-        this._userRequestedEmotion = false;
-      }
-
-      // Apply undertone if present
-      if (undertone && this.mascot.updateUndertone) {
-        console.log('Setting undertone:', undertone);
-        this.mascot.updateUndertone(undertone);
-      }
-
-      // Apply toggle directives
-      for (const toggle of toggles) {
-        this.applyToggle(toggle.feature, toggle.enabled);
-      }
-
-      // Apply SSS preset if present
-      if (preset && this.mascot.setSSSPreset) {
-        console.log('Applying preset:', preset);
-        this.mascot.setSSSPreset(preset);
-      }
-
-      // Apply gesture chain if present (skip if inline directives will handle it)
-      if (chain && this.mascot.chain && !hasInlineDirectives) {
-        console.log('Playing chain:', chain);
-        this.mascot.chain(chain);
-      }
-
-      // Apply camera preset if present (skip during storytelling - camera changes are disorienting)
-      if (camera && this.mascot.setCameraPreset && !hasInlineDirectives) {
-        console.log('Setting camera:', camera);
-        this.mascot.setCameraPreset(camera);
-      }
+      this._applyResponseDirectives({ feel, morph, toggles, preset, undertone, chain, camera, celestial, custom }, hasInlineDirectives);
 
       // Speak the response (progress bar is on 3D phone, updated via onProgress callback)
       // Use clean text with directives stripped
-      await this.tts.speak(cleanText);
+      this.storyDirector.updateProgress(0);  // Leading directives, including a WAIT before speech
+      await this.tts.speak(cleanText, { signal, prosody: this._prosodyFrom(0) });
+      if (signal.aborted) return;
 
       // Trigger any remaining directives that weren't reached
       if (hasInlineDirectives) {
         this.storyDirector.triggerRemaining();
       }
 
+      // Hand back the look inline directives changed, keeping what the reply asked for
+      this._endVisualScene({
+        keep: !hasInlineDirectives,
+        overrides: this._responseLook({ morph, toggles, preset, undertone, celestial })
+      });
+
       // Keep showing the last chunk of text (don't dump full text)
       // The phone will continue displaying whatever was last set via onChunkChange
 
@@ -1197,89 +1299,269 @@ class EmoAssistant {
       this.scheduleIdleRevert();
 
     } catch (error) {
+      // Cancelled - cancelCurrentOperation() already reset the UI
+      if (signal.aborted) return;
+
       console.error('Error handling voice input:', error);
-      this.setScreen('Something went wrong', '');
+
+      // A stream can fail after sentences were queued - silence them like a cancel would
+      abortController.abort();
+      if (this.tts && this.tts.stop) {
+        this.tts.stop();
+      }
+      this.storyDirector?.reset();
+
+      this.setScreen(this._errorScreenText(error), '');
       this.setState('idle');
-      this.mascot.feel('confused, shake');
+      this._endVisualScene();
+      this.mascot.feel('suspicion, shake');
       // Still schedule revert even on error
       this.scheduleScreenRevert();
       this.scheduleIdleRevert();
     }
   }
 
-  parseResponse(response) {
-    // Valid values for validation - MUST match what the engine supports
-    const VALID_GEOMETRIES = ['crystal', 'moon', 'sun', 'heart', 'star', 'rough'];
-    const VALID_EMOTIONS = ['neutral', 'joy', 'calm', 'love', 'excited', 'euphoria', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'focused', 'suspicion', 'resting', 'glitch'];
-    const VALID_PRESETS = ['quartz', 'emerald', 'ruby', 'sapphire', 'amethyst', 'citrine'];
-    const VALID_UNDERTONES = ['nervous', 'confident', 'sarcastic', 'hesitant', 'calm', 'clear'];
-    const VALID_CHAINS = ['rise', 'flow', 'burst', 'drift', 'chaos', 'morph', 'rhythm', 'spiral', 'routine', 'radiance', 'twinkle', 'stream'];
-    const VALID_CAMERAS = ['front', 'side', 'top', 'bottom', 'angle', 'back'];
-
-    const lines = response.split('\n');
-    let text = [];
-    let feel = null;
-    let morph = null;
-    let startMeditation = false;
-    let toggles = [];      // Array of { feature, enabled }
-    let preset = null;     // SSS preset name
-    let undertone = null;  // Emotional undertone
-    let chain = null;      // Gesture chain name
-    let camera = null;     // Camera preset
-
-    for (const line of lines) {
+  /**
+   * Apply end-of-response directives (FEEL:, MORPH:, TOGGLE:, etc.)
+   * @param {Object} directives - Parsed directives from parseResponse()
+   * @param {boolean} hasInlineDirectives - StoryDirector is handling emotions/chains inline
+   */
+  _applyResponseDirectives({ feel, morph, toggles, preset, undertone, chain, camera, celestial = [], custom = [] }, hasInlineDirectives) {
+    // Apply morph directive if present (end-of-response directive)
+    if (morph && this.mascot.morphTo) {
+      console.log('Morphing to:', morph);
+      this.mascot.morphTo(morph);
+      this.currentGeometry = morph;  // Track for auto-revert
+    }
+
+    // Moon phase / eclipses - after morph since they need moon or sun
+    for (const directive of celestial) {
+      this.storyDirector.trigger(directive);
+    }
+
+    // Apply feel directive (end-of-response directive)
+    // Skip if we have inline directives - let StoryDirector handle emotions
+    if (feel && !hasInlineDirectives) {
+      this.mascot.feel(feel);
+      // Mark as user-requested so it won't auto-revert
+      this._userRequestedEmotion = true;
+    } else if (!hasInlineDirectives) {
+      // No feel directive and no inline directives - clear the persistent emotion flag
+      this._userRequestedEmotion = false;
+    }
+
+    // Apply undertone if present
+    if (undertone && this.mascot.updateUndertone) {
+      console.log('Setting undertone:', undertone);
+      this.mascot.updateUndertone(undertone);
+    }
+
+    // Apply toggle directives
+    for (const toggle of toggles) {
+      this.applyToggle(toggle.feature, toggle.enabled);
+    }
+
+    // Apply SSS preset if present
+    if (preset && this.mascot.setSSSPreset) {
+      console.log('Applying preset:', preset);
+      this.mascot.setSSSPreset(preset);
+    }
+
+    // Apply gesture chain if present (skip if inline directives will handle it)
+    if (chain && this.mascot.chain && !hasInlineDirectives) {
+      console.log('Playing chain:', chain);
+      this.mascot.chain(chain);
+    }
+
+    // Apply camera preset if present (skip during storytelling - camera changes are disorienting)
+    if (camera && this.mascot.setCameraPreset && !hasInlineDirectives) {
+      console.log('Setting camera:', camera);
+      this.mascot.setCameraPreset(camera);
+    }
+
+    // Registered directives (SOUND: chime, ...) - their handlers do the rest
+    for (const directive of custom) {
+      this.storyDirector.trigger(directive);
+    }
+  }
+
+  /**
+   * The part of a reply's look its end-of-response directives asked for
+   * These stay when the look inline directives changed is handed back
+   * @param {Object} directives - Parsed directives from parseResponse()
+   * @returns {Object} Partial look (see SafeMascot.getVisualState)
+   */
+  _responseLook({ morph, toggles = [], preset, undertone, celestial = [] }) {
+    const look = { toggles: {} };
+    if (morph) look.geometry = morph;
+    if (preset) look.preset = preset;
+    if (undertone) look.undertone = undertone;
+    for (const toggle of toggles) {
+      look.toggles[toggle.feature] = toggle.enabled;
+    }
+    for (const directive of celestial) {
+      look[StoryDirector.STATE_KEYS[directive.type]] = directive.value;
+    }
+    return look;
+  }
+
+  /**
+   * Stream a Claude reply and speak it sentence by sentence as it arrives
+   * Inline [DIRECTIVES] are parsed incrementally by StoryDirector; end-of-response
+   * directive lines (FEEL:, MORPH:, ...) and tool-call directives are collected and applied when the stream ends.
+   * @param {string} transcript - User's message
+   * @param {AbortSignal} signal - Cancels the stream and any queued speech
+   */
+  async _handleStreamingResponse(transcript, signal) {
+    // A partial line that could still turn into a directive line ("FE", "FEEL:")
+    const MAYBE_DIRECTIVE_LINE = /^[A-Z]*:?$/;
+
+    this.storyDirector.reset();
+
+    // TTS reports positions within the current sentence - offset them into the full text
+    this._ttsCharOffset = 0;
+    this.tts.onCharPosition = (charIndex) => {
+      this.storyDirector.updateProgress(this._ttsCharOffset + charIndex);
+    };
+
+    const directiveLines = [];
+    const typedDirectives = [];  // Tool-call directives (tools mode)
+    let line = '';            // Current raw line
+    let lineFed = 0;          // Characters of the current line already given to StoryDirector
+    let speechBuffer = '';    // Clean text waiting for a sentence boundary
+    let queuedLength = 0;     // Clean-text position where speechBuffer starts
+    let speechQueue = Promise.resolve();
+    let started = false;
+
+    const enqueueSpeech = (sentence, offset) => {
+      if (!started) {
+        started = true;
+        this.setState('speaking');
+        this.setScreen('', 'speaking');  // TTS onChunkChange will populate chunks
+      }
+      speechQueue = speechQueue.then(() => {
+        this._ttsCharOffset = offset;
+        return this.tts.speak(sentence, { signal, prosody: this._prosodyFrom(offset) });
+      });
+    };
+
+    // Queue every complete sentence in the buffer (or everything when final)
+    const queueSentences = (final = false) => {
+      const boundary = new RegExp(StoryDirector.SENTENCE_BOUNDARY);
+      let end = 0;
+      let match;
+      while ((match = boundary.exec(speechBuffer)) !== null) {
+        end = match.index + match[0].length;
+      }
+      if (final) end = speechBuffer.length;
+      if (end === 0) return;
+
+      const sentence = speechBuffer.slice(0, end);
+      speechBuffer = speechBuffer.slice(end);
+      if (sentence.trim()) {
+        enqueueSpeech(sentence, queuedLength);
+      }
+      queuedLength += sentence.length;
+    };
+
+    const feedLine = (final) => {
       const trimmed = line.trim();
 
-      if (trimmed.startsWith('FEEL:')) {
-        feel = trimmed.substring(5).trim();
-      } else if (trimmed.startsWith('MORPH:')) {
-        const requestedMorph = trimmed.substring(6).trim().toLowerCase();
-        if (VALID_GEOMETRIES.includes(requestedMorph)) {
-          morph = requestedMorph;
-        } else {
-          console.warn(`[parseResponse] Invalid geometry "${requestedMorph}" - valid: ${VALID_GEOMETRIES.join(', ')}`);
-        }
-      } else if (trimmed.startsWith('MEDITATION:')) {
-        if (trimmed.includes('start')) {
-          startMeditation = true;
-        }
-      } else if (trimmed.startsWith('TOGGLE:')) {
-        // Parse: "TOGGLE: wobble off" or "TOGGLE: particles on"
-        const toggleStr = trimmed.substring(7).trim().toLowerCase();
-        const parts = toggleStr.split(/\s+/);
-        if (parts.length >= 2) {
-          const feature = parts[0];
-          const enabled = parts[1] === 'on';
-          toggles.push({ feature, enabled });
-        }
-      } else if (trimmed.startsWith('PRESET:')) {
-        const requestedPreset = trimmed.substring(7).trim().toLowerCase();
-        if (VALID_PRESETS.includes(requestedPreset)) {
-          preset = requestedPreset;
+      if (final) {
+        if (StoryDirector.isDirectiveLine(trimmed)) {
+          directiveLines.push(trimmed);
+        } else if (lineFed === 0 && trimmed.startsWith('*') && trimmed.endsWith('*')) {
+          // Skip action descriptions like *morphs into...*
         } else {
-          console.warn(`[parseResponse] Invalid preset "${requestedPreset}" - valid: ${VALID_PRESETS.join(', ')}`);
-        }
-      } else if (trimmed.startsWith('UNDERTONE:')) {
-        const requestedUndertone = trimmed.substring(10).trim().toLowerCase();
-        if (VALID_UNDERTONES.includes(requestedUndertone)) {
-          undertone = requestedUndertone;
-        } else {
-          console.warn(`[parseResponse] Invalid undertone "${requestedUndertone}" - valid: ${VALID_UNDERTONES.join(', ')}`);
-        }
-      } else if (trimmed.startsWith('CHAIN:')) {
-        const requestedChain = trimmed.substring(6).trim().toLowerCase();
-        if (VALID_CHAINS.includes(requestedChain)) {
-          chain = requestedChain;
-        } else {
-          console.warn(`[parseResponse] Invalid chain "${requestedChain}" - valid: ${VALID_CHAINS.join(', ')}`);
-        }
-      } else if (trimmed.startsWith('CAMERA:')) {
-        const requestedCamera = trimmed.substring(7).trim().toLowerCase();
-        if (VALID_CAMERAS.includes(requestedCamera)) {
-          camera = requestedCamera;
-        } else {
-          console.warn(`[parseResponse] Invalid camera "${requestedCamera}" - valid: ${VALID_CAMERAS.join(', ')}`);
+          speechBuffer += this.storyDirector.feed(line.slice(lineFed) + '\n');
         }
+        line = '';
+        lineFed = 0;
+        return;
+      }
+
+      // Hold back lines that may be directives or action descriptions until complete
+      if (lineFed === 0 && (MAYBE_DIRECTIVE_LINE.test(trimmed) ||
+          StoryDirector.isDirectiveLine(trimmed) || trimmed.startsWith('*'))) {
+        return;
+      }
+      speechBuffer += this.storyDirector.feed(line.slice(lineFed));
+      lineFed = line.length;
+    };
+
+    for await (const event of this.claude.stream(transcript, { signal })) {
+      if (event.type === 'directive') {
+        typedDirectives.push(event.directive);
+        continue;
+      }
+
+      const parts = event.text.split('\n');
+      for (let i = 0; i < parts.length; i++) {
+        line += parts[i];
+        feedLine(i < parts.length - 1);
+      }
+      queueSentences();
+    }
+
+    // End of stream - flush the last line and anything StoryDirector held back
+    if (line) feedLine(true);
+    speechBuffer += this.storyDirector.flush();
+    queueSentences(true);
+
+    const directives = this.parseResponse(directiveLines.join('\n'), typedDirectives);
+    const hasInlineDirectives = this.storyDirector.hasDirectives();
+
+    if (!started) {
+      enqueueSpeech('Here you go!', 0);
+    }
+
+    this._applyResponseDirectives(directives, hasInlineDirectives);
+
+    await speechQueue;
+    this._ttsCharOffset = 0;
+    if (signal.aborted) return;
+
+    // Trigger any remaining directives that weren't reached
+    if (hasInlineDirectives) {
+      this.storyDirector.triggerRemaining();
+    }
+
+    // Model asked for meditation without a meditation-style request
+    // (the look is handed back when meditation ends)
+    if (directives.startMeditation) {
+      this.meditation.setPattern(this.isBoxBreathingRequest(transcript) ? 'box' : 'default');
+      this.setState('meditation');
+      this.meditation.start();
+      return;
+    }
+
+    // Hand back the look inline directives changed, keeping what the reply asked for
+    this._endVisualScene({ keep: !hasInlineDirectives, overrides: this._responseLook(directives) });
+
+    // Return to idle but keep emotional state for a bit
+    this.setState('idle');
+    this.scheduleScreenRevert();
+    this.scheduleIdleRevert();
+  }
+
+  /**
+   * Split a reply into spoken text and end-of-response directives
+   * Directive lines (FEEL:, MORPH:, PHASE:, ...) and typed directives from tool calls
+   * are validated and auto-corrected by StoryDirector, same as inline [TYPE:value]
+   * @param {string} response - Reply text
+   * @param {Array} [typedDirectives] - [{ type, value, modifier }] from tool calls; win over lines
+   * @returns {Object} { text, feel, morph, startMeditation, toggles, preset, undertone, chain, camera, celestial, custom }
+   */
+  parseResponse(response, typedDirectives = []) {
+    const text = [];
+    const lineDirectives = [];
+
+    for (const line of response.split('\n')) {
+      const trimmed = line.trim();
+      const directive = StoryDirector.parseLine(trimmed);
+
+      if (directive) {
+        lineDirectives.push(directive);
       } else if (trimmed) {
         // Filter out action descriptions like *morphs into...*
         if (!trimmed.startsWith('*') || !trimmed.endsWith('*')) {
@@ -1288,26 +1570,61 @@ class EmoAssistant {
       }
     }
 
-    // Validate emotion in feel directive (first word before comma is the emotion)
-    if (feel) {
-      const emotionPart = feel.split(',')[0].trim().toLowerCase();
-      if (!VALID_EMOTIONS.includes(emotionPart)) {
-        console.warn(`[parseResponse] Invalid emotion "${emotionPart}" in FEEL - valid: ${VALID_EMOTIONS.join(', ')}`);
-        // Don't nullify feel entirely - gesture part might still be valid
-      }
-    }
-
-    return {
+    const result = {
       text: text.join(' ') || 'Here you go!',
-      feel,
-      morph,
-      startMeditation,
-      toggles,
-      preset,
-      undertone,
-      chain,
-      camera
+      feel: null,
+      morph: null,
+      startMeditation: false,
+      toggles: [],       // Array of { feature, enabled }
+      preset: null,      // SSS preset name
+      undertone: null,   // Emotional undertone
+      chain: null,       // Gesture chain name
+      camera: null,      // Camera preset
+      celestial: [],     // PHASE / SUNECLIPSE / MOONECLIPSE directives, applied after morph
+      custom: []         // Directives added with StoryDirector.registerDirective()
     };
+
+    for (const directive of [...lineDirectives, ...typedDirectives]) {
+      const normalized = StoryDirector.normalize(directive);
+      if (!normalized) continue;
+
+      const { type, value, modifier } = normalized;
+      switch (type) {
+        case 'FEEL':
+          result.feel = modifier ? `${value}, ${modifier}` : value;
+          break;
+        case 'MORPH':
+          result.morph = value;
+          break;
+        case 'PRESET':
+          result.preset = value;
+          break;
+        case 'CHAIN':
+          result.chain = value;
+          break;
+        case 'UNDERTONE':
+          result.undertone = value;
+          break;
+        case 'CAMERA':
+          result.camera = value;
+          break;
+        case 'TOGGLE':
+          result.toggles.push({ feature: value, enabled: modifier?.toLowerCase() !== 'off' });
+          break;
+        case 'MEDITATION':
+          result.startMeditation = value === 'start' || !value;
+          break;
+        case 'PHASE':
+        case 'SUNECLIPSE':
+        case 'MOONECLIPSE':
+          result.celestial.push(normalized);
+          break;
+        default:
+          if (StoryDirector.isCustomDirective(type)) result.custom.push(normalized);
+      }
+    }
+
+    return result;
   }
 
   isMeditationRequest(transcript) {
@@ -1344,6 +1661,45 @@ class EmoAssistant {
     return keywords.some(kw => lower.includes(kw));
   }
 
+  isForgetRequest(transcript) {
+    // The whole request has to be the command - "a story about a fresh start" isn't one
+    const command = transcript.toLowerCase()
+      .replace(/[.,!?]/g, '')
+      .trim()
+      .replace(/^(?:please |can you |could you |let's |let us )+/, '')
+      .replace(/ please$/, '');
+    const commands = [
+      'forget everything', 'forget all that', 'forget our conversation',
+      'new conversation', 'start a new conversation', 'new chat',
+      'start over', 'start fresh', 'fresh start',
+      'clear memory', 'clear your memory', 'clear the conversation',
+      'reset conversation', 'reset the conversation', 'reset chat'
+    ];
+    return commands.includes(command);
+  }
+
+  /**
+   * Clear conversation memory and acknowledge it
+   * Triggered by voice ("forget everything") or the side menu
+   */
+  async _forgetConversation() {
+    this.claude.resetConversation();
+
+    this.setState('speaking');
+    this.setScreen('Fresh start', '');
+    this.mascot.feel('calm, settle');
+
+    try {
+      await this.tts.speak('Okay, fresh start.');
+    } catch (error) {
+      console.warn('Forget acknowledgement TTS failed:', error);
+    }
+
+    this.setState('idle');
+    this.scheduleScreenRevert();
+    this.scheduleIdleRevert();
+  }
+
   openCarousel() {
     // Clear timers when opening carousel
     this.clearIdleRevert();
@@ -1443,7 +1799,7 @@ class EmoAssistant {
 
   /**
    * Handle side menu selection
-   * @param {string} menuId - Menu item ID (music, meditate, effects, settings, moods, stories)
+   * @param {string} menuId - Menu item ID (music, meditate, effects, settings, moods, stories, forget)
    */
   _handleSideMenuSelect(menuId) {
     console.log('Side menu action:', menuId);
@@ -1495,6 +1851,11 @@ class EmoAssistant {
         this.storiesPanel.show();
         break;
 
+      case 'forget':
+        // Start a new conversation - menu closes, Emo acknowledges
+        this._forgetConversation();
+        break;
+
       default:
         this.setState('idle');
         this.resetScreen();
@@ -1730,7 +2091,7 @@ class EmoAssistant {
         if (!this._userRequestedEmotion) {
           // Set calm emotion without settle gesture (settle causes position changes
           // that conflict with the morph animation)
-          this.mascot.feel('calm, gentle breathing');
+          this.mascot.feel('calm, breathe');
         } else {
           console.log('Skipping emotion revert - user requested this emotion');
         }
@@ -1796,6 +2157,12 @@ class EmoAssistant {
       this.tts.stop();
     }
 
+    // Drop pending inline directives and release any story WAIT holding speech
+    this.storyDirector?.reset();
+
+    // End an interactive story waiting on a choice
+    this._storyChoice?.resolve(null);
+
     // Reset 3D phone progress
     if (this.holoPhone3D) {
       this.holoPhone3D.setProgress(0);
@@ -1815,10 +2182,40 @@ class EmoAssistant {
       this.mascot.feel('neutral, settle');
     }
 
+    // A cancelled story or reply never keeps its look
+    this._endVisualScene();
+
     // Schedule revert to default screen text
     this.scheduleScreenRevert();
   }
 
+  /**
+   * Snapshot the mascot's look before a story, meditation or directive reply
+   * A scene already under way keeps its snapshot, so a reply that starts
+   * meditation hands the look back once, when meditation ends
+   */
+  _beginVisualScene() {
+    if (this._sceneSnapshot) return;
+    this._sceneSnapshot = this.mascot.getVisualState?.() || null;
+  }
+
+  /**
+   * Ease back to the look from before the story, meditation or reply
+   * Only what changed moves; the moon phase and eclipses tween over SCENE_RESTORE_MS
+   * @param {Object} [options]
+   * @param {boolean} [options.keep=false] - Keep the final look instead
+   * @param {Object} [options.overrides] - Parts of the final look to keep, e.g. { geometry: 'moon' }
+   */
+  _endVisualScene({ keep = false, overrides = {} } = {}) {
+    const snapshot = this._sceneSnapshot;
+    this._sceneSnapshot = null;
+    if (!snapshot || keep) return;
+
+    const look = { ...snapshot, ...overrides, toggles: { ...snapshot.toggles, ...overrides.toggles } };
+    this.storyDirector.transitionTo(look, this.mascot.getVisualState(), SCENE_RESTORE_MS);
+    if (look.geometry) this.currentGeometry = look.geometry;
+  }
+
   /**
    * Start meditation with selected breathing pattern
    * @param {Object} data - Pattern selection data from MeditatePanel
@@ -1837,7 +2234,8 @@ class EmoAssistant {
       this.meditation.setPattern(data.patternId);
     }
 
-    // Start meditation with intro speech
+    // Start meditation with intro speech (the look comes back when it ends)
+    this._beginVisualScene();
     this.setState('speaking');
     this.setScreen('', 'speaking');
     this.mascot.feel('calm, settle');
@@ -1853,9 +2251,11 @@ class EmoAssistant {
 
   /**
    * Start a story with StoryDirector
+   * Stories come from public/stories/ (see story-library.js)
+   * Interactive stories narrate one node at a time and ask for a choice in between
    * @param {Object} data - Story selection data from StoriesPanel
    */
-  _startStory(data) {
+  async _startStory(data) {
     // Close side menu
     this.sideMenu.close();
 
@@ -1864,10 +2264,9 @@ class EmoAssistant {
       this.musicPanel.pauseForMode();
     }
 
-    // Get story content based on ID
-    const storyContent = this._getStoryContent(data.storyId);
+    const story = await getStory(data.storyId);
 
-    if (!storyContent) {
+    if (!story) {
       console.warn(`Story not found: ${data.storyId}`);
       this.setState('idle');
       this.setScreen('Story coming soon!', '');
@@ -1875,64 +2274,263 @@ class EmoAssistant {
       return;
     }
 
-    // Parse story with StoryDirector to extract directives
-    const cleanText = this.storyDirector.parse(storyContent);
+    // Whatever the story does to the mascot is undone when it ends
+    this._beginVisualScene();
+
+    // Open on the cover geometry
+    if (story.cover && this.mascot.morphTo) {
+      this.mascot.morphTo(story.cover);
+    }
+
+    // Narrate with the story's own voice (ElevenLabs only), restored afterwards
+    const previousVoice = this.tts === this.elevenLabsTTS ? this.elevenLabsTTS.voiceId : null;
+    if (story.voice && previousVoice) {
+      this.elevenLabsTTS.setVoice(story.voice);
+    }
+
+    // Background music bed under the narration
+    const music = story.music ? new Audio(story.music) : null;
+    if (music) {
+      music.loop = true;
+      music.volume = STORY_MUSIC_VOLUME;
+      music.play().catch(error => console.warn('Story music failed to play:', error));
+    }
+
+    this.mascot.feel('calm, glow');
+
+    // Follow the story from node to node until one ends it (or it's cancelled)
+    // Each node starts from the state the previous one left the mascot in
+    const path = [];
+    let nodeId = story.start;
+    let state = { geometry: story.cover || undefined };
+    let finished = false;
+    while (nodeId) {
+      const node = await this._narrateStoryNode(story, nodeId, state, music);
+      finished = node?.choices.length === 0;
+      if (!node?.choices.length) break;
+      state = node.state;
+      const choices = node.choices;
+
+      const choice = await this._askStoryChoice(choices);
+      if (!choice) break;
+
+      console.log(`[Story] ${story.id}: chose "${choice.label}" -> ${choice.next}`);
+      path.push(choice.label);
+      nodeId = choice.next;
+    }
+
+    if (story.interactive && path.length) {
+      this.storiesPanel?.recordPath(story.id, path);
+    }
+
+    music?.pause();
+    if (story.voice && previousVoice) {
+      this.elevenLabsTTS.setVoice(previousVoice);
+    }
+
+    // Back to ordinary progress / directive callbacks
+    this._wireTTSCallbacks();
+
+    // Return to idle, back to the look from before the story unless it keeps its ending
+    this.setState('idle');
+    this._endVisualScene({ keep: finished && story.keepLook });
+    this.resetScreen();
+
+    // Resume music if it was paused for story
+    this._resumeMusicAfterMode();
+  }
+
+  /**
+   * Narrate one node of a story with its directives
+   * Pause, resume and sentence skips apply to the node being narrated
+   * @param {Object} story - Story from story-library.js
+   * @param {string} nodeId
+   * @param {Object} initial - Mascot state when the node starts (see StoryDirector.getStateAt)
+   * @param {HTMLAudioElement|null} music - Story music bed, paused with the story
+   * @returns {Promise<{ choices: Array<{ next: string, label: string }>, state: Object }|null>} null if cancelled
+   */
+  async _narrateStoryNode(story, nodeId, initial, music) {
+    const body = story.nodes[nodeId];
+    if (body === undefined) {
+      console.warn(`[Story] ${story.id}: no node "${nodeId}" - ending story`);
+      return null;
+    }
+
+    // Parse the node with StoryDirector to extract directives
+    const cleanText = this.storyDirector.parse(body);
+    const choices = this.storyDirector.getChoices();
+    const playback = { text: cleanText, initial, from: 0, seekTo: null, controller: null, music };
+    this._storyPlayback = playback;
+
+    // TTS positions are relative to where speech (re)started - offset into the node
+    this.tts.onCharPosition = (charPos) => {
+      this.storyDirector.updateProgress(playback.from + charPos);
+    };
+    this.tts.onProgress = (progress) => {
+      const position = playback.from + progress * (cleanText.length - playback.from);
+      this.holoPhone3D?.setProgress(cleanText.length ? position / cleanText.length : progress);
+    };
 
-    // Start speaking the story
     this.setState('speaking');
-    this.setScreen(data.storyName, 'speaking');
-    this.mascot.feel('calm, gentle glow');
+    this.setScreen(story.title, 'speaking');
+    this.holoPhone3D?.setStoryControls({ paused: false });
+
+    // Leading directives fire now - a [MORPH:...][WAIT:...] opening plays out before the first word
+    this.storyDirector.updateProgress(0);
+
+    // Speak the clean text (directives stripped), restarting from wherever a skip lands
+    do {
+      if (playback.seekTo !== null) {
+        playback.from = playback.seekTo;
+        playback.seekTo = null;
+      }
+      playback.controller = new AbortController();
+      // Stopping the old speech released any hold - a paused story stays paused
+      if (this.storyDirector.isPaused()) this.tts.pause?.();
+      await this.tts.speak(cleanText.slice(playback.from), {
+        signal: playback.controller.signal,
+        prosody: this._prosodyFrom(playback.from)
+      });
+    } while (playback.seekTo !== null && this.state === 'speaking');
 
-    // Set up character position callback for syncing directives
-    if (this.tts.onCharPosition) {
-      this.tts.onCharPosition = (charPos) => {
-        this.storyDirector.updateProgress(charPos);
-      };
+    this._storyPlayback = null;
+    this.holoPhone3D?.setStoryControls(null);
+
+    // Cancelled mid-node (cancelCurrentOperation went back to idle)
+    if (this.state !== 'speaking') return null;
+
+    // Trigger any remaining directives
+    this.storyDirector.triggerRemaining();
+    const state = this.storyDirector.getStateAt(Infinity, initial);
+    this.storyDirector.reset();
+    return { choices, state };
+  }
+
+  /**
+   * Pause or resume the story being narrated (speech, pending WAITs and music)
+   */
+  _toggleStoryPause() {
+    const playback = this._storyPlayback;
+    if (!playback) return;
+
+    if (this.storyDirector.isPaused()) {
+      this.storyDirector.resume();
+      playback.music?.play().catch(() => {});
+    } else {
+      this.storyDirector.pause();
+      playback.music?.pause();
     }
+    this.holoPhone3D?.setStoryControls({ paused: this.storyDirector.isPaused() });
+  }
 
-    // Speak the clean text (directives stripped)
-    this.tts.speak(cleanText).then(() => {
-      // Trigger any remaining directives
-      this.storyDirector.triggerRemaining();
-      this.storyDirector.reset();
+  /**
+   * Skip to the previous or next sentence of the story node
+   * Back restarts the current sentence unless it only just began
+   * @param {number} direction - -1 back, 1 forward
+   */
+  _skipStorySentence(direction) {
+    const playback = this._storyPlayback;
+    if (!playback) return;
+
+    const starts = this.storyDirector.getSentenceStarts();
+    const position = this.storyDirector.getPosition();
+    let target;
+    if (direction < 0) {
+      const current = starts.findLastIndex(start => start <= position);
+      const justStarted = position - starts[current] < STORY_RESTART_GRACE_CHARS;
+      target = starts[Math.max(0, justStarted ? current - 1 : current)];
+    } else {
+      // Past the last sentence - jump to the end (remaining directives fire)
+      target = starts.find(start => start > position) ?? playback.text.length;
+    }
 
-      // Return to idle
-      this.setState('idle');
-      this.mascot.feel('calm, settle');
-      this.resetScreen();
+    console.log(`[Story] Skip ${direction < 0 ? 'back' : 'forward'}: ${position} -> ${target}`);
+    this.storyDirector.seek(target, playback.initial);
+    playback.seekTo = target < playback.text.length ? target : null;
+    playback.controller?.abort();
+  }
 
-      // Resume music if it was paused for story
-      this._resumeMusicAfterMode();
+  /**
+   * Show a node's choices on the HoloPhone and wait for a tap or a spoken answer
+   * @param {Array<{ next: string, label: string }>} choices
+   * @returns {Promise<{ next: string, label: string }|null>} null if cancelled
+   */
+  _askStoryChoice(choices) {
+    return new Promise(resolve => {
+      this._storyChoice = {
+        choices,
+        resolve: (choice) => {
+          this._storyChoice = null;
+          this.voiceInput.abort();
+          this.holoPhone3D?.setChoiceData(null);
+          resolve(choice);
+        }
+      };
+
+      this.setState('choosing');
+      this.mascot.feel('focused, lean');
+      this._listenForStoryChoice();
     });
   }
 
   /**
-   * Get story content by ID
-   * @param {string} storyId - Story identifier
-   * @returns {string|null} Story text with inline directives
+   * Open the mic for a spoken story choice (when speech recognition is available)
    */
-  _getStoryContent(storyId) {
-    // Story content with inline StoryDirector directives
-    // Each story showcases different engine capabilities: geometries, eclipses, phases, presets
-    // IMPORTANT: Every story must end with [MORPH:crystal][PRESET:quartz] to reset to neutral state
-    const stories = {
-      // Solar Journey: Sun geometry with eclipse effects
-      morning: `[MORPH:sun][SUNECLIPSE:off][FEEL:calm,settle][PRESET:citrine]The sun rises over distant mountains, pure and radiant. [FEEL:joy,glow][CHAIN:radiance]Golden light floods the world, warming everything it touches. [SUNECLIPSE:annular][FEEL:surprise,pulse]A shadow begins to cross the sun's face, creating a ring of fire in the sky. [FEEL:euphoria,expand]The corona blazes around the dark center, a halo of pure energy. [SUNECLIPSE:total][FEEL:calm,drift]For one breathless moment, day becomes night. Stars emerge. [CHAIN:twinkle]The universe reveals itself in the sun's shadow. [SUNECLIPSE:off][FEEL:joy,burst]And then the light returns, brilliant and triumphant. [MORPH:crystal][PRESET:quartz][FEEL:calm,settle]You carry this cosmic dance with you, light and shadow as one.`,
+  _listenForStoryChoice() {
+    const listening = this.voiceInput.isSupported();
+    this._showStoryChoices(listening);
+    if (listening) this.voiceInput.start();
+  }
 
-      // Lunar Phases: Moon geometry with phases and blood moon
-      starfall: `[MORPH:moon][PHASE:new][FEEL:calm,settle][PRESET:sapphire]The night sky stretches infinite above you. [PHASE:waxing-crescent][FEEL:surprise,glow]A sliver of silver appears, the moon beginning its ancient journey. [CHAIN:rise][PHASE:first-quarter][FEEL:focused,pulse]Half illuminated, half in shadow, perfectly balanced. [PHASE:full][FEEL:euphoria,expand]The full moon bathes the world in ethereal light. [MOONECLIPSE:partial][CHAIN:drift]Earth's shadow begins to creep across the lunar surface. [MOONECLIPSE:total][FEEL:love,glow][PRESET:ruby]The blood moon rises, deep crimson against the stars. [FEEL:calm,drift]Ancient and powerful, it speaks of cycles older than time. [MOONECLIPSE:off][MORPH:crystal][PRESET:quartz][FEEL:calm,settle]The moon fades to a whisper, and you return to stillness.`,
+  /**
+   * Draw the pending choices as pills on the HoloPhone
+   * @param {boolean} listening - Whether the mic is open
+   */
+  _showStoryChoices(listening) {
+    if (!this._storyChoice) return;
+    this.holoPhone3D?.setChoiceData({
+      choices: this._storyChoice.choices.map(choice => ({ id: choice.next, label: choice.label })),
+      listening
+    });
+  }
 
-      // Transformation: Multiple geometry morphs with crystals
-      deep: `[MORPH:crystal][PRESET:sapphire][FEEL:calm,settle]You begin as still water, clear and deep. [CHAIN:flow]Currents of light move through you. [MORPH:star][FEEL:surprise,expand][CHAIN:twinkle]You scatter into points of light, countless and bright. [PRESET:quartz][MORPH:heart][FEEL:love,pulse][CHAIN:rhythm]You gather into a beating heart, warm and alive. [PRESET:ruby][FEEL:euphoria,burst]Love radiates outward in waves. [MORPH:sun][SUNECLIPSE:annular][FEEL:joy,glow][PRESET:citrine]You become pure light, a ring of fire. [CHAIN:radiance][SUNECLIPSE:off][MORPH:crystal][PRESET:quartz][FEEL:calm,settle]You crystallize once more, transformed. All forms live within you.`,
+  /**
+   * Pick a story choice from what the listener said
+   * Nothing recognizable leaves the pills up for a tap (or another try)
+   * @param {string} transcript
+   */
+  _handleStoryChoiceSpeech(transcript) {
+    const choice = matchChoice(transcript, this._storyChoice.choices);
+    if (choice) {
+      this._storyChoice.resolve(choice);
+      return;
+    }
 
-      // Love Story: Heart geometry with emotional progression
-      heartbeat: `[MORPH:heart][FEEL:calm,pulse][PRESET:ruby]Feel the rhythm within you, ancient and true. [CHAIN:rhythm]Each beat echoes through the cosmos. [FEEL:love,glow]Warmth spreads through every fiber of your being. [MORPH:star][FEEL:euphoria,expand][CHAIN:burst][PRESET:amethyst]Your love explodes into infinite points of light. [FEEL:joy,twinkle]Each star carries a piece of your heart into the universe. [MORPH:moon][PHASE:full][FEEL:love,drift][PRESET:sapphire]The moon reflects your devotion back to you, soft and constant. [CHAIN:flow][MORPH:crystal][PRESET:quartz][FEEL:calm,settle]You return to center, carrying love in your crystalline heart.`,
+    console.log(`[Story] No choice matches "${transcript}"`);
+    this._showStoryChoices(false);
+  }
 
-      // Crystal Dreams: All presets with geometry transitions
-      crystal: `[MORPH:crystal][PRESET:quartz][FEEL:calm,glow]Pure and clear, you float in crystalline light. [CHAIN:twinkle][PRESET:emerald][FEEL:joy,shimmer]You shift to verdant green, alive with forest energy. [PRESET:sapphire][FEEL:calm,drift]Deep blue envelops you, ocean depths of peace. [MORPH:moon][PHASE:waxing-gibbous][FEEL:surprise,expand]You become the moon, glowing silver and mysterious. [PRESET:amethyst][MORPH:crystal][FEEL:euphoria,pulse]Violet light pulses through you, wisdom and intuition. [CHAIN:spiral][PRESET:ruby][FEEL:love,glow]Crimson warmth fills your core. [MORPH:sun][SUNECLIPSE:off][PRESET:citrine][FEEL:joy,burst][CHAIN:radiance]You blaze with golden fire, pure radiant energy. [MORPH:crystal][PRESET:quartz][FEEL:calm,settle]You return to pure clarity, transformed by every color of light.`
-    };
+  /**
+   * Handle a tap while a story choice is pending
+   * Pills pick, the bracket cancels, anywhere else reopens the mic
+   * @param {number} clientX - Screen X coordinate
+   * @param {number} clientY - Screen Y coordinate
+   */
+  _handleChoiceTouch(clientX, clientY) {
+    if (!this.holoPhone3D || !this._storyChoice) return;
+
+    const canvasCoords = this._screenToPhoneCanvas(clientX, clientY);
+    if (!canvasCoords) return;
 
-    return stories[storyId] || null;
+    const hitRegion = this.holoPhone3D.getSpeakingHitRegion(canvasCoords.x, canvasCoords.y);
+    if (hitRegion?.name === 'cancel') {
+      this.holoPhone3D.flashButton('cancel', 200);
+      this.cancelCurrentOperation();
+    } else if (hitRegion?.name.startsWith('choice-')) {
+      this._storyChoice.resolve(this._storyChoice.choices[hitRegion.extra.index]);
+    } else if (!this.voiceInput.isListening) {
+      this._listenForStoryChoice();
+    }
   }
 
   /**
@@ -2012,6 +2610,15 @@ class EmoAssistant {
       // Flash the cancel button before canceling
       this.holoPhone3D.flashButton('cancel', 200);
       this.cancelCurrentOperation();
+      return;
+    }
+
+    // Story transport controls
+    if (hitRegion?.name.startsWith('story-') && this._storyPlayback) {
+      this.holoPhone3D.flashButton(hitRegion.name, 200);
+      if (hitRegion.name === 'story-play') this._toggleStoryPause();
+      if (hitRegion.name === 'story-back') this._skipStorySentence(-1);
+      if (hitRegion.name === 'story-forward') this._skipStorySentence(1);
     }
   }
 
@@ -2382,11 +2989,24 @@ class EmoAssistant {
     const savedProvider = localStorage.getItem(STORAGE_KEYS.ttsProvider) || 'browser';
     const savedElevenLabsKey = localStorage.getItem(STORAGE_KEYS.elevenLabsApiKey) || '';
 
+    // Voice picked in Settings
+    this._applyVoiceSettings({
+      browserVoice: localStorage.getItem(STORAGE_KEYS.browserVoice),
+      browserRate: Number(localStorage.getItem(STORAGE_KEYS.browserRate)) || 1,
+      browserPitch: Number(localStorage.getItem(STORAGE_KEYS.browserPitch)) || 1,
+      elevenLabsVoice: localStorage.getItem(STORAGE_KEYS.elevenLabsVoice),
+      localVoice: localStorage.getItem(STORAGE_KEYS.localVoice)
+    });
+
     if (savedProvider === 'elevenlabs' && savedElevenLabsKey) {
       // Use ElevenLabs with BYOK
       this.elevenLabsTTS.setApiKey(savedElevenLabsKey);
       this.tts = this.elevenLabsTTS;
       console.log('TTS: Using ElevenLabs (BYOK)');
+    } else if (savedProvider === 'local') {
+      // Local engine behind the server
+      this.tts = this.localTTS;
+      console.log('TTS: Using local engine');
     } else {
       // Use native browser TTS
       this.tts = this.nativeTTS;
@@ -2403,6 +3023,7 @@ class EmoAssistant {
     } else {
       console.log('Claude: Using backend proxy');
     }
+    this.claude?.setServerModel(localStorage.getItem(STORAGE_KEYS.serverModel));
 
     // Wire up TTS callbacks
     this._wireTTSCallbacks();
@@ -2412,14 +3033,18 @@ class EmoAssistant {
    * Handle settings change from SettingsPanel (TTS and Claude)
    */
   _handleTTSSettingsChange(settings) {
-    const { ttsProvider, elevenLabsApiKey, claudeApiKey, claudeModel } = settings;
+    const { ttsProvider, elevenLabsApiKey, claudeApiKey, claudeModel, serverModel } = settings;
 
     // Update TTS
+    this._applyVoiceSettings(settings);
     if (ttsProvider === 'elevenlabs' && elevenLabsApiKey) {
       // Switch to ElevenLabs
       this.elevenLabsTTS.setApiKey(elevenLabsApiKey);
       this.tts = this.elevenLabsTTS;
       console.log('TTS switched to: ElevenLabs (BYOK)');
+    } else if (ttsProvider === 'local') {
+      this.tts = this.localTTS;
+      console.log('TTS switched to: Local engine');
     } else {
       // Switch to native browser TTS
       this.tts = this.nativeTTS;
@@ -2437,6 +3062,7 @@ class EmoAssistant {
       this.claude.setApiKey(null);  // Clear key, use proxy
       console.log('Claude switched to: Backend proxy');
     }
+    this.claude?.setServerModel(serverModel);
 
     // Rewire callbacks to new TTS instance
     this._wireTTSCallbacks();
@@ -2447,6 +3073,126 @@ class EmoAssistant {
     }
   }
 
+  /**
+   * Give both engines the voice picked in Settings
+   * @param {Object} settings - browserVoice, browserRate, browserPitch, elevenLabsVoice, localVoice
+   */
+  _applyVoiceSettings({ browserVoice, browserRate, browserPitch, elevenLabsVoice, localVoice }) {
+    this.nativeTTS.setVoice(browserVoice);
+    this.nativeTTS.setRateAndPitch(browserRate, browserPitch);
+    this.elevenLabsTTS.setVoice(elevenLabsVoice);
+    this.localTTS.setVoice(localVoice);
+  }
+
+  /**
+   * Engine that lists and previews voices for the Settings voice picker
+   * @param {string} provider - 'browser', 'elevenlabs' or 'local'
+   */
+  _voiceEngine(provider) {
+    if (provider === 'local') {
+      if (!this._voiceEngines.local) {
+        this._voiceEngines.local = new LocalTTS(this.mascot);
+      }
+      return this._voiceEngines.local;
+    }
+
+    if (provider === 'elevenlabs') {
+      if (!this._voiceEngines.elevenlabs) {
+        this._voiceEngines.elevenlabs = new ElevenLabsTTS(this.mascot);
+      }
+      // The key may have changed since the last preview
+      this._voiceEngines.elevenlabs.setApiKey(localStorage.getItem(STORAGE_KEYS.elevenLabsApiKey) || null);
+      return this._voiceEngines.elevenlabs;
+    }
+
+    if (!this._voiceEngines.browser) {
+      this._voiceEngines.browser = new NativeTTS(this.mascot);
+    }
+    return this._voiceEngines.browser;
+  }
+
+  /**
+   * Speak a voice picker preview, replacing any preview still playing
+   * @param {Object|null} choice - { provider, voice, rate, pitch, text }, or null to stop
+   */
+  _previewVoice(choice) {
+    this._voicePreview?.stop();
+    this._voicePreview = null;
+    if (!choice) return;
+
+    const engine = this._voiceEngine(choice.provider);
+    engine.setVoice(choice.voice);
+    engine.setRateAndPitch?.(choice.rate, choice.pitch);
+    this._voicePreview = engine;
+    engine.speak(choice.text);
+  }
+
+  /**
+   * ElevenLabs or the local engine can't speak this text - say it with the device voice instead
+   * A used-up quota or an unreachable local engine switches voices for the rest of the session
+   * @param {Error} error - With code TTS_QUOTA_EXCEEDED, TEXT_TOO_LONG or TTS_UNAVAILABLE
+   * @param {string} text
+   * @param {Object} options - speak() options ({ signal })
+   */
+  async _handleVoiceUnavailable(error, text, options) {
+    const switches = {
+      TTS_QUOTA_EXCEEDED: { from: this.elevenLabsTTS, message: 'Voice limit reached', reason: 'ElevenLabs quota exceeded' },
+      TTS_UNAVAILABLE: { from: this.localTTS, message: 'Local voice offline', reason: 'local engine unreachable' }
+    };
+    const change = switches[error.code];
+
+    if (change && this.tts === change.from) {
+      this.tts = this.nativeTTS;
+      this._wireTTSCallbacks();
+      if (this.meditation) {
+        this.meditation.tts = this.tts;
+      }
+
+      this.setScreen(`${change.message} - using device voice`, 'speaking');
+      console.log(`TTS switched to: Browser native (${change.reason})`);
+    }
+
+    return this.nativeTTS.speak(text, options);
+  }
+
+  /**
+   * HoloPhone message for a failed request
+   * Rate limits get an explanation; anything else stays generic
+   * @param {Error} error - From ClaudeClient (code/retryAfter set by apiError)
+   * @returns {string}
+   */
+  _errorScreenText(error) {
+    switch (error.code) {
+      case 'RATE_LIMITED':
+        return error.retryAfter ? `Too fast - try again in ${error.retryAfter}s` : 'Too fast - try again soon';
+      case 'CHAT_QUOTA_EXCEEDED':
+        return 'Daily chat limit reached';
+      default:
+        return 'Something went wrong';
+    }
+  }
+
+  /**
+   * Emotion and undertone the mascot shows now
+   * @returns {{ emotion?: string, undertone?: string|null }}
+   */
+  _currentMood() {
+    const { emotion, undertone } = this.mascot.getVisualState?.() || {};
+    return { emotion, undertone };
+  }
+
+  /**
+   * Prosody for speech of StoryDirector's clean text: the mood where each
+   * sentence starts - the current mood with the FEEL and UNDERTONE
+   * directives up to there applied
+   * @param {number} offset - Where the spoken text starts in the clean text
+   * @returns {Function} (charIndex in the spoken text) => prosody, for tts.speak()
+   */
+  _prosodyFrom(offset) {
+    // getStateAt() stops before a position - + 1 takes a directive right at the sentence start
+    return charIndex => prosodyFor(this.storyDirector.getStateAt(offset + charIndex + 1, this._currentMood()));
+  }
+
   /**
    * Wire up TTS callbacks (progress, chunk change, char position)
    */
@@ -267,7 +267,7 @@ export class MeditationController {
       });
     }
 
-    this.mascot.feel('love, gentle glow');
+    this.mascot.feel('love, glow');
     await this.tts.speak(affirmation);
     await this.delay(1000);
   }
@@ -318,7 +318,7 @@ export class MeditationController {
     }
 
     // Reset mascot
-    this.mascot.feel('calm, gentle breathing');
+    this.mascot.feel('calm, breathe');
 
     // Callback
     if (this.onEnd) {
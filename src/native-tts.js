@@ -2,14 +2,22 @@
  * Native TTS Module
  * Uses the browser's built-in Web Speech API for text-to-speech
  * Falls back gracefully when not available
+ *
+ * Text is spoken one utterance per sentence, each with the rate, pitch and
+ * pause of the prosody (see prosody.js) where it starts.
  */
 
+import { DEFAULT_PROSODY } from './prosody.js';
+import { splitSentences } from './sentences.js';
+
 export class NativeTTS {
   constructor(mascot) {
     this.mascot = mascot;
     this.synth = window.speechSynthesis;
     this.isSpeaking = false;
     this.currentUtterance = null;
+    this._finishUtterance = null; // Settles the sentence being spoken on stop()
+    this._speechId = 0;           // Bumped by stop() - a speak() from before it ends
 
     // Progress tracking callback
     this.onProgress = null; // (progress: 0-1) => void
@@ -23,13 +31,29 @@ export class NativeTTS {
     this._currentChunkIndex = 0;
     this._wordsPerChunk = 12;
 
+    // Prosody for text that doesn't bring its own (speak()'s prosody option)
+    this.prosodyAt = null; // (charIndex: number) => prosody, see prosody.js
+
     // Chrome workaround: pause/resume to prevent 15-second timeout
     this._keepAliveInterval = null;
 
-    // Voice selection
+    // Held by pause() (story WAIT directives) - speech already playing is
+    // paused, speech that hasn't started waits for resume()
+    this._held = false;
+    this._releaseHold = null;
+    this._pausedAt = null;   // When the current pause started (ms)
+    this._pausedTotal = 0;   // Time spent paused during this utterance (ms)
+
+    // Voice selection - voiceName is the listener's choice (SettingsPanel);
+    // without one a natural-sounding English voice is picked
+    this.voiceName = null;
     this._preferredVoice = null;
     this._loadVoices();
 
+    // Listener's speed and pitch - multiply the prosody's rate and pitch
+    this.rate = 1;
+    this.pitch = 1;
+
     // Stop TTS when page is closed/refreshed to prevent it continuing
     window.addEventListener('beforeunload', () => {
       this.stop();
@@ -40,23 +64,26 @@ export class NativeTTS {
    * Load available voices (async on some browsers)
    */
   _loadVoices() {
-    const setVoice = () => {
-      const voices = this.synth?.getVoices() || [];
-      // Prefer a natural-sounding English voice
-      this._preferredVoice = voices.find(v =>
-        v.lang.startsWith('en') && (v.name.includes('Google') || v.name.includes('Premium') || v.name.includes('Enhanced'))
-      ) || voices.find(v => v.lang.startsWith('en')) || voices[0];
-
-      if (this._preferredVoice) {
-        console.log('Selected TTS voice:', this._preferredVoice.name);
-      }
-    };
-
     // Voices might be loaded asynchronously
+    // (listener, not onvoiceschanged - the voice picker's preview voice listens too)
     if (this.synth?.onvoiceschanged !== undefined) {
-      this.synth.onvoiceschanged = setVoice;
+      this.synth.addEventListener('voiceschanged', () => this._pickVoice());
+    }
+    this._pickVoice();
+  }
+
+  /**
+   * Pick the voice to speak with: the chosen one, else a natural-sounding English one
+   */
+  _pickVoice() {
+    const voices = this.synth?.getVoices() || [];
+    this._preferredVoice = voices.find(v => v.name === this.voiceName) || voices.find(v =>
+      v.lang.startsWith('en') && (v.name.includes('Google') || v.name.includes('Premium') || v.name.includes('Enhanced'))
+    ) || voices.find(v => v.lang.startsWith('en')) || voices[0];
+
+    if (this._preferredVoice) {
+      console.log('Selected TTS voice:', this._preferredVoice.name);
     }
-    setVoice();
   }
 
   /**
@@ -126,8 +153,17 @@ export class NativeTTS {
     return 0;
   }
 
-  async speak(text) {
-    if (!text.trim()) return;
+  /**
+   * Speak text, resolving when speech ends (or is cancelled)
+   * One utterance per sentence, each with the prosody where it starts
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels speech
+   * @param {Function} [options.prosody] - (charIndex) => prosody where a sentence starts
+   *   (default prosodyAt)
+   */
+  async speak(text, { signal, prosody = this.prosodyAt } = {}) {
+    if (!text.trim() || signal?.aborted) return;
 
     // Check if synthesis is available
     if (!this.synth) {
@@ -137,6 +173,13 @@ export class NativeTTS {
 
     // Cancel any ongoing speech
     this.stop();
+    const speechId = this._speechId;
+    const cancelled = () => speechId !== this._speechId || signal?.aborted;
+
+    // Cancelling stops the synth - stop() settles the utterance directly
+    // since not every browser fires onerror for cancel()
+    const onAbort = () => this.stop();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
     try {
       this.isSpeaking = true;
@@ -150,9 +193,88 @@ export class NativeTTS {
         this.onChunkChange(this._chunks[0].text, 0, this._chunks.length);
       }
 
+      // A story WAIT before the first word - don't start until it ends
+      await this._untilResumed();
+      if (cancelled()) return;
+      this._pausedTotal = 0;
+
+      // Word boundaries are counted across sentences for chunk updates
+      this._wordCount = 0;
+      this._totalWords = text.split(/\s+/).length;
+      this._boundaryFired = false;
+
+      const sentences = splitSentences(text);
+      const prosodyAt = offset => prosody?.(offset) || DEFAULT_PROSODY;
+
+      this._startFallbackTiming(text, prosodyAt(0).rate * this.rate);
+
+      console.log('TTS speaking:', text.substring(0, 50) + '...');
+
+      // Chrome workaround: pause/resume every 10 seconds to prevent timeout bug
+      // Chrome's Web Speech API silently stops after ~15 seconds on long utterances
+      this._keepAliveInterval = setInterval(() => {
+        if (this.synth.speaking && !this.synth.paused) {
+          this.synth.pause();
+          this.synth.resume();
+        }
+      }, 10000);
+
+      for (const [i, sentence] of sentences.entries()) {
+        const settings = prosodyAt(sentence.offset);
+
+        if (i > 0) {
+          // Directives between sentences (a new FEEL, a WAIT) take effect before the next one
+          if (this.onCharPosition) {
+            this.onCharPosition(sentence.offset);
+          }
+          await this._untilResumed();
+          if (settings.pause) await new Promise(resolve => setTimeout(resolve, settings.pause));
+          if (cancelled()) return;
+        }
+
+        const finished = await this._speakSentence(sentence, settings);
+        if (cancelled()) return;
+        if (!finished) break;
+      }
+
+      this._endSpeech();
+
+      // Show the last chunk when speech ends (ensures final text is displayed)
+      if (this._chunks && this._chunks.length > 0) {
+        const lastIdx = this._chunks.length - 1;
+        if (this._currentChunkIndex !== lastIdx && this.onChunkChange) {
+          this.onChunkChange(
+            this._chunks[lastIdx].text,
+            lastIdx,
+            this._chunks.length
+          );
+        }
+      }
+
+      if (this.onProgress) {
+        this.onProgress(1);
+      }
+
+    } catch (error) {
+      console.error('TTS error:', error);
+      this._endSpeech();
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Speak one sentence
+   * @param {{ offset: number, text: string }} sentence - offset is where it starts in the full text
+   * @param {Object} settings - Prosody, see prosody.js
+   * @returns {Promise<boolean>} false if the synth reported an error
+   */
+  _speakSentence(sentence, { rate, pitch }) {
+    return new Promise(resolve => {
       // Create utterance
-      const utterance = new SpeechSynthesisUtterance(text);
+      const utterance = new SpeechSynthesisUtterance(sentence.text);
       this.currentUtterance = utterance;
+      this._finishUtterance = resolve;
 
       // Set voice if available
       if (this._preferredVoice) {
@@ -160,41 +282,36 @@ export class NativeTTS {
       }
 
       // Configure speech parameters
-      utterance.rate = 1.0;  // Speed (0.1 to 10)
-      utterance.pitch = 1.0; // Pitch (0 to 2)
-      utterance.volume = 1.0; // Volume (0 to 1)
-
-      // Track word boundaries for chunk updates
-      let wordCount = 0;
-      const totalWords = text.split(/\s+/).length;
-      let boundaryFired = false;
+      utterance.rate = rate * this.rate;                  // Speed (0.1 to 10)
+      utterance.pitch = Math.min(2, pitch * this.pitch);  // Pitch (0 to 2)
+      utterance.volume = 1.0;  // Volume (0 to 1)
 
       utterance.onboundary = (event) => {
         if (event.name === 'word') {
-          boundaryFired = true;
-          wordCount++;
-          const progress = wordCount / totalWords;
+          this._boundaryFired = true;
+          this._wordCount++;
+          const progress = this._wordCount / this._totalWords;
 
           // Update progress
           if (this.onProgress) {
             this.onProgress(progress);
           }
 
-          // Report character position for StoryDirector
+          // Report character position in the full text for StoryDirector
           if (this.onCharPosition && event.charIndex !== undefined) {
-            this.onCharPosition(event.charIndex);
+            this.onCharPosition(sentence.offset + event.charIndex);
           }
 
           // Update mascot intensity based on speaking (simple pulse effect)
           if (this.mascot && this.mascot.setIntensity) {
             // Gentle pulsing while speaking
-            const intensity = 0.6 + Math.sin(wordCount * 0.5) * 0.2;
+            const intensity = 0.6 + Math.sin(this._wordCount * 0.5) * 0.2;
             this.mascot.setIntensity(intensity);
           }
 
           // Update chunk display using word count for reliable sync
-          // wordCount is 1-indexed (incremented before this), so use wordCount-1 for 0-indexed lookup
-          const chunkIdx = this._findChunkForWord(wordCount - 1);
+          // _wordCount is 1-indexed (incremented before this), so use _wordCount-1 for 0-indexed lookup
+          const chunkIdx = this._findChunkForWord(this._wordCount - 1);
           if (chunkIdx !== this._currentChunkIndex && chunkIdx < this._chunks.length) {
             this._currentChunkIndex = chunkIdx;
             if (this.onChunkChange) {
@@ -208,184 +325,207 @@ export class NativeTTS {
         }
       };
 
-      // Fallback: adaptive timing that learns from actual speech rate
-      // Only used if boundary events don't fire
-      const speechStartTime = Date.now();
-      const numChunks = this._chunks.length;
-      const totalChars = text.length;
-
-      // Pre-calculate character offsets for each chunk
-      let charOffset = 0;
-      const chunkOffsets = this._chunks.map(c => {
-        const offset = charOffset;
-        charOffset += c.text.length;
-        return offset;
-      });
-
-      // Start fallback after a short delay to see if boundary events fire
-      const fallbackStartTimeout = setTimeout(() => {
-        if (boundaryFired) return; // Boundary events working, skip fallback
-
-        console.log('Using adaptive chunk timing (no boundary events)');
-
-        // Initial estimate: 17 chars/sec (faster to keep up with speech)
-        let charsPerMs = 17 / 1000 * utterance.rate;
+      utterance.onend = () => {
+        this.currentUtterance = null;
+        this._finishUtterance = null;
+        resolve(true);
+      };
 
-        const checkAndAdvance = () => {
-          if (!this.isSpeaking || boundaryFired) return;
+      utterance.onerror = (event) => {
+        this.currentUtterance = null;
+        this._finishUtterance = null;
+        // cancel() reports as an error in some browsers - stop() already handled it
+        if (event.error !== 'canceled' && event.error !== 'interrupted') {
+          console.error('TTS error:', event.error);
+        }
+        // Don't reject - TTS is optional
+        resolve(false);
+      };
 
-          const elapsed = Date.now() - speechStartTime;
-          const estimatedCharPos = elapsed * charsPerMs;
+      this.synth.speak(utterance);
+    });
+  }
 
-          // Report estimated character position for StoryDirector
-          if (this.onCharPosition) {
-            this.onCharPosition(Math.floor(estimatedCharPos));
-          }
+  /**
+   * Clean up after the last sentence (or a synth error)
+   */
+  _endSpeech() {
+    console.log('TTS ended');
+    this.isSpeaking = false;
+    this.currentUtterance = null;
 
-          // Find which chunk we should be on based on character position
-          let targetIdx = 0;
-          for (let i = 0; i < numChunks; i++) {
-            if (estimatedCharPos >= chunkOffsets[i]) {
-              targetIdx = i;
-            }
-          }
+    // Clear Chrome keep-alive interval
+    if (this._keepAliveInterval) {
+      clearInterval(this._keepAliveInterval);
+      this._keepAliveInterval = null;
+    }
 
-          // Don't advance past second-to-last chunk - let onend show last chunk
-          targetIdx = Math.min(targetIdx, numChunks - 2);
+    // Clear fallback timers
+    if (this._fallbackStartTimeout) {
+      clearTimeout(this._fallbackStartTimeout);
+    }
+    if (this._fallbackChunkTimeout) {
+      clearTimeout(this._fallbackChunkTimeout);
+    }
 
-          // Update chunk if changed
-          if (targetIdx > this._currentChunkIndex) {
-            // Recalibrate: we expected to be at chunkOffsets[targetIdx] chars
-            // Actual elapsed time tells us real rate
-            const expectedChars = chunkOffsets[targetIdx];
-            const actualCharsPerMs = expectedChars / elapsed;
+    // Reset mascot intensity
+    if (this.mascot && this.mascot.resetIntensity) {
+      this.mascot.resetIntensity();
+    }
+  }
 
-            // Blend with current estimate (smooth adaptation)
-            charsPerMs = charsPerMs * 0.5 + actualCharsPerMs * 0.5;
+  /**
+   * Fallback: adaptive timing that learns from actual speech rate
+   * Only used if boundary events don't fire
+   * @param {string} text - The full text being spoken
+   * @param {number} rate - Utterance rate the speech starts at
+   */
+  _startFallbackTiming(text, rate) {
+    const speechStartTime = Date.now();
+    const numChunks = this._chunks.length;
+    const totalChars = text.length;
+
+    // Pre-calculate character offsets for each chunk
+    let charOffset = 0;
+    const chunkOffsets = this._chunks.map(c => {
+      const offset = charOffset;
+      charOffset += c.text.length;
+      return offset;
+    });
 
-            console.log(`Advancing to chunk ${targetIdx}, rate: ${(charsPerMs * 1000).toFixed(1)} chars/sec`);
+    // Start fallback after a short delay to see if boundary events fire
+    const fallbackStartTimeout = setTimeout(() => {
+      if (this._boundaryFired) return; // Boundary events working, skip fallback
 
-            this._currentChunkIndex = targetIdx;
+      console.log('Using adaptive chunk timing (no boundary events)');
 
-            if (this.onChunkChange) {
-              this.onChunkChange(
-                this._chunks[targetIdx].text,
-                targetIdx,
-                numChunks
-              );
-            }
-          }
+      // Initial estimate: 17 chars/sec (faster to keep up with speech)
+      let charsPerMs = 17 / 1000 * rate;
 
-          // Update progress
-          if (this.onProgress) {
-            const progress = Math.min(estimatedCharPos / totalChars, 0.95);
-            this.onProgress(progress);
-          }
+      const checkAndAdvance = () => {
+        if (!this.isSpeaking || this._boundaryFired) return;
 
-          // Continue polling
+        // Nothing is spoken while held - check again after resume()
+        if (this._held) {
           this._fallbackChunkTimeout = setTimeout(checkAndAdvance, 200);
-        };
+          return;
+        }
 
-        // Start polling
-        checkAndAdvance();
+        const elapsed = Date.now() - speechStartTime - this._pausedTotal;
+        const estimatedCharPos = elapsed * charsPerMs;
 
-      }, 300); // Wait 300ms to see if boundary events fire
+        // Report estimated character position for StoryDirector
+        if (this.onCharPosition) {
+          this.onCharPosition(Math.floor(estimatedCharPos));
+        }
 
-      // Store for cleanup
-      this._fallbackStartTimeout = fallbackStartTimeout;
+        // Find which chunk we should be on based on character position
+        let targetIdx = 0;
+        for (let i = 0; i < numChunks; i++) {
+          if (estimatedCharPos >= chunkOffsets[i]) {
+            targetIdx = i;
+          }
+        }
 
-      // Return a promise that resolves when speech ends
-      return new Promise((resolve, reject) => {
-        utterance.onend = () => {
-          console.log('TTS ended');
-          this.isSpeaking = false;
-          this.currentUtterance = null;
+        // Don't advance past second-to-last chunk - let onend show last chunk
+        targetIdx = Math.min(targetIdx, numChunks - 2);
 
-          // Clear Chrome keep-alive interval
-          if (this._keepAliveInterval) {
-            clearInterval(this._keepAliveInterval);
-            this._keepAliveInterval = null;
-          }
+        // Update chunk if changed
+        if (targetIdx > this._currentChunkIndex) {
+          // Recalibrate: we expected to be at chunkOffsets[targetIdx] chars
+          // Actual elapsed time tells us real rate
+          const expectedChars = chunkOffsets[targetIdx];
+          const actualCharsPerMs = expectedChars / elapsed;
 
-          // Clear fallback timers
-          if (this._fallbackStartTimeout) {
-            clearTimeout(this._fallbackStartTimeout);
-          }
-          if (this._fallbackChunkTimeout) {
-            clearTimeout(this._fallbackChunkTimeout);
-          }
+          // Blend with current estimate (smooth adaptation)
+          charsPerMs = charsPerMs * 0.5 + actualCharsPerMs * 0.5;
 
-          // Show the last chunk when speech ends (ensures final text is displayed)
-          if (this._chunks && this._chunks.length > 0) {
-            const lastIdx = this._chunks.length - 1;
-            if (this._currentChunkIndex !== lastIdx && this.onChunkChange) {
-              this.onChunkChange(
-                this._chunks[lastIdx].text,
-                lastIdx,
-                this._chunks.length
-              );
-            }
-          }
+          console.log(`Advancing to chunk ${targetIdx}, rate: ${(charsPerMs * 1000).toFixed(1)} chars/sec`);
 
-          if (this.onProgress) {
-            this.onProgress(1);
-          }
+          this._currentChunkIndex = targetIdx;
 
-          // Reset mascot intensity
-          if (this.mascot && this.mascot.resetIntensity) {
-            this.mascot.resetIntensity();
+          if (this.onChunkChange) {
+            this.onChunkChange(
+              this._chunks[targetIdx].text,
+              targetIdx,
+              numChunks
+            );
           }
+        }
 
-          resolve();
-        };
-
-        utterance.onerror = (event) => {
-          console.error('TTS error:', event.error);
-          this.isSpeaking = false;
-          this.currentUtterance = null;
+        // Update progress
+        if (this.onProgress) {
+          const progress = Math.min(estimatedCharPos / totalChars, 0.95);
+          this.onProgress(progress);
+        }
 
-          // Clear Chrome keep-alive interval
-          if (this._keepAliveInterval) {
-            clearInterval(this._keepAliveInterval);
-            this._keepAliveInterval = null;
-          }
+        // Continue polling
+        this._fallbackChunkTimeout = setTimeout(checkAndAdvance, 200);
+      };
 
-          // Reset mascot intensity
-          if (this.mascot && this.mascot.resetIntensity) {
-            this.mascot.resetIntensity();
-          }
+      // Start polling
+      checkAndAdvance();
 
-          // Don't reject - TTS is optional
-          resolve();
-        };
+    }, 300); // Wait 300ms to see if boundary events fire
 
-        // Start speaking
-        console.log('TTS speaking:', text.substring(0, 50) + '...');
-        this.synth.speak(utterance);
+    // Store for cleanup
+    this._fallbackStartTimeout = fallbackStartTimeout;
+  }
 
-        // Chrome workaround: pause/resume every 10 seconds to prevent timeout bug
-        // Chrome's Web Speech API silently stops after ~15 seconds on long utterances
-        this._keepAliveInterval = setInterval(() => {
-          if (this.synth.speaking && !this.synth.paused) {
-            this.synth.pause();
-            this.synth.resume();
-          }
-        }, 10000);
-      });
+  /**
+   * Pause speech until resume() - used for story WAIT directives
+   * If nothing is playing yet, the next speak() waits instead
+   */
+  pause() {
+    if (this._held) return;
+    this._held = true;
+    this._pausedAt = Date.now();
+    if (this.synth?.speaking) {
+      this.synth.pause();
+    }
+  }
 
-    } catch (error) {
-      console.error('TTS error:', error);
-      this.isSpeaking = false;
+  /**
+   * Continue speech held by pause()
+   */
+  resume() {
+    if (!this._held) return;
+    this._held = false;
+    this._pausedTotal += Date.now() - this._pausedAt;
+    this._pausedAt = null;
+    if (this.synth?.paused) {
+      this.synth.resume();
     }
+    this._releaseHold?.();
+  }
+
+  /**
+   * Resolves once not held (immediately if not paused)
+   */
+  _untilResumed() {
+    if (!this._held) return Promise.resolve();
+    return new Promise(resolve => {
+      this._releaseHold = () => {
+        this._releaseHold = null;
+        resolve();
+      };
+    });
   }
 
   /**
    * Stop current speech
+   * A speak() waiting on pause() returns without speaking
    */
   stop() {
     console.log('TTS stop called');
     this.isSpeaking = false;
     this.currentUtterance = null;
+    this._speechId++;
+
+    // Drop a WAIT hold too - the next speak() shouldn't wait for a resume() that never comes
+    this._held = false;
+    this._pausedAt = null;
+    this._releaseHold?.();
 
     // Clear Chrome keep-alive interval
     if (this._keepAliveInterval) {
@@ -405,6 +545,13 @@ export class NativeTTS {
 
     if (this.synth) {
       this.synth.cancel();
+      // Some browsers stay paused after cancel() - the next utterance would be silent
+      if (this.synth.paused) this.synth.resume();
+    }
+
+    if (this._finishUtterance) {
+      this._finishUtterance(false);
+      this._finishUtterance = null;
     }
 
     // Reset mascot intensity
@@ -429,13 +576,19 @@ export class NativeTTS {
 
   /**
    * Set preferred voice by name
+   * Kept until the voices load if they haven't yet; null picks one automatically
    */
   setVoice(voiceName) {
-    const voices = this.getVoices();
-    const voice = voices.find(v => v.name === voiceName);
-    if (voice) {
-      this._preferredVoice = voice;
-      console.log('TTS voice set to:', voice.name);
-    }
+    this.voiceName = voiceName || null;
+    this._pickVoice();
+  }
+
+  /**
+   * Set the listener's speed and pitch (1 = normal)
+   * Applied on top of the prosody, so moods still change the voice
+   */
+  setRateAndPitch(rate = 1, pitch = 1) {
+    this.rate = rate;
+    this.pitch = pitch;
   }
 }
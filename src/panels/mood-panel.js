@@ -8,15 +8,11 @@
  */
 
 import { MenuPanel } from './menu-panel.js';
+import { UNDERTONES, vocabularyLabel } from '../vocabulary.js';
 
-// Available undertones from the engine (reduced to fit slider)
-const UNDERTONES = [
-  { id: 'clear', label: 'CLEAR' },
-  { id: 'subdued', label: 'SUBDUED' },
-  { id: 'confident', label: 'CONFIDENT' },
-  { id: 'intense', label: 'INTENSE' },
-  { id: 'nervous', label: 'NERVOUS' }
-];
+// Stop label sizes - shrunk to fit when the registry has many undertones
+const LABEL_FONT_SIZE = 13;
+const MIN_LABEL_FONT_SIZE = 10;
 
 // Accent color - teal (matches other panels)
 const ACCENT_COLOR = '#84CFC5';
@@ -30,6 +26,9 @@ export class MoodPanel extends MenuPanel {
       title: 'EXPRESSION'
     });
 
+    // Slider stops, mildest first (vocabulary registry order, synced with the engine)
+    this.undertones = UNDERTONES.map(id => ({ id, label: vocabularyLabel(id).toUpperCase() }));
+
     // Current undertone index
     this.selectedUndertoneIndex = 0;  // Default to 'clear'
 
@@ -88,7 +87,7 @@ export class MoodPanel extends MenuPanel {
     const currentUndertone = this.mascot.undertone || 'clear';
 
     // Find the index for this undertone
-    const index = UNDERTONES.findIndex(u => u.id === currentUndertone);
+    const index = this.undertones.findIndex(u => u.id === currentUndertone);
     if (index !== -1) {
       this.selectedUndertoneIndex = index;
     }
@@ -136,7 +135,7 @@ export class MoodPanel extends MenuPanel {
    * Get the current undertone label
    */
   _getCurrentUndertoneLabel() {
-    const undertone = UNDERTONES[this.selectedUndertoneIndex];
+    const undertone = this.undertones[this.selectedUndertoneIndex];
     return undertone ? undertone.label : 'CLEAR';
   }
 
@@ -203,6 +202,18 @@ export class MoodPanel extends MenuPanel {
     }
   }
 
+  /**
+   * Largest stop label size where the widest label fits between stops
+   */
+  _fitLabelSize(ctx, stopSpacing) {
+    for (let size = LABEL_FONT_SIZE; size > MIN_LABEL_FONT_SIZE; size--) {
+      ctx.font = `700 ${size + 1}px Poppins, sans-serif`;
+      const widest = Math.max(...this.undertones.map(u => ctx.measureText(u.label).width));
+      if (widest <= stopSpacing - 4) return size;
+    }
+    return MIN_LABEL_FONT_SIZE;
+  }
+
   /**
    * Draw undertone horizontal slider with labeled stops - premium design
    */
@@ -220,7 +231,7 @@ export class MoodPanel extends MenuPanel {
     const trackRadius = trackH / 2;
 
     // Calculate positions
-    const stopCount = UNDERTONES.length;
+    const stopCount = this.undertones.length;
     const edgePadding = 8; // Padding from edges so stops don't touch brackets
     const effectiveWidth = w - edgePadding * 2;
     const stopSpacing = effectiveWidth / (stopCount - 1);
@@ -263,6 +274,7 @@ export class MoodPanel extends MenuPanel {
 
     // Draw stop markers and labels
     ctx.textBaseline = 'top';
+    const labelSize = this._fitLabelSize(ctx, stopSpacing);
 
     for (let i = 0; i < stopCount; i++) {
       const stopX = trackStartX + i * stopSpacing;
@@ -289,9 +301,9 @@ export class MoodPanel extends MenuPanel {
 
       // Label below - larger, better contrast for mobile readability
       ctx.fillStyle = isSelected ? ACCENT_COLOR : 'rgba(255, 255, 255, 0.75)';
-      ctx.font = isSelected ? '700 14px Poppins, sans-serif' : '600 13px Poppins, sans-serif';
+      ctx.font = isSelected ? `700 ${labelSize + 1}px Poppins, sans-serif` : `600 ${labelSize}px Poppins, sans-serif`;
       ctx.textAlign = 'center';
-      ctx.fillText(UNDERTONES[i].label, stopX, trackY + trackH + 12);
+      ctx.fillText(this.undertones[i].label, stopX, trackY + trackH + 12);
 
       // Hit region for each stop - generous touch targets
       this._customRegions.push({
@@ -300,7 +312,7 @@ export class MoodPanel extends MenuPanel {
         y: trackY - 20,
         w: stopSpacing + 10,
         h: 65,
-        extra: { index: i, undertoneId: UNDERTONES[i].id }
+        extra: { index: i, undertoneId: this.undertones[i].id }
       });
     }
 
@@ -608,7 +620,7 @@ export class MoodPanel extends MenuPanel {
       const index = extra?.index;
       if (index !== undefined && index !== this.selectedUndertoneIndex) {
         this.selectedUndertoneIndex = index;
-        const undertone = UNDERTONES[index];
+        const undertone = this.undertones[index];
         console.log(`Selected undertone: ${undertone.label}`);
 
         // Apply undertone to mascot
@@ -701,7 +713,7 @@ export class MoodPanel extends MenuPanel {
     // Notify parent
     if (this.onConfirm) {
       this.onConfirm({
-        undertone: UNDERTONES[this.selectedUndertoneIndex].id,
+        undertone: this.undertones[this.selectedUndertoneIndex].id,
         wobbleEnabled: this.wobbleEnabled
       });
     }
@@ -717,7 +729,7 @@ export class MoodPanel extends MenuPanel {
     return {
       id: this.id,
       selectedUndertoneIndex: this.selectedUndertoneIndex,
-      selectedUndertone: UNDERTONES[this.selectedUndertoneIndex],
+      selectedUndertone: this.undertones[this.selectedUndertoneIndex],
       wobbleEnabled: this.wobbleEnabled
     };
   }
@@ -738,7 +750,7 @@ export class MoodPanel extends MenuPanel {
    * Set undertone by ID (for external control)
    */
   setUndertone(undertoneId) {
-    const index = UNDERTONES.findIndex(u => u.id === undertoneId);
+    const index = this.undertones.findIndex(u => u.id === undertoneId);
     if (index !== -1) {
       this.selectedUndertoneIndex = index;
       this._applyUndertone(undertoneId);
@@ -749,7 +761,7 @@ export class MoodPanel extends MenuPanel {
    * Get current undertone ID
    */
   getUndertone() {
-    return UNDERTONES[this.selectedUndertoneIndex].id;
+    return this.undertones[this.selectedUndertoneIndex].id;
   }
 }
 
@@ -3,7 +3,8 @@
  *
  * Allows users to configure:
  * - ElevenLabs API key (BYOK - Bring Your Own Key)
- * - TTS provider selection (Browser vs ElevenLabs)
+ * - TTS provider selection (Browser, ElevenLabs or a Local engine on the server)
+ * - Voice for the provider, with spoken previews (plus speed and pitch for Browser)
  * - Claude API key (BYOK for LLM)
  * - Claude model selection
  *
@@ -12,6 +13,8 @@
  */
 
 import { MenuPanel } from './menu-panel.js';
+import { apiFetch } from '../api-session.js';
+import { DEFAULT_VOICE_ID } from '../elevenlabs-tts.js';
 
 // Brand teal color (Eye Tea Green)
 const ACCENT_COLOR = '#84CFC5';
@@ -21,9 +24,28 @@ const STORAGE_KEYS = {
   elevenLabsApiKey: 'emo_elevenlabs_api_key',
   claudeApiKey: 'emo_claude_api_key',
   claudeModel: 'emo_claude_model',
-  ttsProvider: 'emo_tts_provider'  // 'browser' or 'elevenlabs'
+  serverModel: 'emo_server_model',  // Model on the backend provider (no BYOK key)
+  ttsProvider: 'emo_tts_provider',  // 'browser', 'elevenlabs' or 'local'
+  browserVoice: 'emo_browser_voice',  // Speech synthesis voice name (none = automatic)
+  browserRate: 'emo_browser_rate',
+  browserPitch: 'emo_browser_pitch',
+  elevenLabsVoice: 'emo_elevenlabs_voice',  // ElevenLabs voice ID (none = Emo's voice)
+  localVoice: 'emo_local_voice'  // Local engine voice (none = the server's default)
 };
 
+// Voice providers, as pills on the Voice row (width in px)
+const TTS_PROVIDERS = [
+  { id: 'browser', label: 'Browser', width: 70 },
+  { id: 'elevenlabs', label: 'ElevenLabs', width: 94 },
+  { id: 'local', label: 'Local', width: 54 }  // Self-hosted engine behind the server (LOCAL_TTS_URL)
+];
+
+// Spoken by the voice picker's previews
+const VOICE_PREVIEW_TEXT = "Hi, I'm Emo. This is how I'll sound.";
+
+// Browser voice speed and pitch slider range (1 = normal)
+const VOICE_TUNING_RANGE = { min: 0.5, max: 1.5, step: 0.05 };
+
 // Available Claude models
 const CLAUDE_MODELS = [
   { id: 'claude-3-haiku-20240307', name: 'Haiku', desc: 'Fast & affordable' },
@@ -44,7 +66,9 @@ export class SettingsPanel extends MenuPanel {
     this._elevenLabsKey = localStorage.getItem(STORAGE_KEYS.elevenLabsApiKey) || '';
     this._claudeKey = localStorage.getItem(STORAGE_KEYS.claudeApiKey) || '';
     this._claudeModel = localStorage.getItem(STORAGE_KEYS.claudeModel) || 'claude-3-haiku-20240307';
+    this._serverModel = localStorage.getItem(STORAGE_KEYS.serverModel) || '';
     this._ttsProvider = localStorage.getItem(STORAGE_KEYS.ttsProvider) || 'browser';
+    this._loadVoiceSettings();
 
     // API key validation status
     this._claudeKeyValid = null; // null = not tested, true = valid, false = invalid
@@ -53,6 +77,11 @@ export class SettingsPanel extends MenuPanel {
     // Callback when settings change
     this.onSettingsChange = options.onSettingsChange || (() => {});
 
+    // Voice picker - the app owns the engines that list and preview voices
+    this.getVoices = options.getVoices || (async () => []); // (provider) => Promise<voices>
+    this.onPreviewVoice = options.onPreviewVoice || (() => {}); // ({ provider, voice, rate, pitch, text } | null) => void
+    this._previewing = false;
+
     // Hit regions
     this._rowRegions = [];
     this._bracketRegions = [];
@@ -69,7 +98,20 @@ export class SettingsPanel extends MenuPanel {
     this._elevenLabsKey = localStorage.getItem(STORAGE_KEYS.elevenLabsApiKey) || '';
     this._claudeKey = localStorage.getItem(STORAGE_KEYS.claudeApiKey) || '';
     this._claudeModel = localStorage.getItem(STORAGE_KEYS.claudeModel) || 'claude-3-haiku-20240307';
+    this._serverModel = localStorage.getItem(STORAGE_KEYS.serverModel) || '';
     this._ttsProvider = localStorage.getItem(STORAGE_KEYS.ttsProvider) || 'browser';
+    this._loadVoiceSettings();
+  }
+
+  /**
+   * Read the saved voice choices
+   */
+  _loadVoiceSettings() {
+    this._browserVoice = localStorage.getItem(STORAGE_KEYS.browserVoice) || '';
+    this._browserRate = Number(localStorage.getItem(STORAGE_KEYS.browserRate)) || 1;
+    this._browserPitch = Number(localStorage.getItem(STORAGE_KEYS.browserPitch)) || 1;
+    this._elevenLabsVoice = localStorage.getItem(STORAGE_KEYS.elevenLabsVoice) || '';
+    this._localVoice = localStorage.getItem(STORAGE_KEYS.localVoice) || '';
   }
 
   /**
@@ -160,58 +202,52 @@ export class SettingsPanel extends MenuPanel {
     ctx.textBaseline = 'middle';
     ctx.fillText('Voice', startX + labelPadding, centerY);
 
-    // Toggle pills: Browser | ElevenLabs
+    // Toggle pills: Browser | ElevenLabs | Local
     const pillHeight = isCompact ? 28 : 32;
-    const pillGap = 6;
-    const browserWidth = isCompact ? 75 : 85;
-    const elevenWidth = isCompact ? 100 : 110;
-    const pillStartX = endX - browserWidth - pillGap - elevenWidth - 4;
-
-    // Browser pill
-    const isBrowser = this._ttsProvider === 'browser';
-    ctx.beginPath();
-    ctx.roundRect(pillStartX, centerY - pillHeight / 2, browserWidth, pillHeight, pillHeight / 2);
-    ctx.fillStyle = isBrowser ? ACCENT_COLOR : 'rgba(60, 60, 60, 0.9)';
-    ctx.fill();
-    ctx.strokeStyle = isBrowser ? ACCENT_COLOR : 'rgba(132, 207, 197, 0.6)';
-    ctx.lineWidth = 2;
-    ctx.stroke();
 
-    ctx.font = isCompact ? '500 14px Poppins, sans-serif' : '500 15px Poppins, sans-serif';
-    ctx.fillStyle = isBrowser ? 'rgba(0, 0, 0, 1)' : '#FFFFFF';
-    ctx.textAlign = 'center';
-    ctx.fillText('Browser', pillStartX + browserWidth / 2, centerY + 1);
+    // Chevron - the label opens the voice picker
+    const labelWidth = ctx.measureText('Voice').width;
+    ctx.fillStyle = ACCENT_COLOR;
+    ctx.fillText('›', startX + labelPadding + labelWidth + 6, centerY - 1);
 
     this._rowRegions.push({
-      name: 'provider-browser',
-      x: pillStartX,
+      name: 'voice-picker',
+      x: startX,
       y: centerY - pillHeight / 2,
-      w: browserWidth,
+      w: labelPadding + labelWidth + 20,
       h: pillHeight
     });
 
-    // ElevenLabs pill
-    const elevenX = pillStartX + browserWidth + pillGap;
-    const isEleven = this._ttsProvider === 'elevenlabs';
-    ctx.beginPath();
-    ctx.roundRect(elevenX, centerY - pillHeight / 2, elevenWidth, pillHeight, pillHeight / 2);
-    ctx.fillStyle = isEleven ? ACCENT_COLOR : 'rgba(60, 60, 60, 0.9)';
-    ctx.fill();
-    ctx.strokeStyle = isEleven ? ACCENT_COLOR : 'rgba(132, 207, 197, 0.6)';
-    ctx.lineWidth = 2;
-    ctx.stroke();
+    const pillGap = 6;
+    const pillsWidth = TTS_PROVIDERS.reduce((sum, p) => sum + p.width, 0) + pillGap * (TTS_PROVIDERS.length - 1);
+    let pillX = endX - pillsWidth - 4;
 
-    ctx.font = isCompact ? '500 14px Poppins, sans-serif' : '500 15px Poppins, sans-serif';
-    ctx.fillStyle = isEleven ? 'rgba(0, 0, 0, 1)' : '#FFFFFF';
-    ctx.fillText('ElevenLabs', elevenX + elevenWidth / 2, centerY + 1);
+    for (const provider of TTS_PROVIDERS) {
+      const isSelected = this._ttsProvider === provider.id;
+      ctx.beginPath();
+      ctx.roundRect(pillX, centerY - pillHeight / 2, provider.width, pillHeight, pillHeight / 2);
+      ctx.fillStyle = isSelected ? ACCENT_COLOR : 'rgba(60, 60, 60, 0.9)';
+      ctx.fill();
+      ctx.strokeStyle = isSelected ? ACCENT_COLOR : 'rgba(132, 207, 197, 0.6)';
+      ctx.lineWidth = 2;
+      ctx.stroke();
 
-    this._rowRegions.push({
-      name: 'provider-elevenlabs',
-      x: elevenX,
-      y: centerY - pillHeight / 2,
-      w: elevenWidth,
-      h: pillHeight
-    });
+      ctx.font = '500 14px Poppins, sans-serif';
+      ctx.fillStyle = isSelected ? 'rgba(0, 0, 0, 1)' : '#FFFFFF';
+      ctx.textAlign = 'center';
+      ctx.fillText(provider.label, pillX + provider.width / 2, centerY + 1);
+
+      this._rowRegions.push({
+        name: `provider-${provider.id}`,
+        x: pillX,
+        y: centerY - pillHeight / 2,
+        w: provider.width,
+        h: pillHeight,
+        extra: { provider: provider.id }
+      });
+
+      pillX += provider.width + pillGap;
+    }
   }
 
   /**
@@ -297,19 +333,16 @@ export class SettingsPanel extends MenuPanel {
    * Handle touch on settings
    */
   _handleCustomTouch(regionName, extra) {
-    if (regionName === 'provider-browser') {
-      this._ttsProvider = 'browser';
-      localStorage.setItem(STORAGE_KEYS.ttsProvider, 'browser');
+    if (regionName.startsWith('provider-')) {
+      this._ttsProvider = extra.provider;
+      localStorage.setItem(STORAGE_KEYS.ttsProvider, extra.provider);
       this._notifySettingsChange();
       this.updatePhoneDisplay();
       return;
     }
 
-    if (regionName === 'provider-elevenlabs') {
-      this._ttsProvider = 'elevenlabs';
-      localStorage.setItem(STORAGE_KEYS.ttsProvider, 'elevenlabs');
-      this._notifySettingsChange();
-      this.updatePhoneDisplay();
+    if (regionName === 'voice-picker') {
+      this._showVoiceModal();
       return;
     }
 
@@ -326,12 +359,7 @@ export class SettingsPanel extends MenuPanel {
    * Notify settings change with all current values
    */
   _notifySettingsChange() {
-    this.onSettingsChange({
-      ttsProvider: this._ttsProvider,
-      elevenLabsApiKey: this._elevenLabsKey,
-      claudeApiKey: this._claudeKey,
-      claudeModel: this._claudeModel
-    });
+    this.onSettingsChange(this.getSettings());
   }
 
   /**
@@ -384,6 +412,14 @@ export class SettingsPanel extends MenuPanel {
             </div>
           </div>
           ` : ''}
+          ${isClaude && !currentKey ? `
+          <div class="settings-modal-field settings-modal-server-models">
+            <label>Server Model</label>
+            <div class="settings-modal-models">
+              <span class="settings-modal-status">Loading models...</span>
+            </div>
+          </div>
+          ` : ''}
           <a href="${helpUrl}" target="_blank" class="settings-modal-help">
             Get your API key →
           </a>
@@ -395,7 +431,142 @@ export class SettingsPanel extends MenuPanel {
       </div>
     `;
 
-    // Add styles if not already present
+    this._injectModalStyles();
+
+    document.body.appendChild(overlay);
+    this._modal = overlay;
+
+    // Get elements
+    const input = overlay.querySelector('.settings-modal-input');
+    const toggleVis = overlay.querySelector('.settings-modal-toggle-vis');
+    const status = overlay.querySelector('.settings-modal-status');
+    const saveBtn = overlay.querySelector('[data-action="save"]');
+    const cancelBtn = overlay.querySelector('[data-action="cancel"]');
+    const closeBtn = overlay.querySelector('.settings-modal-close');
+    const modelBtns = overlay.querySelectorAll('.settings-modal-model');
+
+    // Focus input
+    setTimeout(() => input.focus(), 100);
+
+    // Toggle password visibility
+    toggleVis.addEventListener('click', () => {
+      input.type = input.type === 'password' ? 'text' : 'password';
+      toggleVis.textContent = input.type === 'password' ? '👁' : '🙈';
+    });
+
+    // Model selection
+    let selectedModel = this._claudeModel;
+    modelBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        modelBtns.forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+        selectedModel = btn.dataset.model;
+      });
+    });
+
+    // Without a BYOK key, chat goes through the server - offer its provider's models
+    let selectedServerModel = this._serverModel;
+    if (isClaude && !currentKey) {
+      this._loadServerModels(overlay, (modelId) => {
+        selectedServerModel = modelId;
+      });
+    }
+
+    // Validate on input change (debounced)
+    let validateTimeout;
+    input.addEventListener('input', () => {
+      clearTimeout(validateTimeout);
+      const value = input.value.trim();
+      if (value) {
+        status.textContent = 'Will validate on save...';
+        status.className = 'settings-modal-status';
+      } else {
+        status.textContent = '';
+      }
+    });
+
+    // Save action
+    const handleSave = async () => {
+      const value = input.value.trim();
+
+      if (value) {
+        // Validate the key
+        status.textContent = 'Validating...';
+        status.className = 'settings-modal-status validating';
+        saveBtn.disabled = true;
+
+        const isValid = isClaude
+          ? await this._validateClaudeKey(value)
+          : await this._validateElevenLabsKey(value);
+
+        if (isValid) {
+          status.textContent = '✓ Key validated successfully';
+          status.className = 'settings-modal-status valid';
+
+          // Save the key
+          if (isClaude) {
+            this._claudeKey = value;
+            this._claudeModel = selectedModel;
+            localStorage.setItem(STORAGE_KEYS.claudeApiKey, value);
+            localStorage.setItem(STORAGE_KEYS.claudeModel, selectedModel);
+          } else {
+            this._elevenLabsKey = value;
+            localStorage.setItem(STORAGE_KEYS.elevenLabsApiKey, value);
+          }
+
+          this._notifySettingsChange();
+          this.updatePhoneDisplay();
+
+          // Close after brief delay to show success
+          setTimeout(() => this._closeModal(), 500);
+        } else {
+          status.textContent = '✗ Invalid API key';
+          status.className = 'settings-modal-status invalid';
+          saveBtn.disabled = false;
+        }
+      } else {
+        // Clear the key
+        if (isClaude) {
+          this._claudeKey = '';
+          localStorage.removeItem(STORAGE_KEYS.claudeApiKey);
+
+          // Keep the server model choice
+          this._serverModel = selectedServerModel || '';
+          if (this._serverModel) {
+            localStorage.setItem(STORAGE_KEYS.serverModel, this._serverModel);
+          } else {
+            localStorage.removeItem(STORAGE_KEYS.serverModel);
+          }
+        } else {
+          this._elevenLabsKey = '';
+          localStorage.removeItem(STORAGE_KEYS.elevenLabsApiKey);
+        }
+
+        this._notifySettingsChange();
+        this.updatePhoneDisplay();
+        this._closeModal();
+      }
+    };
+
+    // Event listeners
+    saveBtn.addEventListener('click', handleSave);
+    cancelBtn.addEventListener('click', () => this._closeModal());
+    closeBtn.addEventListener('click', () => this._closeModal());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._closeModal();
+    });
+
+    // Enter to save
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') handleSave();
+      if (e.key === 'Escape') this._closeModal();
+    });
+  }
+
+  /**
+   * Add the modal styles to the page (once)
+   */
+  _injectModalStyles() {
     if (!document.getElementById('settings-modal-styles')) {
       const style = document.createElement('style');
       style.id = 'settings-modal-styles';
@@ -649,128 +820,317 @@ export class SettingsPanel extends MenuPanel {
           opacity: 0.5;
           cursor: not-allowed;
         }
+
+        .settings-modal-voices {
+          grid-template-columns: 1fr;
+          max-height: 40vh;
+          overflow-y: auto;
+        }
+
+        .settings-modal-voices .settings-modal-model {
+          text-align: left;
+        }
+
+        .settings-modal-field label .settings-modal-value {
+          float: right;
+          color: ${ACCENT_COLOR};
+        }
+
+        .settings-modal-slider {
+          width: 100%;
+          accent-color: ${ACCENT_COLOR};
+        }
       `;
       document.head.appendChild(style);
     }
+  }
 
+  /**
+   * Show the voice picker for the current provider
+   * Tapping a voice (or letting go of a slider) speaks a preview
+   */
+  _showVoiceModal() {
+    const provider = this._ttsProvider;
+    const isBrowser = provider === 'browser';
+    const savedVoices = {
+      browser: this._browserVoice,
+      elevenlabs: this._elevenLabsVoice,
+      local: this._localVoice
+    };
+    const sliders = [
+      { setting: 'rate', label: 'Speed', value: this._browserRate },
+      { setting: 'pitch', label: 'Pitch', value: this._browserPitch }
+    ];
+
+    const overlay = document.createElement('div');
+    overlay.className = 'settings-modal-overlay';
+    overlay.innerHTML = `
+      <div class="settings-modal">
+        <div class="settings-modal-header">
+          <h2>${TTS_PROVIDERS.find(p => p.id === provider)?.label} Voice</h2>
+          <button class="settings-modal-close">&times;</button>
+        </div>
+        <div class="settings-modal-body">
+          <div class="settings-modal-field">
+            <label>Voice - tap to hear it</label>
+            <div class="settings-modal-models settings-modal-voices">
+              <span class="settings-modal-status">Loading voices...</span>
+            </div>
+          </div>
+          ${isBrowser ? sliders.map(field => `
+          <div class="settings-modal-field">
+            <label>${field.label} <span class="settings-modal-value">${field.value.toFixed(2)}×</span></label>
+            <input
+              type="range"
+              class="settings-modal-slider"
+              data-setting="${field.setting}"
+              min="${VOICE_TUNING_RANGE.min}"
+              max="${VOICE_TUNING_RANGE.max}"
+              step="${VOICE_TUNING_RANGE.step}"
+              value="${field.value}"
+            />
+          </div>
+          `).join('') : ''}
+        </div>
+        <div class="settings-modal-footer">
+          <button class="settings-modal-btn secondary" data-action="cancel">Cancel</button>
+          <button class="settings-modal-btn primary" data-action="save">Save</button>
+        </div>
+      </div>
+    `;
+
+    this._injectModalStyles();
     document.body.appendChild(overlay);
     this._modal = overlay;
 
-    // Get elements
-    const input = overlay.querySelector('.settings-modal-input');
-    const toggleVis = overlay.querySelector('.settings-modal-toggle-vis');
-    const status = overlay.querySelector('.settings-modal-status');
-    const saveBtn = overlay.querySelector('[data-action="save"]');
-    const cancelBtn = overlay.querySelector('[data-action="cancel"]');
-    const closeBtn = overlay.querySelector('.settings-modal-close');
-    const modelBtns = overlay.querySelectorAll('.settings-modal-model');
-
-    // Focus input
-    setTimeout(() => input.focus(), 100);
+    const choice = {
+      voice: savedVoices[provider] || '',
+      rate: this._browserRate,
+      pitch: this._browserPitch
+    };
+    const preview = () => {
+      this._previewing = true;
+      this.onPreviewVoice({ provider, ...choice, text: VOICE_PREVIEW_TEXT });
+    };
 
-    // Toggle password visibility
-    toggleVis.addEventListener('click', () => {
-      input.type = input.type === 'password' ? 'text' : 'password';
-      toggleVis.textContent = input.type === 'password' ? '👁' : '🙈';
+    this._loadVoiceList(overlay, provider, choice.voice, (voice) => {
+      choice.voice = voice;
+      preview();
     });
 
-    // Model selection
-    let selectedModel = this._claudeModel;
-    modelBtns.forEach(btn => {
-      btn.addEventListener('click', () => {
-        modelBtns.forEach(b => b.classList.remove('selected'));
-        btn.classList.add('selected');
-        selectedModel = btn.dataset.model;
+    // Speed and pitch - preview once the slider is let go
+    overlay.querySelectorAll('.settings-modal-slider').forEach(slider => {
+      const value = slider.parentElement.querySelector('.settings-modal-value');
+      slider.addEventListener('input', () => {
+        choice[slider.dataset.setting] = Number(slider.value);
+        value.textContent = `${Number(slider.value).toFixed(2)}×`;
       });
+      slider.addEventListener('change', preview);
     });
 
-    // Validate on input change (debounced)
-    let validateTimeout;
-    input.addEventListener('input', () => {
-      clearTimeout(validateTimeout);
-      const value = input.value.trim();
-      if (value) {
-        status.textContent = 'Will validate on save...';
-        status.className = 'settings-modal-status';
+    const handleSave = () => {
+      if (isBrowser) {
+        this._browserVoice = choice.voice;
+        this._browserRate = choice.rate;
+        this._browserPitch = choice.pitch;
+        this._saveSetting(STORAGE_KEYS.browserVoice, choice.voice);
+        this._saveSetting(STORAGE_KEYS.browserRate, choice.rate === 1 ? '' : String(choice.rate));
+        this._saveSetting(STORAGE_KEYS.browserPitch, choice.pitch === 1 ? '' : String(choice.pitch));
+      } else if (provider === 'elevenlabs') {
+        this._elevenLabsVoice = choice.voice;
+        this._saveSetting(STORAGE_KEYS.elevenLabsVoice, choice.voice);
       } else {
-        status.textContent = '';
+        this._localVoice = choice.voice;
+        this._saveSetting(STORAGE_KEYS.localVoice, choice.voice);
       }
+
+      this._notifySettingsChange();
+      this.updatePhoneDisplay();
+      this._closeModal();
+    };
+
+    overlay.querySelector('[data-action="save"]').addEventListener('click', handleSave);
+    overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => this._closeModal());
+    overlay.querySelector('.settings-modal-close').addEventListener('click', () => this._closeModal());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._closeModal();
     });
+  }
 
-    // Save action
-    const handleSave = async () => {
-      const value = input.value.trim();
+  /**
+   * Fill the voice picker's list from the app's engine
+   * The first entry is the default: the automatic browser voice, Emo's own
+   * or the local engine's configured voice
+   * @param {HTMLElement} overlay - Modal overlay
+   * @param {string} provider - 'browser', 'elevenlabs' or 'local'
+   * @param {string} current - Saved voice ('' = default)
+   * @param {Function} onSelect - Called with the tapped voice ('' = default)
+   */
+  async _loadVoiceList(overlay, provider, current, onSelect) {
+    const grid = overlay.querySelector('.settings-modal-voices');
 
-      if (value) {
-        // Validate the key
-        status.textContent = 'Validating...';
-        status.className = 'settings-modal-status validating';
-        saveBtn.disabled = true;
+    let voices;
+    try {
+      voices = await this.getVoices(provider);
+    } catch (error) {
+      console.warn('Could not load voices:', error);
+      voices = [];
+    }
 
-        const isValid = isClaude
-          ? await this._validateClaudeKey(value)
-          : await this._validateElevenLabsKey(value);
+    // Modal may have closed while loading
+    if (!overlay.isConnected) return;
 
-        if (isValid) {
-          status.textContent = '✓ Key validated successfully';
-          status.className = 'settings-modal-status valid';
+    const options = this._voiceOptions(provider, voices);
 
-          // Save the key
-          if (isClaude) {
-            this._claudeKey = value;
-            this._claudeModel = selectedModel;
-            localStorage.setItem(STORAGE_KEYS.claudeApiKey, value);
-            localStorage.setItem(STORAGE_KEYS.claudeModel, selectedModel);
-          } else {
-            this._elevenLabsKey = value;
-            localStorage.setItem(STORAGE_KEYS.elevenLabsApiKey, value);
-          }
+    // A saved voice that's gone (other device, deleted voice) shows as the default
+    const selected = options.some(o => o.id === current) ? current : '';
+    grid.innerHTML = '';
 
-          this._notifySettingsChange();
-          this.updatePhoneDisplay();
+    for (const option of options) {
+      const btn = document.createElement('button');
+      btn.className = `settings-modal-model ${option.id === selected ? 'selected' : ''}`;
 
-          // Close after brief delay to show success
-          setTimeout(() => this._closeModal(), 500);
-        } else {
-          status.textContent = '✗ Invalid API key';
-          status.className = 'settings-modal-status invalid';
-          saveBtn.disabled = false;
-        }
-      } else {
-        // Clear the key
-        if (isClaude) {
-          this._claudeKey = '';
-          localStorage.removeItem(STORAGE_KEYS.claudeApiKey);
-        } else {
-          this._elevenLabsKey = '';
-          localStorage.removeItem(STORAGE_KEYS.elevenLabsApiKey);
-        }
+      const name = document.createElement('span');
+      name.className = 'model-name';
+      name.textContent = option.name;
+      btn.appendChild(name);
 
-        this._notifySettingsChange();
-        this.updatePhoneDisplay();
-        this._closeModal();
+      if (option.desc) {
+        const desc = document.createElement('span');
+        desc.className = 'model-desc';
+        desc.textContent = option.desc;
+        btn.appendChild(desc);
       }
-    };
 
-    // Event listeners
-    saveBtn.addEventListener('click', handleSave);
-    cancelBtn.addEventListener('click', () => this._closeModal());
-    closeBtn.addEventListener('click', () => this._closeModal());
-    overlay.addEventListener('click', (e) => {
-      if (e.target === overlay) this._closeModal();
-    });
+      btn.addEventListener('click', () => {
+        grid.querySelectorAll('.settings-modal-model').forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+        onSelect(option.id);
+      });
 
-    // Enter to save
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') handleSave();
-      if (e.key === 'Escape') this._closeModal();
-    });
+      grid.appendChild(btn);
+    }
+
+    if (voices.length === 0) {
+      const status = document.createElement('span');
+      status.className = 'settings-modal-status';
+      status.textContent = 'No other voices available';
+      grid.appendChild(status);
+    }
+  }
+
+  /**
+   * Voice picker entries for an engine's voices, default first
+   * @param {string} provider - 'browser', 'elevenlabs' or 'local'
+   * @param {Array} voices - SpeechSynthesisVoices, or /api/voices entries
+   * @returns {Array<{ id: string, name: string, desc: string }>} id '' is the default
+   */
+  _voiceOptions(provider, voices) {
+    if (provider === 'browser') {
+      return [
+        { id: '', name: 'Automatic', desc: 'Best English voice on this device' },
+        // English first, then by name
+        ...[...voices]
+          .sort((a, b) => b.lang.startsWith('en') - a.lang.startsWith('en') || a.name.localeCompare(b.name))
+          .map(v => ({ id: v.name, name: v.name, desc: v.lang }))
+      ];
+    }
+
+    if (provider === 'local') {
+      return [
+        { id: '', name: 'Default', desc: 'The voice the server is set up with' },
+        ...voices.map(v => ({ id: v.voice_id, name: v.name, desc: '' }))
+      ];
+    }
+
+    return [
+      { id: '', name: 'Emo', desc: 'Default voice' },
+      ...voices
+        .filter(v => v.voice_id !== DEFAULT_VOICE_ID)
+        .map(v => ({
+          id: v.voice_id,
+          name: v.name,
+          desc: [v.labels?.gender, v.labels?.accent].filter(Boolean).join(', ') || v.category || ''
+        }))
+    ];
+  }
+
+  /**
+   * Save a setting, or remove it when empty (back to the default)
+   */
+  _saveSetting(key, value) {
+    if (value) {
+      localStorage.setItem(key, value);
+    } else {
+      localStorage.removeItem(key);
+    }
+  }
+
+  /**
+   * Fill the server model list from /api/models
+   * @param {HTMLElement} overlay - Modal overlay
+   * @param {Function} onSelect - Called with the chosen model id
+   */
+  async _loadServerModels(overlay, onSelect) {
+    const field = overlay.querySelector('.settings-modal-server-models');
+    const grid = field?.querySelector('.settings-modal-models');
+    if (!grid) return;
+
+    try {
+      const response = await apiFetch('/api/models');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { provider, defaultModel, models = [] } = await response.json();
+
+      // Modal may have closed while loading
+      if (!overlay.isConnected) return;
+
+      field.querySelector('label').textContent = `Server Model (${provider})`;
+      grid.innerHTML = '';
+
+      const current = models.some(m => m.id === this._serverModel) ? this._serverModel : defaultModel;
+      onSelect(current === defaultModel ? '' : current);
+
+      for (const model of models) {
+        const btn = document.createElement('button');
+        btn.className = `settings-modal-model ${model.id === current ? 'selected' : ''}`;
+        btn.dataset.model = model.id;
+
+        const name = document.createElement('span');
+        name.className = 'model-name';
+        name.textContent = model.name || model.id;
+        btn.appendChild(name);
+
+        if (model.desc) {
+          const desc = document.createElement('span');
+          desc.className = 'model-desc';
+          desc.textContent = model.desc;
+          btn.appendChild(desc);
+        }
+
+        btn.addEventListener('click', () => {
+          grid.querySelectorAll('.settings-modal-model').forEach(b => b.classList.remove('selected'));
+          btn.classList.add('selected');
+          onSelect(model.id === defaultModel ? '' : model.id);
+        });
+
+        grid.appendChild(btn);
+      }
+    } catch (error) {
+      console.warn('Could not load server models:', error);
+      field.remove();
+    }
   }
 
   /**
    * Close the modal
    */
   _closeModal() {
+    // Stop a voice preview that's still speaking
+    if (this._previewing) {
+      this._previewing = false;
+      this.onPreviewVoice(null);
+    }
+
     if (this._modal) {
       this._modal.remove();
       this._modal = null;
@@ -831,7 +1191,13 @@ export class SettingsPanel extends MenuPanel {
       ttsProvider: this._ttsProvider,
       elevenLabsApiKey: this._elevenLabsKey,
       claudeApiKey: this._claudeKey,
-      claudeModel: this._claudeModel
+      claudeModel: this._claudeModel,
+      serverModel: this._serverModel,
+      browserVoice: this._browserVoice,
+      browserRate: this._browserRate,
+      browserPitch: this._browserPitch,
+      elevenLabsVoice: this._elevenLabsVoice,
+      localVoice: this._localVoice
     };
   }
 
@@ -1,57 +1,28 @@
 /**
  * StoriesPanel - Interactive Story Selection Panel
  *
- * Allows users to select from various narrative experiences that showcase
- * the full engine capabilities:
- * - Solar Eclipse: Sun geometry with annular and total eclipse effects
- * - Lunar Cycle: Moon phases from new to full, ending in blood moon eclipse
- * - Metamorphosis: Transform through crystal, star, heart, and sun geometries
- * - Heart & Stars: Love radiating through multiple forms
- * - Spectrum: All presets and geometries in a color journey
+ * Allows users to select from narrative experiences that showcase the full
+ * engine capabilities. The list comes from public/stories/manifest.json
+ * (see story-library.js) - titles, descriptions and estimated durations.
  *
  * Stories use StoryDirector to sync mascot animations with TTS narration.
+ * Interactive (branching) stories get a branch icon, and the path taken
+ * last time is remembered in localStorage and shown in the info tooltip.
  * Uses HoloPhone's shared drawing methods for consistent carousel styling.
  * Extends MenuPanel for common lifecycle and rendering utilities.
  */
 
 import { MenuPanel } from './menu-panel.js';
+import { loadStories } from '../story-library.js';
 
 // Brand teal color (Eye Tea Green)
 const ACCENT_COLOR = '#84CFC5';
 
-// Story options with display info
-const STORIES = [
-  {
-    id: 'morning',
-    label: 'Solar Eclipse',
-    desc: 'Witness the sun transform through eclipse phases, from radiant dawn to ring of fire',
-    duration: '2 min'
-  },
-  {
-    id: 'starfall',
-    label: 'Lunar Cycle',
-    desc: 'Follow the moon through its phases, ending in a mystical blood moon eclipse',
-    duration: '3 min'
-  },
-  {
-    id: 'deep',
-    label: 'Metamorphosis',
-    desc: 'Transform through crystal, star, heart, and sun in a journey of becoming',
-    duration: '2 min'
-  },
-  {
-    id: 'heartbeat',
-    label: 'Heart & Stars',
-    desc: 'Love radiates from heart to stars to moon and back again',
-    duration: '2 min'
-  },
-  {
-    id: 'crystal',
-    label: 'Spectrum',
-    desc: 'Experience every color and form as crystals, moon, and sun unite',
-    duration: '3 min'
-  }
-];
+// Tallest story row - rows shrink when the manifest has more stories than fit
+const MAX_ROW_HEIGHT = 42;
+
+// Choices made in each interactive story: { storyId: ['Into the Forest', ...] }
+const PATHS_STORAGE_KEY = 'emo_story_paths';
 
 export class StoriesPanel extends MenuPanel {
   constructor(options = {}) {
@@ -70,6 +41,14 @@ export class StoriesPanel extends MenuPanel {
     // Reference to TTS
     this.tts = options.tts;
 
+    // Stories from the manifest (empty until loaded)
+    this.stories = [];
+    this._paths = this._loadPaths();
+    loadStories().then(stories => {
+      this.stories = stories;
+      this.updatePhoneDisplay();
+    });
+
     // Hit regions (set during render)
     this._storyRegions = [];
     this._infoRegions = [];
@@ -126,16 +105,24 @@ export class StoriesPanel extends MenuPanel {
 
     // === STORY ROWS ===
     const rowStartY = 14;
-    const rowHeight = 42;
+    const rowHeight = Math.min(MAX_ROW_HEIGHT, (h - rowStartY * 2) / Math.max(1, this.stories.length));
+
+    if (this.stories.length === 0) {
+      ctx.font = '500 18px Poppins, sans-serif';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Loading stories...', contentX + contentW / 2, h / 2);
+    }
 
-    STORIES.forEach((story, index) => {
+    this.stories.forEach((story, index) => {
       const rowCenterY = rowStartY + index * rowHeight + rowHeight / 2;
       const isSelected = index === this.selectedIndex;
 
       this._drawStoryRow(ctx, contentX, rowCenterY, rowEndX, story, isSelected, index, rowHeight);
 
       // Add subtle separator line (except after last row)
-      if (index < STORIES.length - 1) {
+      if (index < this.stories.length - 1) {
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
         ctx.lineWidth = 1;
         ctx.beginPath();
@@ -166,9 +153,15 @@ export class StoriesPanel extends MenuPanel {
     ctx.textAlign = 'left';
     ctx.textBaseline = 'middle';
     ctx.letterSpacing = '0.5px';
-    ctx.fillText(story.label, startX + labelPadding, centerY);
+    ctx.fillText(story.title, startX + labelPadding, centerY);
+    const titleWidth = ctx.measureText(story.title).width;
     ctx.letterSpacing = '0px';
 
+    // Branch icon after the title for interactive stories
+    if (story.interactive) {
+      this._drawBranchIcon(ctx, startX + labelPadding + titleWidth + 16, centerY);
+    }
+
     // Position info icon aligned to the left of the radio with padding
     const infoIconRadius = 14;
     const infoPadding = 16;
@@ -197,7 +190,7 @@ export class StoriesPanel extends MenuPanel {
       y: centerY - infoIconRadius - 4,
       w: (infoIconRadius + 4) * 2,
       h: (infoIconRadius + 4) * 2,
-      extra: { storyId: story.id, desc: `${story.desc} (${story.duration})`, iconX: infoIconX, iconY: centerY }
+      extra: { storyId: story.id, desc: this._describe(story), iconX: infoIconX, iconY: centerY }
     });
 
     // Draw radio selection indicator - filled circle
@@ -214,6 +207,68 @@ export class StoriesPanel extends MenuPanel {
     });
   }
 
+  /**
+   * Tooltip text - description, duration and the last path taken
+   */
+  _describe(story) {
+    const path = this._paths[story.id];
+    const lastPath = story.interactive && path?.length ? ` Last time: ${path.join(' → ')}.` : '';
+    return `${story.description} (${story.durationLabel})${lastPath}`;
+  }
+
+  /**
+   * Draw a small fork (one stem, two branches) marking an interactive story
+   */
+  _drawBranchIcon(ctx, x, y) {
+    ctx.strokeStyle = ACCENT_COLOR;
+    ctx.fillStyle = ACCENT_COLOR;
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(x - 7, y);
+    ctx.lineTo(x, y);
+    ctx.lineTo(x + 6, y - 6);
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + 6, y + 6);
+    ctx.stroke();
+    for (const [dotX, dotY] of [[x + 7, y - 7], [x + 7, y + 7]]) {
+      ctx.beginPath();
+      ctx.arc(dotX, dotY, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  /**
+   * Remember the choices made in an interactive story
+   * @param {string} storyId
+   * @param {string[]} path - Choice labels, in order
+   */
+  recordPath(storyId, path) {
+    this._paths[storyId] = path;
+    try {
+      localStorage.setItem(PATHS_STORAGE_KEY, JSON.stringify(this._paths));
+    } catch {
+      // localStorage not available - remembered for this session only
+    }
+  }
+
+  /**
+   * Choices made last time through a story
+   * @param {string} storyId
+   * @returns {string[]|null}
+   */
+  getPath(storyId) {
+    return this._paths[storyId] || null;
+  }
+
+  _loadPaths() {
+    try {
+      return JSON.parse(localStorage.getItem(PATHS_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
   /**
    * Draw radio selection indicator - simple filled circle
    */
@@ -295,7 +350,7 @@ export class StoriesPanel extends MenuPanel {
       const index = extra?.index;
       if (index !== undefined && index !== this.selectedIndex) {
         this.selectedIndex = index;
-        console.log(`Selected story: ${STORIES[index].label}`);
+        console.log(`Selected story: ${this.stories[index].title}`);
         this.updatePhoneDisplay();
       }
     }
@@ -385,13 +440,15 @@ export class StoriesPanel extends MenuPanel {
    * Handle confirm - start selected story
    */
   _handleConfirm() {
-    const selectedStory = STORIES[this.selectedIndex];
+    const selectedStory = this.stories[this.selectedIndex];
+    if (!selectedStory) return;  // Manifest not loaded yet
 
     // Notify parent with selected story
     this.onConfirm({
       storyId: selectedStory.id,
-      storyName: selectedStory.label,
-      duration: selectedStory.duration
+      storyName: selectedStory.title,
+      duration: selectedStory.durationLabel,
+      interactive: selectedStory.interactive
     });
 
     // Hide panel
@@ -405,7 +462,7 @@ export class StoriesPanel extends MenuPanel {
     return {
       id: this.id,
       selectedIndex: this.selectedIndex,
-      selectedStory: STORIES[this.selectedIndex]
+      selectedStory: this.stories[this.selectedIndex] || null
     };
   }
 
@@ -419,6 +476,4 @@ export class StoriesPanel extends MenuPanel {
   }
 }
 
-// Export stories for use elsewhere
-export { STORIES };
 export default StoriesPanel;
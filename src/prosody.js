@@ -0,0 +1,89 @@
+/**
+ * Prosody Module
+ * How Emo's voice follows its mood - emotion and undertone -> speech settings
+ *
+ * Both TTS engines ask for prosody at the start of every sentence, so a FEEL
+ * or UNDERTONE directive in a story changes the voice from the next sentence.
+ * Tune the tables below; everything is relative to DEFAULT_PROSODY.
+ *
+ *   rate, pitch     - NativeTTS utterance settings (1 = normal)
+ *   speed           - ElevenLabs voice_settings.speed (1 = normal)
+ *   stability       - ElevenLabs: lower is more expressive, higher more even
+ *   similarityBoost - ElevenLabs: closeness to the original voice
+ *   style           - ElevenLabs style exaggeration (0 = none)
+ *   pause           - extra silence before each sentence (ms) - both engines
+ */
+
+export const DEFAULT_PROSODY = {
+  rate: 1,
+  pitch: 1,
+  speed: 1,
+  stability: 0.5,
+  similarityBoost: 0.75,
+  style: 0,
+  pause: 0
+};
+
+// Emotion -> settings that differ from DEFAULT_PROSODY
+export const EMOTION_PROSODY = {
+  neutral: {},
+  joy: { rate: 1.05, pitch: 1.1, speed: 1.05, stability: 0.4, style: 0.3 },
+  calm: { rate: 0.9, pitch: 0.95, speed: 0.9, stability: 0.7, pause: 250 },
+  love: { rate: 0.95, pitch: 1.05, speed: 0.95, stability: 0.55, style: 0.25 },
+  excited: { rate: 1.15, pitch: 1.2, speed: 1.15, stability: 0.3, style: 0.5 },
+  euphoria: { rate: 1.15, pitch: 1.25, speed: 1.15, stability: 0.25, style: 0.6 },
+  sadness: { rate: 0.85, pitch: 0.85, speed: 0.85, stability: 0.65, pause: 400 },
+  anger: { rate: 1.05, pitch: 0.9, speed: 1.05, stability: 0.3, style: 0.5 },
+  fear: { rate: 1.1, pitch: 1.1, speed: 1.1, stability: 0.3, pause: 200 },
+  surprise: { rate: 1.05, pitch: 1.2, speed: 1.05, stability: 0.35, style: 0.4 },
+  disgust: { rate: 0.95, pitch: 0.9, speed: 0.95, style: 0.3 },
+  focused: { rate: 0.95, speed: 0.95, stability: 0.65 },
+  suspicion: { rate: 0.9, pitch: 0.95, speed: 0.9, style: 0.2, pause: 300 },
+  resting: { rate: 0.8, pitch: 0.9, speed: 0.8, stability: 0.75, pause: 500 },
+  glitch: { rate: 1.1, pitch: 1.3, speed: 1.1, stability: 0.2 }
+};
+
+// Undertone -> adjustments on top of the emotion
+// rate, pitch and speed multiply; stability, style and pause add
+export const UNDERTONE_PROSODY = {
+  clear: {},
+  calm: { rate: 0.95, speed: 0.95, stability: 0.1 },
+  hesitant: { rate: 0.92, speed: 0.92, stability: -0.1, pause: 450 },
+  confident: { rate: 1.03, pitch: 0.97, speed: 1.03, stability: 0.1 },
+  nervous: { rate: 1.08, pitch: 1.05, speed: 1.08, stability: -0.15, pause: 150 },
+  sarcastic: { rate: 0.95, pitch: 0.95, speed: 0.95, style: 0.3 }
+};
+
+// What the engines accept
+const LIMITS = {
+  rate: [0.5, 2],
+  pitch: [0, 2],
+  speed: [0.7, 1.2],
+  stability: [0, 1],
+  similarityBoost: [0, 1],
+  style: [0, 1],
+  pause: [0, 2000]
+};
+
+const MULTIPLIED = ['rate', 'pitch', 'speed'];
+
+/**
+ * Speech settings for a mood
+ * Unknown emotions and undertones (or none) leave the defaults
+ * @param {Object} [mood]
+ * @param {string} [mood.emotion]
+ * @param {string|null} [mood.undertone]
+ * @returns {typeof DEFAULT_PROSODY}
+ */
+export function prosodyFor({ emotion, undertone } = {}) {
+  const prosody = { ...DEFAULT_PROSODY, ...EMOTION_PROSODY[emotion] };
+
+  for (const [name, amount] of Object.entries(UNDERTONE_PROSODY[undertone] || {})) {
+    prosody[name] = MULTIPLIED.includes(name) ? prosody[name] * amount : prosody[name] + amount;
+  }
+
+  for (const [name, [min, max]] of Object.entries(LIMITS)) {
+    prosody[name] = Math.min(max, Math.max(min, Math.round(prosody[name] * 100) / 100));
+  }
+  return prosody;
+}
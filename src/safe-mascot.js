@@ -0,0 +1,370 @@
+/**
+ * Safe Mascot Module
+ * Facade over EmotiveMascot3D that validates every engine call
+ *
+ * The engine throws (and can leave the scene half-updated) when it gets a
+ * value it doesn't know, and those values come from the model, stories and
+ * our own UI. Everything in the app talks to this facade instead:
+ *
+ *   - feel(), morphTo(), setSSSPreset(), undertones, chains and camera presets
+ *     are checked against the vocabulary registry and auto-corrected with
+ *     StoryDirector's tables ("gentle glow" -> glow, "confused" -> suspicion).
+ *     Values that can't be fixed make the call a no-op.
+ *   - Every other method is passed through with engine exceptions caught -
+ *     core3D's methods too.
+ *   - Properties (core3D, undertone, wobbleEnabled...) read and write through.
+ *
+ * It also keeps track of the look those calls leave behind - geometry,
+ * preset, emotion, undertone, camera, feature toggles and (through core3D)
+ * moon phase and eclipses - so a story or meditation can snapshot it with
+ * getVisualState() and go back to it afterwards. Changes made around the
+ * facade (animateMoonPhase on the material) are reported with recordState().
+ *
+ * Corrections, rejections and caught exceptions go to a diagnostics log
+ * (getDiagnostics()) instead of breaking the scene. Feature detection like
+ * `if (mascot.playChain)` still works - validated methods are only present
+ * when the engine has them.
+ */
+
+import { StoryDirector } from './story-director.js';
+import { EMOTIONS, GESTURES } from './vocabulary.js';
+
+const DEFAULT_MAX_DIAGNOSTICS = 200;
+
+// Gesture names keyed by lowercase, so "headbob" finds headBob
+const GESTURES_BY_LOWERCASE = new Map(
+  [...GESTURES.motion, ...GESTURES.transform, ...GESTURES.effects].map(name => [name.toLowerCase(), name])
+);
+
+// Adjectives the model (and our own code) likes to put in front of gestures
+const GESTURE_ADJECTIVES = /^(gentle|gently|soft|softly|slow|slowly|small|little|big|quick|tiny|subtle)\s+/;
+
+// Common gesture mistakes - verb forms and near misses
+const GESTURE_CORRECTIONS = {
+  'breathing': 'breathe',
+  'glowing': 'glow',
+  'sparkling': 'sparkle',
+  'shimmering': 'shimmer',
+  'floating': 'float',
+  'spinning': 'spin',
+  'bouncing': 'bounce',
+  'nodding': 'nod',
+  'shaking': 'shake',
+  'swaying': 'sway',
+  'pulsing': 'pulse',
+  'drifting': 'drift',
+  'waving': 'wave',
+  'settling': 'settle',
+  'head bob': 'headBob',
+  'alert': 'lean',
+  'dance': 'groove',
+  'dancing': 'groove',
+};
+
+// Validated methods -> StoryDirector directive type for their first argument
+const VALIDATED = {
+  morphTo: 'MORPH',
+  setSSSPreset: 'PRESET',
+  updateUndertone: 'UNDERTONE',
+  setUndertone: 'UNDERTONE',
+  playChain: 'CHAIN',
+  chain: 'CHAIN',
+  setCameraPreset: 'CAMERA'
+};
+
+// Engine methods that change the look -> getVisualState() key for their first argument
+const TRACKED = {
+  morphTo: 'geometry',
+  setSSSPreset: 'preset',
+  updateUndertone: 'undertone',
+  setUndertone: 'undertone',
+  setCameraPreset: 'camera'
+};
+
+// enable*/disable* methods -> toggle name (as EmoAssistant.applyToggle takes it)
+const TRACKED_TOGGLES = {
+  Wobble: 'wobble',
+  Particles: 'particles',
+  Blinking: 'blinking',
+  Breathing: 'breathing',
+  AutoRotate: 'autorotate'
+};
+const TOGGLE_METHOD = /^(enable|disable)(\w+)$/;
+
+// core3D methods -> getVisualState() key (null = the glow toggle)
+const TRACKED_CORE = {
+  setMoonPhase: 'phase',
+  setMoonEclipse: 'moonEclipse',
+  setSunShadow: 'sunEclipse',
+  setCoreGlowEnabled: null
+};
+
+export class SafeMascot {
+  /**
+   * @param {Object} mascot - Initialized EmotiveMascot3D
+   * @param {Object} [options]
+   * @param {number} [options.maxDiagnostics=200] - Diagnostics entries kept (oldest dropped)
+   * @param {Object} [options.initialState] - Look the engine was created with (see getVisualState)
+   * @returns {SafeMascot} A proxy - use it exactly like the engine mascot
+   */
+  constructor(mascot, { maxDiagnostics = DEFAULT_MAX_DIAGNOSTICS, initialState = {} } = {}) {
+    this.engine = mascot;
+    this.maxDiagnostics = maxDiagnostics;
+    this.onDiagnostic = null;  // (entry) => void
+
+    this._diagnostics = [];
+    this._passThrough = new Map();  // method name -> guarded wrapper (stable identity)
+    this._state = { toggles: {} };
+    this._core3D = null;       // engine.core3D the proxy below wraps
+    this._core3DProxy = null;  // Records phase / eclipse / glow calls
+    this._coreMethods = new Map();
+    this.recordState(initialState);
+
+    return new Proxy(this, {
+      get: (target, prop) => target._get(prop),
+      set: (target, prop, value) => {
+        if (prop in target) {
+          target[prop] = value;
+        } else {
+          target.engine[prop] = value;
+        }
+        return true;
+      },
+      has: (target, prop) => prop in target || prop in target.engine
+    });
+  }
+
+  /**
+   * Set emotion and/or gestures - "emotion, gesture, gesture" like the engine
+   * A first part that isn't an emotion is treated as a gesture, so feel('spin') works
+   * @param {string} input
+   */
+  feel(input) {
+    const parts = String(input ?? '').split(',').map(part => part.trim()).filter(Boolean);
+    let emotion = null;
+    const gestures = [];
+
+    parts.forEach((part, i) => {
+      // Only try the emotion table when it can match, so gestures don't log as bad emotions
+      const lower = part.toLowerCase();
+      if (i === 0 && (EMOTIONS.includes(lower) || StoryDirector.EMOTION_CORRECTIONS[lower])) {
+        const directive = StoryDirector.normalize({ type: 'FEEL', value: part });
+        if (directive) {
+          emotion = directive.value;
+          if (emotion !== lower) this._record('corrected', 'feel', `emotion "${part}" → "${emotion}"`);
+          return;
+        }
+      }
+
+      const gesture = SafeMascot.normalizeGesture(part);
+      if (gesture) {
+        if (gesture !== part) this._record('corrected', 'feel', `gesture "${part}" → "${gesture}"`);
+        gestures.push(gesture);
+      } else {
+        this._record('rejected', 'feel', `unknown ${i === 0 ? 'emotion or gesture' : 'gesture'} "${part}"`);
+      }
+    });
+
+    if (!emotion && !gestures.length) {
+      this._record('rejected', 'feel', `nothing valid in "${input}" - ignored`);
+      return;
+    }
+
+    return this._call('feel', [[emotion, ...gestures].filter(Boolean).join(', ')]);
+  }
+
+  /**
+   * Match a gesture name, fixing case, adjectives and common mistakes
+   * @param {string} name - e.g. "gentle breathing"
+   * @returns {string|null} Engine gesture name, or null if unknown
+   */
+  static normalizeGesture(name) {
+    const lower = String(name).trim().toLowerCase();
+    const candidates = [lower, lower.replace(GESTURE_ADJECTIVES, '')];
+
+    for (const candidate of candidates) {
+      const corrected = GESTURE_CORRECTIONS[candidate] || candidate;
+      const gesture = GESTURES_BY_LOWERCASE.get(corrected.toLowerCase());
+      if (gesture) return gesture;
+    }
+    return null;
+  }
+
+  /**
+   * Diagnostics log, oldest first
+   * @returns {Array<{ time: number, level: 'corrected'|'rejected'|'error', method: string, message: string }>}
+   */
+  getDiagnostics() {
+    return [...this._diagnostics];
+  }
+
+  clearDiagnostics() {
+    this._diagnostics = [];
+  }
+
+  /**
+   * The look the mascot was last given through the facade
+   * Keys that were never set (and not in initialState) are left out
+   * @returns {{ geometry?: string, preset?: string, emotion?: string, undertone?: string|null,
+   *   camera?: string, phase?: string, sunEclipse?: string, moonEclipse?: string,
+   *   toggles: Object<string, boolean> }}
+   */
+  getVisualState() {
+    return { ...this._state, toggles: { ...this._state.toggles } };
+  }
+
+  /**
+   * Note a change made without the facade, e.g. animateMoonPhase() on the material
+   * @param {Object} partial - getVisualState() keys, toggles merged
+   */
+  recordState(partial) {
+    const { toggles, ...rest } = partial;
+    Object.assign(this._state, rest);
+    Object.assign(this._state.toggles, toggles);
+  }
+
+  /**
+   * Property lookup for the proxy: facade members, validated methods, then the engine
+   */
+  _get(prop) {
+    if (typeof prop === 'string' && VALIDATED[prop]) {
+      if (typeof this.engine[prop] !== 'function') return undefined;
+      return (value, ...rest) => this._callValidated(prop, value, rest);
+    }
+    if (prop === 'feel') {
+      return typeof this.engine.feel === 'function' ? this.feel.bind(this) : undefined;
+    }
+    if (prop in this) {
+      const member = this[prop];
+      return typeof member === 'function' ? member.bind(this) : member;
+    }
+    if (prop === 'core3D') {
+      return this._getCore3D();
+    }
+
+    const value = this.engine[prop];
+    if (typeof value !== 'function') return value;
+
+    if (!this._passThrough.has(prop)) {
+      this._passThrough.set(prop, (...args) => this._call(prop, args));
+    }
+    return this._passThrough.get(prop);
+  }
+
+  /**
+   * Validate the first argument of a registry-backed method, then call it
+   */
+  _callValidated(method, value, rest) {
+    // Clearing an undertone is always allowed
+    if (VALIDATED[method] === 'UNDERTONE' && (value === null || value === undefined)) {
+      return this._call(method, [value, ...rest]);
+    }
+
+    const directive = StoryDirector.normalize({ type: VALIDATED[method], value });
+    if (!directive) {
+      this._record('rejected', method, `invalid value "${value}" - ignored`);
+      return undefined;
+    }
+    if (directive.value !== String(value).trim()) {
+      this._record('corrected', method, `"${value}" → "${directive.value}"`);
+    }
+    return this._call(method, [directive.value, ...rest]);
+  }
+
+  /**
+   * core3D with every method call guarded like the mascot's own, and its
+   * celestial and glow setters recorded in the visual state
+   * Properties read and write through unchanged
+   */
+  _getCore3D() {
+    const core = this.engine.core3D;
+    if (!core || typeof core !== 'object') return core;
+
+    if (core !== this._core3D) {
+      this._core3D = core;
+      this._coreMethods.clear();
+      this._core3DProxy = new Proxy(core, {
+        get: (target, prop) => {
+          const value = target[prop];
+          if (typeof value !== 'function') return value;
+
+          // Called on target so engine methods keep their own `this`
+          // (eclipse tweens call these from timers - a throw there would be uncaught)
+          if (!this._coreMethods.has(prop)) {
+            const label = `core3D.${String(prop)}`;
+            this._coreMethods.set(prop, (...args) => this._guarded(
+              label,
+              () => target[prop](...args),
+              prop in TRACKED_CORE
+                ? () => {
+                  const key = TRACKED_CORE[prop];
+                  this.recordState(key ? { [key]: args[0] } : { toggles: { glow: !!args[0] } });
+                }
+                : null
+            ));
+          }
+          return this._coreMethods.get(prop);
+        }
+      });
+    }
+    return this._core3DProxy;
+  }
+
+  /**
+   * Record the look an engine call leaves behind (only called once it succeeded)
+   */
+  _track(method, args) {
+    if (TRACKED[method]) {
+      this.recordState({ [TRACKED[method]]: args[0] ?? null });
+    } else if (method === 'feel') {
+      // Gestures pass - only the emotion stays
+      const emotion = String(args[0]).split(',')[0].trim();
+      if (EMOTIONS.includes(emotion)) this.recordState({ emotion });
+    } else {
+      const [, action, feature] = method.match(TOGGLE_METHOD) || [];
+      if (TRACKED_TOGGLES[feature]) this.recordState({ toggles: { [TRACKED_TOGGLES[feature]]: action === 'enable' } });
+    }
+  }
+
+  /**
+   * Call an engine method, catching sync exceptions and async rejections
+   */
+  _call(method, args) {
+    return this._guarded(method, () => this.engine[method](...args), () => this._track(method, args));
+  }
+
+  /**
+   * Run an engine call; a throw or rejection is logged and the call becomes a no-op
+   * @param {string} method - Name for the diagnostics log
+   * @param {Function} call
+   * @param {Function|null} [onSuccess] - Runs if the call didn't throw
+   */
+  _guarded(method, call, onSuccess = null) {
+    try {
+      const result = call();
+      onSuccess?.();
+      if (typeof result?.then === 'function') {
+        return result.catch(error => this._record('error', method, error?.message || String(error), error));
+      }
+      return result;
+    } catch (error) {
+      this._record('error', method, error?.message || String(error), error);
+      return undefined;
+    }
+  }
+
+  _record(level, method, message, error = null) {
+    const entry = { time: Date.now(), level, method, message };
+    this._diagnostics.push(entry);
+    if (this._diagnostics.length > this.maxDiagnostics) this._diagnostics.shift();
+
+    if (level === 'error') {
+      console.error(`[SafeMascot] ${method}() threw: ${message}`, error);
+    } else {
+      console.warn(`[SafeMascot] ${method}(): ${message}`);
+    }
+    this.onDiagnostic?.(entry);
+  }
+}
+
+export default SafeMascot;
@@ -0,0 +1,40 @@
+/**
+ * Sentences Module
+ * Splits speech into the sentences the TTS engines voice one at a time
+ *
+ * ElevenLabsTTS fetches a sentence while the one before it plays; NativeTTS
+ * speaks one utterance per sentence. Either way a sentence is where prosody
+ * can change (see prosody.js).
+ */
+
+// End of a sentence: . ! ? or … (plus closing quotes and brackets) before a space
+// - so "3.5" and "example.com" don't split
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s|$)/g;
+
+// Sentences shorter than this are spoken with the next one ("Oh! Look.")
+const MIN_SENTENCE_CHARS = 20;
+
+/**
+ * Split text into sentences
+ * @param {string} text
+ * @returns {Array<{ offset: number, text: string }>} offset - where the sentence starts in text
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  const add = (start, end) => {
+    const slice = text.slice(start, end);
+    if (!slice.trim()) return;
+    sentences.push({ offset: start + slice.search(/\S/), text: slice.trim() });
+  };
+
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    if (text.slice(start, end).trim().length < MIN_SENTENCE_CHARS) continue;
+    add(start, end);
+    start = end;
+  }
+  add(start, text.length);
+
+  return sentences;
+}
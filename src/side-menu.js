@@ -10,29 +10,35 @@
  */
 
 import { CarouselAudio } from './audio/carousel-audio.js';
+import { EMOTIONS, EMOTION_GROUPS, vocabularyLabel } from './vocabulary.js';
 
 // Detect base path for assets (handles GitHub Pages /emotive-holo/ prefix)
 const BASE_PATH = window.location.pathname.includes('/emotive-holo/') ? '/emotive-holo' : '';
 
-// Emotion configurations for mood mode
-// Left side: positive emotions, Right side: negative/intense emotions
-const MOOD_LEFT_ITEMS = [
-  { id: 'neutral', label: 'NEUTRAL', svg: `${BASE_PATH}/assets/emotions/neutral.svg` },
-  { id: 'joy', label: 'JOY', svg: `${BASE_PATH}/assets/emotions/joy.svg` },
-  { id: 'love', label: 'LOVE', svg: `${BASE_PATH}/assets/emotions/love.svg` },
-  { id: 'excited', label: 'EXCITED', svg: `${BASE_PATH}/assets/emotions/excited.svg` },
-  { id: 'calm', label: 'CALM', svg: `${BASE_PATH}/assets/emotions/calm.svg` },
-  { id: 'euphoria', label: 'EUPHORIA', svg: `${BASE_PATH}/assets/emotions/euphoria.svg` }
-];
-
-const MOOD_RIGHT_ITEMS = [
-  { id: 'surprise', label: 'SURPRISE', svg: `${BASE_PATH}/assets/emotions/surprise.svg` },
-  { id: 'fear', label: 'FEAR', svg: `${BASE_PATH}/assets/emotions/fear.svg` },
-  { id: 'sadness', label: 'SADNESS', svg: `${BASE_PATH}/assets/emotions/sadness.svg` },
-  { id: 'disgust', label: 'DISGUST', svg: `${BASE_PATH}/assets/emotions/disgust.svg` },
-  { id: 'anger', label: 'ANGER', svg: `${BASE_PATH}/assets/emotions/anger.svg` },
-  { id: 'glitch', label: 'GLITCH', svg: `${BASE_PATH}/assets/emotions/glitch.svg` }
-];
+// Icon for emotions without one in public/assets/emotions/
+const FALLBACK_MOOD_ICON = `${BASE_PATH}/assets/emotive-engine-icon-W.svg`;
+
+/**
+ * Mood mode carousel items for one side, from the vocabulary registry
+ * Built on demand so they reflect syncVocabularyFromEngine() - emotions the
+ * engine adds that aren't in a group go on the right, with the fallback icon
+ * @param {'left'|'right'} side - left: positive emotions, right: negative/intense
+ * @returns {Array<{ id: string, label: string, svg: string }>}
+ */
+function moodItems(side) {
+  const grouped = [...EMOTION_GROUPS.left, ...EMOTION_GROUPS.right];
+  const ids = side === 'right'
+    ? [...EMOTION_GROUPS.right, ...EMOTIONS.filter(id => !grouped.includes(id))]
+    : EMOTION_GROUPS.left;
+
+  return ids
+    .filter(id => EMOTIONS.includes(id))
+    .map(id => ({
+      id,
+      label: vocabularyLabel(id).toUpperCase(),
+      svg: grouped.includes(id) ? `${BASE_PATH}/assets/emotions/${id}.svg` : FALLBACK_MOOD_ICON
+    }));
+}
 
 export class SideMenu {
   constructor(options = {}) {
@@ -61,7 +67,8 @@ export class SideMenu {
     this.rightItems = [
       { id: 'settings', label: 'SETTINGS', icon: '⚙' },
       { id: 'moods', label: 'MOODS', icon: '☽' },
-      { id: 'stories', label: 'STORIES', icon: '☷' }
+      { id: 'stories', label: 'STORIES', icon: '☷' },
+      { id: 'forget', label: 'NEW CHAT', icon: '↺' }
     ];
 
     // Audio
@@ -914,8 +921,8 @@ export class SideMenu {
 
     if (this.isMoodMode) {
       // Render mood carousel with 3 visible items per side
-      this._renderMoodCarousel('left', MOOD_LEFT_ITEMS, this.leftCarouselIndex, this.leftColumn);
-      this._renderMoodCarousel('right', MOOD_RIGHT_ITEMS, this.rightCarouselIndex, this.rightColumn);
+      this._renderMoodCarousel('left', moodItems('left'), this.leftCarouselIndex, this.leftColumn);
+      this._renderMoodCarousel('right', moodItems('right'), this.rightCarouselIndex, this.rightColumn);
     } else {
       // Render regular menu items
       this.leftItems.forEach((item, index) => {
@@ -991,7 +998,7 @@ export class SideMenu {
     const id = itemEl.dataset.id;
     const index = parseInt(itemEl.dataset.index);
     const side = itemEl.dataset.side;
-    const items = side === 'left' ? MOOD_LEFT_ITEMS : MOOD_RIGHT_ITEMS;
+    const items = moodItems(side);
 
     // Update selection visual
     this.container.querySelectorAll('.side-menu-mood-item').forEach(el => {
@@ -0,0 +1,81 @@
+/**
+ * Server-Sent Events Module
+ * Minimal SSE parser shared by the browser client and the Node server
+ *
+ * Works on any WHATWG ReadableStream of bytes (fetch response.body in
+ * browsers and Node 18+), so the same code reads the Anthropic stream on
+ * the server and the relayed stream in ClaudeClient.
+ */
+
+/**
+ * Iterate over SSE events in a byte stream
+ * @param {ReadableStream<Uint8Array>} stream - e.g. response.body
+ * @yields {{ event: string, data: string }}
+ */
+export async function* readSSE(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+        const event = parseEventBlock(block);
+        if (event) yield event;
+      }
+    }
+
+    // Flush a final event with no trailing blank line
+    buffer += decoder.decode();
+    const event = parseEventBlock(buffer);
+    if (event) yield event;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Format one SSE event for writing to a response
+ * @param {string} event - Event name
+ * @param {Object|string} data - Payload (objects are JSON-encoded)
+ * @returns {string}
+ */
+export function formatSSE(event, data) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  return `event: ${event}\ndata: ${payload}\n\n`;
+}
+
+/**
+ * Parse the lines of a single event block
+ * @param {string} block
+ * @returns {{ event: string, data: string }|null}
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const data = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;  // Blank or comment
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  }
+
+  if (data.length === 0) return null;
+  return { event, data: data.join('\n') };
+}
@@ -13,20 +13,88 @@
  *   [PHASE:full] - set moon phase (new, waxing-crescent, first-quarter, etc.)
  *   [SUNECLIPSE:annular] - set sun eclipse (off, annular, total)
  *   [MOONECLIPSE:total] - set moon eclipse/blood moon (off, partial, total)
+ *
+ * Timing:
+ *   [WAIT:1500] - hold narration for 1500ms (also "2s"); later directives wait too
+ *   [PAUSE] - hold narration for a short beat (PAUSE_MS)
+ *   [PHASE:full,3000] - animate the moon phase over 3000ms
+ *   [SUNECLIPSE:total,2000] / [MOONECLIPSE:total,2000] - step through the
+ *     intermediate eclipse states (off -> annular -> total) over 2000ms
+ *
+ * Branching:
+ *   [CHOICE:forest,Into the forest] - offer a choice at the end of a story
+ *     node: value is the node to continue with, modifier the label shown and
+ *     listened for. Nothing fires during narration - see getChoices()
+ *
+ * Playback:
+ *   pause() / resume() - hold narration (and any running WAIT) for the listener
+ *   seek(charPosition) - jump to a position: the state every earlier
+ *     directive leaves the mascot in (geometry, preset, emotion, phase,
+ *     eclipses...) is applied instantly, see getStateAt()
+ *   getSentenceStarts() - positions to skip back / forward to
+ *   transitionTo(look) - ease back to a saved look once a story is over
+ *
+ * Custom directives:
+ *   StoryDirector.registerDirective('SOUND', { valid, handler, ... }) adds a
+ *   type that validates, parses and triggers like the built-in ones - see
+ *   app-directives.js for the app's own
+ *
+ * Text can be parsed in one go with parse(), or incrementally as it streams
+ * in with feed() / flush(). Streaming holds back a trailing partial
+ * directive ("[FEEL:jo") until its closing bracket arrives.
+ *
+ * End-of-response directive lines ("MORPH: moon", "TOGGLE: wobble off") and
+ * tool-call directives use the same validation and auto-correction through
+ * parseLine() and normalize().
  */
 
+import {
+  EMOTIONS, UNDERTONES, GEOMETRIES, PRESETS, CHAINS, CAMERA_PRESETS,
+  MOON_PHASES, SUN_ECLIPSES, MOON_ECLIPSES
+} from './vocabulary.js';
+
 export class StoryDirector {
-  // Valid values for validation - MUST match what the engine supports
-  static VALID_GEOMETRIES = ['crystal', 'moon', 'sun', 'heart', 'star', 'rough'];
-  static VALID_EMOTIONS = ['neutral', 'joy', 'calm', 'love', 'excited', 'euphoria', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'focused', 'suspicion', 'resting', 'glitch'];
-  static VALID_PRESETS = ['quartz', 'emerald', 'ruby', 'sapphire', 'amethyst', 'citrine'];
-  static VALID_UNDERTONES = ['nervous', 'confident', 'sarcastic', 'hesitant', 'calm', 'clear'];
-  static VALID_CHAINS = ['rise', 'flow', 'burst', 'drift', 'chaos', 'morph', 'rhythm', 'spiral', 'routine', 'radiance', 'twinkle', 'stream'];
+  // Valid values for validation - shared with the system prompt (vocabulary.js)
+  static VALID_GEOMETRIES = GEOMETRIES;
+  static VALID_EMOTIONS = EMOTIONS;
+  static VALID_PRESETS = PRESETS;
+  static VALID_UNDERTONES = UNDERTONES;
+  static VALID_CHAINS = CHAINS;
+  static VALID_CAMERAS = CAMERA_PRESETS;
 
   // Celestial features
-  static VALID_MOON_PHASES = ['new', 'waxing-crescent', 'first-quarter', 'waxing-gibbous', 'full', 'waning-gibbous', 'last-quarter', 'waning-crescent'];
-  static VALID_SUN_ECLIPSE = ['off', 'annular', 'total'];
-  static VALID_MOON_ECLIPSE = ['off', 'partial', 'total'];
+  static VALID_MOON_PHASES = MOON_PHASES;
+  static VALID_SUN_ECLIPSE = Object.keys(SUN_ECLIPSES);
+  static VALID_MOON_ECLIPSE = Object.keys(MOON_ECLIPSES);
+
+  // Longest plausible directive - a "[" further back than this is just text
+  static MAX_DIRECTIVE_LENGTH = 48;
+
+  // Timing limits (ms) - a typo like [WAIT:15000] shouldn't stall a story for long
+  static PAUSE_MS = 800;
+  static MAX_WAIT_MS = 10000;
+  static MAX_TWEEN_MS = 15000;
+
+  // End of a sentence in clean text - where skip back / forward land
+  static SENTENCE_BOUNDARY = /[.!?…]+["')\]]*\s+/g;
+
+  // Directives that leave lasting mascot state -> getStateAt() key
+  // (applied in this order when seeking: geometry first, emotion last)
+  static STATE_KEYS = {
+    MORPH: 'geometry',
+    PRESET: 'preset',
+    PHASE: 'phase',
+    SUNECLIPSE: 'sunEclipse',
+    MOONECLIPSE: 'moonEclipse',
+    UNDERTONE: 'undertone',
+    FEEL: 'emotion'
+  };
+
+  // Eclipse states in order, for tweening through the intermediate ones
+  static ECLIPSE_ORDER = {
+    SUNECLIPSE: ['off', 'annular', 'total'],
+    MOONECLIPSE: ['off', 'partial', 'total']
+  };
 
   // Auto-correction mappings for common LLM mistakes
   static EMOTION_CORRECTIONS = {
@@ -50,6 +118,10 @@ export class StoryDirector {
     'peaceful': 'calm',
     'content': 'calm',
     'serene': 'calm',
+    'confused': 'suspicion',
+    'puzzled': 'suspicion',
+    'attentive': 'focused',
+    'alert': 'focused',
     'nervous': 'fear',  // nervous is an undertone, not emotion
     'confident': 'focused',  // confident is an undertone, not emotion
   };
@@ -119,8 +191,297 @@ export class StoryDirector {
     'normal': 'off',
   };
 
-  constructor(mascot) {
+  // Feature names EmoAssistant.applyToggle() also accepts under another name
+  static TOGGLE_CORRECTIONS = {
+    'blink': 'blinking',
+    'auto-rotate': 'autorotate',
+    'rotation': 'autorotate',
+  };
+
+  // Validation per directive type - valid: null accepts any value,
+  // modifier: the directive line form has a second part (gesture, on/off),
+  // timing: the value is a duration that holds narration,
+  // duration: the modifier is an optional tween duration in ms
+  static RULES = {
+    FEEL: { label: 'emotion', valid: StoryDirector.VALID_EMOTIONS, corrections: StoryDirector.EMOTION_CORRECTIONS, modifier: true },
+    MORPH: { label: 'geometry', valid: StoryDirector.VALID_GEOMETRIES, corrections: StoryDirector.GEOMETRY_CORRECTIONS },
+    CHAIN: { label: 'chain', valid: StoryDirector.VALID_CHAINS, corrections: StoryDirector.CHAIN_CORRECTIONS },
+    PRESET: { label: 'preset', valid: StoryDirector.VALID_PRESETS, corrections: {} },
+    UNDERTONE: { label: 'undertone', valid: StoryDirector.VALID_UNDERTONES, corrections: StoryDirector.UNDERTONE_CORRECTIONS },
+    CAMERA: { label: 'camera', valid: StoryDirector.VALID_CAMERAS, corrections: {} },
+    TOGGLE: { label: 'feature', valid: null, corrections: StoryDirector.TOGGLE_CORRECTIONS, modifier: true },
+    PHASE: { label: 'moon phase', valid: StoryDirector.VALID_MOON_PHASES, corrections: StoryDirector.MOON_PHASE_CORRECTIONS, duration: true },
+    SUNECLIPSE: { label: 'sun eclipse', valid: StoryDirector.VALID_SUN_ECLIPSE, corrections: StoryDirector.SUN_ECLIPSE_CORRECTIONS, duration: true },
+    MOONECLIPSE: { label: 'moon eclipse', valid: StoryDirector.VALID_MOON_ECLIPSE, corrections: StoryDirector.MOON_ECLIPSE_CORRECTIONS, duration: true },
+    MEDITATION: { label: 'meditation', valid: null, corrections: {} },
+    WAIT: { label: 'wait', valid: null, corrections: {}, timing: true },
+    PAUSE: { label: 'pause', valid: null, corrections: {}, timing: true },
+    CHOICE: { label: 'choice', valid: null, corrections: {}, modifier: true },
+  };
+
+  // End-of-response directive line, e.g. "FEEL: joy, bounce" or "TOGGLE: wobble off"
+  // (rebuilt when a directive is registered)
+  static LINE_PATTERN = StoryDirector._linePattern();
+
+  // Directive types added with registerDirective() -> their definition
+  static _custom = new Map();
+
+  /**
+   * Add a directive type for app code or a plugin, e.g. [SOUND:chime]
+   * It's validated like the built-in ones, works inline and as an
+   * end-of-response line ("SOUND: chime"), is listed in the system prompt
+   * (see system-prompt.js) and gets a tool in tools mode (see tools.js).
+   * Register from a module the server imports too, like app-directives.js,
+   * or the server-proxied model won't know about it.
+   * @param {string} type - Upper-case name, e.g. 'SOUND'
+   * @param {Object} definition
+   * @param {string} definition.description - What it does, for the system prompt
+   * @param {Function} definition.handler - ({ type, value, modifier }, director) => void
+   * @param {string[]} [definition.valid] - Accepted values (omit to accept any)
+   * @param {Object} [definition.corrections] - Common mistake -> valid value
+   * @param {Function} [definition.validate] - (value, modifier) => value to use, or null if invalid
+   * @param {boolean} [definition.modifier] - Takes a second part, e.g. [SOUND:chime,soft]
+   * @param {string} [definition.example] - e.g. '[SOUND:chime]'
+   * @param {string} [definition.label] - Name in warnings (defaults to the type in lower case)
+   * @returns {Function} Removes the directive again
+   */
+  static registerDirective(type, definition) {
+    if (!/^[A-Z]+$/.test(type)) {
+      throw new Error(`Directive type must be upper-case letters, got "${type}"`);
+    }
+    if (StoryDirector.RULES[type] && !StoryDirector._custom.has(type)) {
+      throw new Error(`${type} is a built-in directive`);
+    }
+    if (typeof definition?.handler !== 'function') {
+      throw new Error(`${type} directive needs a handler function`);
+    }
+
+    const {
+      description = '', example = null, valid = null, corrections = {},
+      modifier = false, label = type.toLowerCase(), handler
+    } = definition;
+
+    // Without a value list, anything goes - kept as written, apart from corrections
+    const validate = definition.validate || (valid ? null : value => corrections[value.toLowerCase()] ?? value);
+
+    StoryDirector._custom.set(type, { description, example, valid, modifier, handler });
+    StoryDirector.RULES[type] = { label, valid, corrections, validate, modifier };
+    StoryDirector._updateLinePattern();
+
+    return () => {
+      if (StoryDirector._custom.get(type)?.handler !== handler) return;
+      StoryDirector._custom.delete(type);
+      delete StoryDirector.RULES[type];
+      StoryDirector._updateLinePattern();
+    };
+  }
+
+  /**
+   * Directives added with registerDirective(), in registration order
+   * @returns {Array<{ type: string, description: string, example: string|null, valid: string[]|null, modifier: boolean }>}
+   */
+  static getCustomDirectives() {
+    return [...StoryDirector._custom].map(([type, { handler, ...info }]) => ({ type, ...info }));
+  }
+
+  /**
+   * Whether a type was added with registerDirective()
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static isCustomDirective(type) {
+    return StoryDirector._custom.has(String(type).toUpperCase());
+  }
+
+  static _linePattern() {
+    return new RegExp(`^(${Object.keys(StoryDirector.RULES).join('|')}):\\s*(.*)$`);
+  }
+
+  static _updateLinePattern() {
+    StoryDirector.LINE_PATTERN = StoryDirector._linePattern();
+  }
+
+  /**
+   * Whether a line is an end-of-response directive line
+   * @param {string} line - Trimmed line
+   * @returns {boolean}
+   */
+  static isDirectiveLine(line) {
+    return StoryDirector.LINE_PATTERN.test(line);
+  }
+
+  /**
+   * Parse an end-of-response directive line
+   * "FEEL: joy, bounce" → { type: 'FEEL', value: 'joy', modifier: 'bounce' }
+   * "TOGGLE: wobble off" → { type: 'TOGGLE', value: 'wobble', modifier: 'off' }
+   * "PHASE: waxing crescent" → { type: 'PHASE', value: 'waxing-crescent', modifier: null }
+   * "PHASE: full, 3000" → { type: 'PHASE', value: 'full', modifier: '3000' }
+   * @param {string} line - Trimmed line
+   * @returns {{ type: string, value: string, modifier: string|null }|null} null if not a directive line
+   */
+  static parseLine(line) {
+    const match = StoryDirector.LINE_PATTERN.exec(line);
+    if (!match) return null;
+
+    const [, type] = match;
+    let rest = match[2];
+
+    // Trailing tween duration - "full, 3000" or "waxing crescent 3000ms"
+    let duration = null;
+    if (StoryDirector.RULES[type].duration) {
+      const durationMatch = /[,\s]+(\d+(?:\.\d+)?\s*m?s)\s*$|[,\s]+(\d+)\s*$/.exec(rest);
+      if (durationMatch) {
+        duration = (durationMatch[1] || durationMatch[2]).replace(/\s+/g, '');
+        rest = rest.slice(0, durationMatch.index);
+      }
+    }
+
+    // Single-value directives - "waxing crescent" means "waxing-crescent"
+    // (free-form values, e.g. from a registered directive, are kept as written)
+    if (!StoryDirector.RULES[type].modifier) {
+      const value = StoryDirector.RULES[type].valid ? rest.trim().replace(/\s+/g, '-') : rest.trim();
+      return { type, value, modifier: duration };
+    }
+
+    // Value ends at the first comma, or the first space if there's no comma
+    const split = rest.includes(',') ? rest.indexOf(',') : rest.search(/\s/);
+    if (split === -1) {
+      return { type, value: rest.trim(), modifier: null };
+    }
+    return {
+      type,
+      value: rest.slice(0, split).trim(),
+      modifier: rest.slice(split + 1).trim() || null
+    };
+  }
+
+  /**
+   * Validate and auto-correct a directive
+   * @param {object} directive - { type, value, modifier? }
+   * @returns {{ type: string, value: string, modifier: string|null }|null} null if unusable
+   */
+  static normalize(directive) {
+    const { result, issues } = StoryDirector.check(directive);
+    for (const { level, message } of issues) {
+      if (level === 'corrected') {
+        console.log(`[StoryDirector] ${message}`);
+      } else {
+        console.warn(`[StoryDirector] ${message}`);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * normalize() without the logging - reports what it would fix or drop
+   * Shared by normalize() and the story linter (scripts/lint-stories.js)
+   * @param {object} directive - { type, value, modifier? }
+   * @returns {{ result: object|null, issues: Array<{ level: 'corrected'|'ignored'|'invalid', message: string }> }}
+   *   result is the normalized directive, or null if unusable ('invalid' issue)
+   */
+  static check(directive) {
+    const issues = [];
+    const type = directive.type?.toUpperCase();
+    const rule = StoryDirector.RULES[type];
+    if (!rule) {
+      issues.push({ level: 'invalid', message: `Unknown directive type: ${directive.type}` });
+      return { result: null, issues };
+    }
+
+    const raw = String(directive.value ?? '').trim();
+
+    // WAIT / PAUSE - the value is how long to hold, in ms
+    if (rule.timing) {
+      const ms = raw ? StoryDirector.parseDuration(raw, StoryDirector.MAX_WAIT_MS) : StoryDirector.PAUSE_MS;
+      if (ms === null) {
+        issues.push({ level: 'invalid', message: `Invalid ${rule.label} duration "${raw}" - expected ms, e.g. [WAIT:1500]` });
+        return { result: null, issues };
+      }
+      return { result: { type, value: String(ms), modifier: null }, issues };
+    }
+
+    let modifier = directive.modifier?.trim() || null;
+
+    // Registered directives can check (and fix) the value themselves
+    if (rule.validate) {
+      let value = null;
+      try {
+        value = rule.validate(raw, modifier) ?? null;
+      } catch (error) {
+        issues.push({ level: 'invalid', message: `Invalid ${rule.label} "${raw}" - ${error.message}` });
+        return { result: null, issues };
+      }
+      if (value === null) {
+        issues.push({ level: 'invalid', message: `Invalid ${rule.label} "${raw}"` });
+        return { result: null, issues };
+      }
+      if (String(value) !== raw) {
+        issues.push({ level: 'corrected', message: `Auto-corrected ${rule.label} "${raw}" → "${value}"` });
+      }
+      return { result: { type, value: String(value), modifier }, issues };
+    }
+
+    if (rule.duration && modifier) {
+      const ms = StoryDirector.parseDuration(modifier, StoryDirector.MAX_TWEEN_MS);
+      if (ms === null) issues.push({ level: 'ignored', message: `Ignoring invalid ${rule.label} duration "${modifier}"` });
+      modifier = ms ? String(ms) : null;
+    }
+    const { corrected: value, wasFixed } = StoryDirector._autoCorrect(raw, rule.valid || [], rule.corrections);
+
+    if (wasFixed) {
+      issues.push({ level: 'corrected', message: `Auto-corrected ${rule.label} "${raw}" → "${value}"` });
+    }
+
+    if (rule.valid && !rule.valid.includes(value)) {
+      issues.push({ level: 'invalid', message: `Invalid ${rule.label} "${raw}" (no correction available) - valid: ${rule.valid.join(', ')}` });
+      return { result: null, issues };
+    }
+
+    return { result: { type, value, modifier }, issues };
+  }
+
+  /**
+   * Parse a duration - "1500", "1500ms" or "1.5s"
+   * @param {string} value
+   * @param {number} max - Longer durations are clamped to this
+   * @returns {number|null} Milliseconds, or null if not a duration
+   */
+  static parseDuration(value, max) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s)?$/i.exec(String(value).trim());
+    if (!match) return null;
+    const ms = Math.round(Number(match[1]) * (match[2]?.toLowerCase() === 's' ? 1000 : 1));
+    return Math.min(ms, max);
+  }
+
+  /**
+   * @param {object} mascot
+   * @param {object} [options]
+   * @param {Function} [options.applyToggle] - (feature, enabled) => void, for TOGGLE directives
+   * @param {Function} [options.pauseSpeech] - () => void, called when a WAIT / PAUSE starts
+   * @param {Function} [options.resumeSpeech] - () => void, called when it ends
+   * @param {Function} [options.tweenMoonPhase] - (phase, durationMs) => void, for [PHASE:name,ms]
+   * @param {Object} [options.host] - What registered directive handlers act on (the app)
+   */
+  constructor(mascot, { applyToggle = null, pauseSpeech = null, resumeSpeech = null, tweenMoonPhase = null, host = null } = {}) {
     this.mascot = mascot;
+    this.host = host;
+    this.applyToggle = applyToggle;
+    this.tweenMoonPhase = tweenMoonPhase;
+    this.pauseSpeech = pauseSpeech;
+    this.resumeSpeech = resumeSpeech;
+
+    // Timing: the running WAIT and the furthest position TTS has reported
+    this._waitTimer = null;
+    this._waitEndsAt = 0;
+    this._charPosition = 0;
+
+    // Paused by the listener - a WAIT running at the time keeps its remaining ms
+    this._paused = false;
+    this._waitRemaining = null;
+
+    // Eclipse tweens in progress and the last state set, per directive type
+    this._tweenTimers = { SUNECLIPSE: [], MOONECLIPSE: [] };
+    this._eclipseState = { SUNECLIPSE: 'off', MOONECLIPSE: 'off' };
 
     // Parsed directives with their character positions
     this._directives = [];  // { charIndex, type, value, modifier? }[]
@@ -131,8 +492,85 @@ export class StoryDirector {
     // Tracking playback
     this._lastTriggeredIndex = -1;
 
-    // Directive regex - matches [TYPE:value] or [TYPE:value,modifier]
-    this._directivePattern = /\[([A-Z]+):([^\],]+)(?:,([^\]]+))?\]/g;
+    // Directive regex - matches [TYPE:value], [TYPE:value,modifier] or a bare [PAUSE]
+    this._directivePattern = /\[(?:([A-Z]+):([^\],]+)(?:,([^\]]+))?|(PAUSE))\]/g;
+
+    // Streaming: raw text received but not yet parsed
+    this._pending = '';
+  }
+
+  /**
+   * Parse a chunk of streamed text
+   * Directives found are appended with positions continuing from earlier chunks
+   * @param {string} chunk - Raw text (may split a directive across chunks)
+   * @returns {string} Newly available clean text
+   */
+  feed(chunk) {
+    this._pending += chunk;
+
+    // Hold back an unclosed "[" - it may be the start of a directive
+    let ready = this._pending;
+    const openIndex = ready.lastIndexOf('[');
+    if (openIndex !== -1 && ready.indexOf(']', openIndex) === -1 &&
+        ready.length - openIndex <= StoryDirector.MAX_DIRECTIVE_LENGTH) {
+      ready = ready.slice(0, openIndex);
+    }
+    this._pending = this._pending.slice(ready.length);
+
+    return this._appendParsed(ready);
+  }
+
+  /**
+   * Parse anything still held back at the end of a stream
+   * @returns {string} Remaining clean text
+   */
+  flush() {
+    const rest = this._pending;
+    this._pending = '';
+    return this._appendParsed(rest);
+  }
+
+  /**
+   * Extract directives from raw text and append to the parsed state
+   * @param {string} rawText
+   * @returns {string} Clean text for this segment
+   */
+  _appendParsed(rawText) {
+    if (!rawText) return '';
+
+    const offset = this._cleanText.length;
+    let cleanText = '';
+    let lastIndex = 0;
+    let match;
+    const added = [];
+
+    this._directivePattern.lastIndex = 0;
+
+    while ((match = this._directivePattern.exec(rawText)) !== null) {
+      const [fullMatch, type, value, modifier, bareType] = match;
+
+      cleanText += rawText.slice(lastIndex, match.index);
+      added.push({
+        charIndex: offset + cleanText.length,
+        type: (type || bareType).toUpperCase(),
+        value: value?.trim() ?? '',
+        modifier: modifier?.trim() || null
+      });
+
+      lastIndex = match.index + fullMatch.length;
+    }
+
+    cleanText += rawText.slice(lastIndex);
+
+    this._directives.push(...added);
+    this._cleanText += cleanText;
+
+    if (added.length > 0) {
+      console.log(`[StoryDirector] Streamed ${added.length} directives:`,
+        added.map(d => `${d.type}:${d.value}${d.modifier ? ',' + d.modifier : ''} @${d.charIndex}`));
+    }
+
+    return cleanText;
   }
 
   /**
@@ -144,6 +582,8 @@ export class StoryDirector {
   parse(rawText) {
     this._directives = [];
     this._lastTriggeredIndex = -1;
+    this._endWait();
+    this._charPosition = 0;
 
     // Track character offset as we strip directives
     let cleanText = '';
@@ -154,7 +594,7 @@ export class StoryDirector {
     this._directivePattern.lastIndex = 0;
 
     while ((match = this._directivePattern.exec(rawText)) !== null) {
-      const [fullMatch, type, value, modifier] = match;
+      const [fullMatch, type, value, modifier, bareType] = match;
       const matchStart = match.index;
 
       // Add text before this directive to clean text
@@ -163,8 +603,10 @@ export class StoryDirector {
       // Record directive with its position in clean text
       this._directives.push({
         charIndex: cleanText.length,  // Position in clean text
-        type: type.toUpperCase(),
-        value: value.trim(),
+        sourceIndex: matchStart,      // Position in the raw text (for error reports)
+        source: fullMatch,
+        type: (type || bareType).toUpperCase(),
+        value: value?.trim() ?? '',
         modifier: modifier?.trim() || null
       });
 
@@ -198,6 +640,37 @@ export class StoryDirector {
     return this._directives.length > 0;
   }
 
+  /**
+   * Parsed directives in playback order
+   * @returns {Array<{ charIndex, sourceIndex?, source?, type, value, modifier }>}
+   */
+  getDirectives() {
+    return this._directives.map(directive => ({ ...directive }));
+  }
+
+  /**
+   * Choices offered at the end of the parsed story node, in order
+   * @returns {Array<{ next: string, label: string }>}
+   */
+  getChoices() {
+    return this._directives
+      .filter(directive => directive.type === 'CHOICE' && directive.value)
+      .map(directive => ({
+        next: directive.value.toLowerCase(),
+        label: directive.modifier || directive.value
+      }));
+  }
+
+  /**
+   * Total time narration is held by WAIT / PAUSE directives
+   * @returns {number} ms
+   */
+  getHoldDuration() {
+    return this._directives
+      .filter(directive => StoryDirector.RULES[directive.type]?.timing)
+      .reduce((total, directive) => total + Number(StoryDirector.check(directive).result?.value || 0), 0);
+  }
+
   /**
    * Update playback position and trigger any directives we've passed
    * Call this as TTS progresses through the text
@@ -205,14 +678,22 @@ export class StoryDirector {
    */
   updateProgress(charPosition) {
     if (!this.mascot || this._directives.length === 0) return;
+    this._charPosition = Math.max(this._charPosition, charPosition);
+
+    // Holding for a WAIT or paused - the rest fire when that ends
+    if (this._waitTimer || this._paused) return;
 
     // Find directives that should trigger at or before current position
     for (let i = this._lastTriggeredIndex + 1; i < this._directives.length; i++) {
       const directive = this._directives[i];
 
-      if (directive.charIndex <= charPosition) {
-        this._triggerDirective(directive);
+      if (directive.charIndex <= this._charPosition) {
         this._lastTriggeredIndex = i;
+        if (StoryDirector.RULES[directive.type]?.timing) {
+          if (this._startWait(directive)) break;
+        } else {
+          this._triggerDirective(directive);
+        }
       } else {
         // Directives are sorted by position, so we can stop here
         break;
@@ -220,6 +701,16 @@ export class StoryDirector {
     }
   }
 
+  /**
+   * Trigger a single directive immediately (validated and auto-corrected)
+   * Used for directives that arrive outside story text, e.g. tool calls
+   * @param {object} directive - { type, value, modifier? }
+   */
+  trigger(directive) {
+    if (!this.mascot) return;
+    this._triggerDirective(directive);
+  }
+
   /**
    * Auto-correct a value using the correction map, or return original if valid/unknown
    * @param {string} value - The value to correct
@@ -227,7 +718,7 @@ export class StoryDirector {
    * @param {Object} corrections - Map of invalid → valid corrections
    * @returns {{ corrected: string, wasFixed: boolean }}
    */
-  _autoCorrect(value, validList, corrections) {
+  static _autoCorrect(value, validList, corrections) {
     const lower = value.toLowerCase();
 
     // Already valid
@@ -249,210 +740,386 @@ export class StoryDirector {
    * @param {object} directive - { type, value, modifier? }
    */
   _triggerDirective(directive) {
-    const { type, value, modifier } = directive;
+    const normalized = StoryDirector.normalize(directive);
+    if (!normalized) return;
 
+    const { type, value, modifier } = normalized;
     console.log(`[StoryDirector] Triggering: ${type}:${value}${modifier ? ',' + modifier : ''}`);
 
     switch (type) {
-      case 'FEEL': {
+      case 'FEEL':
         // value = emotion, modifier = gesture
-        // Auto-correct emotion
-        const { corrected: emotion, wasFixed } = this._autoCorrect(
-          value,
-          StoryDirector.VALID_EMOTIONS,
-          StoryDirector.EMOTION_CORRECTIONS
-        );
-
-        if (wasFixed) {
-          console.log(`[StoryDirector] Auto-corrected emotion "${value}" → "${emotion}"`);
-        }
-
-        // Validate emotion
-        if (!StoryDirector.VALID_EMOTIONS.includes(emotion)) {
-          console.warn(`[StoryDirector] Invalid emotion "${value}" (no correction available) - valid: ${StoryDirector.VALID_EMOTIONS.join(', ')}`);
-          return;
-        }
-
         if (this.mascot.feel) {
-          const feelStr = modifier ? `${emotion}, ${modifier}` : emotion;
-          this.mascot.feel(feelStr);
+          this.mascot.feel(modifier ? `${value}, ${modifier}` : value);
         }
         break;
-      }
-
-      case 'MORPH': {
-        // Auto-correct geometry
-        const { corrected: geometry, wasFixed } = this._autoCorrect(
-          value,
-          StoryDirector.VALID_GEOMETRIES,
-          StoryDirector.GEOMETRY_CORRECTIONS
-        );
-
-        if (wasFixed) {
-          console.log(`[StoryDirector] Auto-corrected geometry "${value}" → "${geometry}"`);
-        }
-
-        if (!StoryDirector.VALID_GEOMETRIES.includes(geometry)) {
-          console.warn(`[StoryDirector] Invalid geometry "${value}" (no correction available) - valid: ${StoryDirector.VALID_GEOMETRIES.join(', ')}`);
-          return;
-        }
 
+      case 'MORPH':
         if (this.mascot.morphTo) {
-          this.mascot.morphTo(geometry);
+          this.mascot.morphTo(value);
         }
         break;
-      }
-
-      case 'CHAIN': {
-        // Auto-correct chain
-        const { corrected: chain, wasFixed } = this._autoCorrect(
-          value,
-          StoryDirector.VALID_CHAINS,
-          StoryDirector.CHAIN_CORRECTIONS
-        );
-
-        if (wasFixed) {
-          console.log(`[StoryDirector] Auto-corrected chain "${value}" → "${chain}"`);
-        }
-
-        if (!StoryDirector.VALID_CHAINS.includes(chain)) {
-          console.warn(`[StoryDirector] Invalid chain "${value}" (no correction available) - valid: ${StoryDirector.VALID_CHAINS.join(', ')}`);
-          return;
-        }
 
+      case 'CHAIN':
         if (this.mascot.playChain) {
-          this.mascot.playChain(chain);
+          this.mascot.playChain(value);
         }
         break;
-      }
 
-      case 'PRESET': {
-        // No corrections for presets - they're simple gem names
-        const preset = value.toLowerCase();
-        if (!StoryDirector.VALID_PRESETS.includes(preset)) {
-          console.warn(`[StoryDirector] Invalid preset "${value}" - valid: ${StoryDirector.VALID_PRESETS.join(', ')}`);
-          return;
-        }
+      case 'PRESET':
         if (this.mascot.setSSSPreset) {
-          this.mascot.setSSSPreset(preset);
+          this.mascot.setSSSPreset(value);
         }
         break;
-      }
 
-      case 'TOGGLE':
+      case 'TOGGLE': {
         // value = feature, modifier = on/off
-        if (this.mascot.toggle) {
-          const isOn = modifier?.toLowerCase() !== 'off';
+        const isOn = modifier?.toLowerCase() !== 'off';
+        if (this.applyToggle) {
+          this.applyToggle(value, isOn);
+        } else if (this.mascot.toggle) {
           this.mascot.toggle(value, isOn);
         }
         break;
+      }
 
-      case 'UNDERTONE': {
-        // Auto-correct undertone
-        const { corrected: undertone, wasFixed } = this._autoCorrect(
-          value,
-          StoryDirector.VALID_UNDERTONES,
-          StoryDirector.UNDERTONE_CORRECTIONS
-        );
-
-        if (wasFixed) {
-          console.log(`[StoryDirector] Auto-corrected undertone "${value}" → "${undertone}"`);
-        }
-
-        if (!StoryDirector.VALID_UNDERTONES.includes(undertone)) {
-          console.warn(`[StoryDirector] Invalid undertone "${value}" (no correction available) - valid: ${StoryDirector.VALID_UNDERTONES.join(', ')}`);
-          return;
-        }
-
+      case 'UNDERTONE':
         if (this.mascot.updateUndertone) {
-          this.mascot.updateUndertone(undertone);
+          this.mascot.updateUndertone(value);
         }
         break;
-      }
 
-      case 'PHASE': {
-        // Moon phase - auto-correct
-        const { corrected: phase, wasFixed } = this._autoCorrect(
-          value,
-          StoryDirector.VALID_MOON_PHASES,
-          StoryDirector.MOON_PHASE_CORRECTIONS
-        );
-
-        if (wasFixed) {
-          console.log(`[StoryDirector] Auto-corrected moon phase "${value}" → "${phase}"`);
+      case 'CAMERA':
+        if (this.mascot.setCameraPreset) {
+          this.mascot.setCameraPreset(value);
         }
+        break;
 
-        if (!StoryDirector.VALID_MOON_PHASES.includes(phase)) {
-          console.warn(`[StoryDirector] Invalid moon phase "${value}" (no correction available) - valid: ${StoryDirector.VALID_MOON_PHASES.join(', ')}`);
-          return;
+      case 'PHASE': {
+        // With a duration, tweenMoonPhase animates through the in-between
+        // phases; otherwise use the core3D API to set it directly
+        if (modifier && this.tweenMoonPhase) {
+          try {
+            this.tweenMoonPhase(value, Number(modifier));
+            break;
+          } catch (error) {
+            console.warn(`[StoryDirector] Moon phase tween failed, setting directly: ${error.message}`);
+          }
         }
-
-        // Use core3D API to set moon phase
         if (this.mascot.core3D?.setMoonPhase) {
-          this.mascot.core3D.setMoonPhase(phase);
+          this.mascot.core3D.setMoonPhase(value);
         }
         break;
       }
 
-      case 'SUNECLIPSE': {
-        // Solar eclipse - auto-correct
-        const { corrected: eclipseType, wasFixed } = this._autoCorrect(
-          value,
-          StoryDirector.VALID_SUN_ECLIPSE,
-          StoryDirector.SUN_ECLIPSE_CORRECTIONS
-        );
-
-        if (wasFixed) {
-          console.log(`[StoryDirector] Auto-corrected sun eclipse "${value}" → "${eclipseType}"`);
+      case 'SUNECLIPSE':
+        // Use core3D API to set sun shadow/eclipse
+        if (this.mascot.core3D?.setSunShadow) {
+          this._tweenEclipse(type, value, Number(modifier) || 0, state => this.mascot.core3D.setSunShadow(state));
         }
+        break;
 
-        if (!StoryDirector.VALID_SUN_ECLIPSE.includes(eclipseType)) {
-          console.warn(`[StoryDirector] Invalid sun eclipse "${value}" (no correction available) - valid: ${StoryDirector.VALID_SUN_ECLIPSE.join(', ')}`);
-          return;
+      case 'MOONECLIPSE':
+        // Use core3D API to set moon eclipse
+        if (this.mascot.core3D?.setMoonEclipse) {
+          this._tweenEclipse(type, value, Number(modifier) || 0, state => this.mascot.core3D.setMoonEclipse(state));
         }
+        break;
 
-        // Use core3D API to set sun shadow/eclipse
-        if (this.mascot.core3D?.setSunShadow) {
-          this.mascot.core3D.setSunShadow(eclipseType);
-        }
+      case 'CHOICE':
+        // Offered once the node has been narrated (see getChoices)
         break;
-      }
 
-      case 'MOONECLIPSE': {
-        // Lunar eclipse (blood moon) - auto-correct
-        const { corrected: eclipseType, wasFixed } = this._autoCorrect(
-          value,
-          StoryDirector.VALID_MOON_ECLIPSE,
-          StoryDirector.MOON_ECLIPSE_CORRECTIONS
-        );
+      case 'MEDITATION':
+        // Starting meditation is up to the app (see EmoAssistant.parseResponse)
+        break;
 
-        if (wasFixed) {
-          console.log(`[StoryDirector] Auto-corrected moon eclipse "${value}" → "${eclipseType}"`);
-        }
+      case 'WAIT':
+      case 'PAUSE':
+        // Only meaningful during narration (see updateProgress)
+        break;
 
-        if (!StoryDirector.VALID_MOON_ECLIPSE.includes(eclipseType)) {
-          console.warn(`[StoryDirector] Invalid moon eclipse "${value}" (no correction available) - valid: ${StoryDirector.VALID_MOON_ECLIPSE.join(', ')}`);
-          return;
+      default: {
+        // Added with registerDirective() - a failing plugin shouldn't stop the story
+        const custom = StoryDirector._custom.get(type);
+        try {
+          custom?.handler(normalized, this);
+        } catch (error) {
+          console.warn(`[StoryDirector] ${type} handler failed: ${error.message}`);
         }
+      }
+    }
+  }
 
-        // Use core3D API to set moon eclipse
-        if (this.mascot.core3D?.setMoonEclipse) {
-          this.mascot.core3D.setMoonEclipse(eclipseType);
-        }
-        break;
+  /**
+   * Step an eclipse through its intermediate states over a duration
+   * e.g. off -> total over 2000ms sets annular at 1000ms and total at 2000ms
+   * @param {'SUNECLIPSE'|'MOONECLIPSE'} type
+   * @param {string} target - Final state
+   * @param {number} duration - ms (0 sets the target immediately)
+   * @param {Function} apply - (state) => void
+   */
+  _tweenEclipse(type, target, duration, apply) {
+    // A new tween replaces one still running
+    this._tweenTimers[type].forEach(clearTimeout);
+    this._tweenTimers[type] = [];
+
+    // Start from what the mascot shows - the carousel and mood panel set
+    // eclipses without going through the director
+    const order = StoryDirector.ECLIPSE_ORDER[type];
+    const shown = this.mascot.getVisualState?.()[StoryDirector.STATE_KEYS[type]];
+    const from = order.indexOf(order.includes(shown) ? shown : this._eclipseState[type]);
+    const to = order.indexOf(target);
+    const direction = Math.sign(to - from);
+    const steps = [];
+    for (let i = from + direction; direction && i !== to + direction; i += direction) {
+      steps.push(order[i]);
+    }
+
+    if (!duration || steps.length <= 1) {
+      this._eclipseState[type] = target;
+      apply(target);
+      return;
+    }
+
+    steps.forEach((state, i) => {
+      this._tweenTimers[type].push(setTimeout(() => {
+        this._eclipseState[type] = state;
+        apply(state);
+      }, duration * (i + 1) / steps.length));
+    });
+  }
+
+  /**
+   * Cancel running eclipse tweens where they are
+   */
+  _stopTweens() {
+    for (const type of Object.keys(this._tweenTimers)) {
+      this._tweenTimers[type].forEach(clearTimeout);
+      this._tweenTimers[type] = [];
+    }
+  }
+
+  /**
+   * Start a WAIT / PAUSE: pause speech and hold later directives
+   * @param {object} directive
+   * @returns {boolean} true if a wait started
+   */
+  _startWait(directive) {
+    const normalized = StoryDirector.normalize(directive);
+    if (!normalized || !Number(normalized.value)) return false;
+
+    const ms = Number(normalized.value);
+    console.log(`[StoryDirector] ${normalized.type}: holding narration for ${ms}ms`);
+    this.pauseSpeech?.();
+    this._holdFor(ms);
+    return true;
+  }
+
+  /**
+   * Keep speech held for ms, then fire what's due and let it continue
+   */
+  _holdFor(ms) {
+    this._waitEndsAt = Date.now() + ms;
+    this._waitTimer = setTimeout(() => {
+      this._waitTimer = null;
+
+      // Directives after the wait go first (a morph before the next line),
+      // and a WAIT right after this one keeps speech paused
+      this.updateProgress(this._charPosition);
+      if (!this._waitTimer) this.resumeSpeech?.();
+    }, ms);
+  }
+
+  /**
+   * Cancel a running (or paused) WAIT and let speech continue, unless paused
+   */
+  _endWait() {
+    const waiting = this._waitTimer || this._waitRemaining !== null;
+    clearTimeout(this._waitTimer);
+    this._waitTimer = null;
+    this._waitRemaining = null;
+    if (waiting && !this._paused) this.resumeSpeech?.();
+  }
+
+  /**
+   * Pause narration for the listener
+   * A WAIT in progress stops counting down until resume()
+   */
+  pause() {
+    if (this._paused) return;
+    this._paused = true;
+
+    if (this._waitTimer) {
+      // Speech is already held by the wait
+      clearTimeout(this._waitTimer);
+      this._waitTimer = null;
+      this._waitRemaining = Math.max(0, this._waitEndsAt - Date.now());
+    } else {
+      this.pauseSpeech?.();
+    }
+  }
+
+  /**
+   * Continue narration after pause()
+   */
+  resume() {
+    if (!this._paused) return;
+    this._paused = false;
+
+    if (this._waitRemaining !== null) {
+      // Finish the interrupted wait first - it resumes speech when done
+      const ms = this._waitRemaining;
+      this._waitRemaining = null;
+      this._holdFor(ms);
+      return;
+    }
+
+    this.resumeSpeech?.();
+    this.updateProgress(this._charPosition);
+  }
+
+  isPaused() {
+    return this._paused;
+  }
+
+  /**
+   * Jump to a position in the clean text
+   * Earlier directives aren't replayed - the state they add up to is applied
+   * at once (no tweens, chains or gestures). Directives from the position on
+   * fire as progress reaches them. Pausing survives a seek.
+   * @param {number} charPosition
+   * @param {Object} [initial] - State before the text starts (see getStateAt)
+   * @returns {Object} The state applied
+   */
+  seek(charPosition, initial = {}) {
+    this._endWait();
+    this._stopTweens();
+
+    const state = this.getStateAt(charPosition, initial);
+    if (this.mascot) this._applyState(state);
+
+    this._lastTriggeredIndex = this._directives.findLastIndex(directive => directive.charIndex < charPosition);
+    this._charPosition = charPosition;
+
+    console.log(`[StoryDirector] Seek to ${charPosition}:`, state);
+    return state;
+  }
+
+  /**
+   * Mascot state implied by every directive before a position
+   * @param {number} charPosition - Position in clean text (Infinity = end)
+   * @param {Object} [initial] - State before the text starts, e.g. { geometry: cover }
+   * @returns {{ geometry?: string, preset?: string, phase?: string, sunEclipse?: string,
+   *   moonEclipse?: string, undertone?: string, emotion?: string }}
+   */
+  getStateAt(charPosition, initial = {}) {
+    const state = { ...initial };
+    for (const directive of this._directives) {
+      if (directive.charIndex >= charPosition) break;
+
+      const key = StoryDirector.STATE_KEYS[directive.type];
+      const normalized = key && StoryDirector.check(directive).result;
+      if (normalized) state[key] = normalized.value;
+    }
+    return state;
+  }
+
+  /**
+   * Set a getStateAt() state on the mascot without tweens
+   */
+  _applyState(state) {
+    for (const [type, key] of Object.entries(StoryDirector.STATE_KEYS)) {
+      let value = state[key];
+
+      // Seeking back before an eclipse clears it
+      if (value === undefined &&
+          ((type === 'SUNECLIPSE' && state.geometry === 'sun') || (type === 'MOONECLIPSE' && state.geometry === 'moon'))) {
+        value = 'off';
       }
+      if (value !== undefined) this._triggerDirective({ type, value });
+    }
+  }
 
-      default:
-        console.warn(`[StoryDirector] Unknown directive type: ${type}`);
+  /**
+   * Move the mascot back to a saved look (see SafeMascot.getVisualState)
+   * Only what differs from the current look changes: geometry and presets use
+   * the engine's own transitions, the moon phase and eclipses tween over the
+   * duration, and the emotion goes last so the morph doesn't swallow it.
+   * @param {Object} state - Look to return to: getStateAt() keys plus camera and toggles
+   * @param {Object} [current] - Look the mascot has now
+   * @param {number} [duration=0] - Tween duration for phase and eclipses (ms)
+   * @returns {string[]} What changed, e.g. ["MORPH:crystal", "PHASE:full,1500"]
+   */
+  transitionTo(state, current = {}, duration = 0) {
+    if (!this.mascot) return [];
+    this._stopTweens();
+
+    const changes = [];
+    const apply = (type, value, modifier = null) => {
+      changes.push(`${type}:${value}${modifier ? ',' + modifier : ''}`);
+      this._triggerDirective({ type, value, modifier });
+    };
+
+    for (const [feature, enabled] of Object.entries(state.toggles || {})) {
+      if (current.toggles?.[feature] !== enabled) apply('TOGGLE', feature, enabled ? 'on' : 'off');
+    }
+    if (state.camera && state.camera !== current.camera) apply('CAMERA', state.camera);
+
+    const geometry = state.geometry ?? current.geometry;
+    for (const [type, key] of Object.entries(StoryDirector.STATE_KEYS)) {
+      // Celestial state only shows on its own geometry - leave it for next time
+      const celestial = { PHASE: 'moon', MOONECLIPSE: 'moon', SUNECLIPSE: 'sun' }[type];
+      if (celestial && geometry !== celestial) continue;
+
+      // An eclipse nobody set before is off
+      const value = state[key] === undefined && celestial && type !== 'PHASE' ? 'off' : state[key];
+      const now = current[key] ?? (celestial ? 'off' : null);
+      if (value === undefined || value === now) continue;
+
+      // A cleared undertone can't be written as a directive
+      if (type === 'UNDERTONE' && value === null) {
+        changes.push('UNDERTONE:none');
+        this.mascot.updateUndertone?.(null);
+        continue;
+      }
+      apply(type, value, duration && StoryDirector.RULES[type].duration ? String(duration) : null);
+    }
+
+    if (changes.length) console.log('[StoryDirector] Transition back:', changes);
+    return changes;
+  }
+
+  /**
+   * Clean-text positions where sentences start (for skipping by sentence)
+   * @returns {number[]} Ascending, starting with 0
+   */
+  getSentenceStarts() {
+    const starts = [0];
+    for (const match of this._cleanText.matchAll(StoryDirector.SENTENCE_BOUNDARY)) {
+      const start = match.index + match[0].length;
+      if (start < this._cleanText.length) starts.push(start);
     }
+    return starts;
+  }
+
+  /**
+   * Furthest position reached (or sought to) in the clean text
+   */
+  getPosition() {
+    return this._charPosition;
   }
 
   /**
    * Force trigger all remaining directives (e.g., when speech ends early)
+   * Waits are skipped - there's no narration left to hold
    */
   triggerRemaining() {
+    this._endWait();
     for (let i = this._lastTriggeredIndex + 1; i < this._directives.length; i++) {
-      this._triggerDirective(this._directives[i]);
+      if (!StoryDirector.RULES[this._directives[i].type]?.timing) {
+        this._triggerDirective(this._directives[i]);
+      }
       this._lastTriggeredIndex = i;
     }
   }
@@ -463,7 +1130,16 @@ export class StoryDirector {
   reset() {
     this._directives = [];
     this._cleanText = '';
+    this._pending = '';
     this._lastTriggeredIndex = -1;
+    this._endWait();
+    this._stopTweens();
+    this._eclipseState = { SUNECLIPSE: 'off', MOONECLIPSE: 'off' };
+    this._charPosition = 0;
+    if (this._paused) {
+      this._paused = false;
+      this.resumeSpeech?.();
+    }
   }
 
   /**
@@ -0,0 +1,241 @@
+/**
+ * Story Library Module
+ * Loads narrated stories from public/stories/ instead of hard-coded strings
+ *
+ * public/stories/manifest.json lists each story's id, title, description,
+ * tags, voice, music, cover geometry, keepLook and the file holding its body - story
+ * text with inline StoryDirector directives. Writers add a story by adding a
+ * body file and a manifest entry; StoriesPanel and EmoAssistant._startStory
+ * both read from here. Durations are estimated from the narrated text.
+ *
+ * Interactive stories split their body into [NODE:id] sections. A node that
+ * ends with [CHOICE:next,Label] directives asks the listener which node to
+ * continue with; a node without choices ends the story. The first node is
+ * where the story starts.
+ */
+
+import { StoryDirector } from './story-director.js';
+import { GEOMETRIES } from './vocabulary.js';
+
+// Detect base path for assets (handles GitHub Pages /emotive-holo/ prefix)
+// (guarded so scripts/lint-stories.js can import this module under Node)
+const BASE_PATH = globalThis.location?.pathname?.includes('/emotive-holo/') ? '/emotive-holo' : '';
+const STORIES_URL = `${BASE_PATH}/stories/`;
+
+// Narration pace used for duration estimates (close to both TTS voices)
+const WORDS_PER_MINUTE = 150;
+
+// Node id of a linear story's single node
+const LINEAR_NODE = 'start';
+
+// [NODE:id] section marker in a body file
+const NODE_PATTERN = /\[NODE:([^\]]+)\]/g;
+
+// Spoken ways to pick a choice by position
+const CHOICE_ORDINALS = [
+  ['first', 'one', '1', 'left'],
+  ['second', 'two', '2', 'middle'],
+  ['third', 'three', '3', 'right', 'last']
+];
+
+// Words too common to tell choices apart
+const CHOICE_STOPWORDS = new Set(['a', 'an', 'the', 'to', 'into', 'of', 'and', 'go', 'i', 'want', 'lets', 'let', 'us', 'please', 'option']);
+
+let storiesRequest = null;  // Promise of the loaded story list, shared by all callers
+
+/**
+ * Load the manifest and every story body (cached after the first call)
+ * Entries with a missing id or body are skipped with a warning
+ * @returns {Promise<Array<Story>>}
+ *
+ * @typedef {Object} Story
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string[]} tags
+ * @property {string|null} voice - ElevenLabs voice ID to narrate with (null = current voice)
+ * @property {string|null} music - Background music URL (null = none)
+ * @property {string|null} cover - Geometry the story opens on
+ * @property {boolean} keepLook - Keep the mascot's look from the ending instead of restoring the one from before
+ * @property {string} start - Id of the first node
+ * @property {Object<string, string>} nodes - Node id -> story text with inline directives
+ * @property {boolean} interactive - Whether the story has choices
+ * @property {number} durationSeconds - Estimated narration time (longest path if interactive)
+ * @property {string} durationLabel - e.g. "45 sec", "2 min", "up to 3 min"
+ */
+export function loadStories() {
+  if (!storiesRequest) {
+    storiesRequest = fetchStories().catch(error => {
+      console.error('[StoryLibrary] Could not load stories:', error);
+      storiesRequest = null;  // Try again next time
+      return [];
+    });
+  }
+  return storiesRequest;
+}
+
+/**
+ * Find a story by id
+ * @param {string} id
+ * @returns {Promise<Story|null>}
+ */
+export async function getStory(id) {
+  const stories = await loadStories();
+  return stories.find(story => story.id === id) || null;
+}
+
+/**
+ * Estimate how long a story takes to narrate, including WAIT / PAUSE holds
+ * @param {string} body - Story text with inline directives
+ * @returns {number} Seconds
+ */
+export function estimateDuration(body) {
+  const director = new StoryDirector(null);
+  const words = director.parse(body).split(/\s+/).filter(Boolean).length;
+  return Math.round(words / WORDS_PER_MINUTE * 60 + director.getHoldDuration() / 1000);
+}
+
+/**
+ * Narration time of the longest path through a story's nodes
+ * A choice looping back to a node already on the path ends it
+ * @param {Object<string, string>} nodes - Node id -> text
+ * @param {string} id - Node to start from
+ * @param {Set<string>} [visited] - Nodes already on this path
+ * @returns {number} Seconds
+ */
+export function estimateStoryDuration(nodes, id, visited = new Set()) {
+  if (!(id in nodes) || visited.has(id)) return 0;
+
+  const director = new StoryDirector(null);
+  director.parse(nodes[id]);
+  const branches = director.getChoices().map(choice => estimateStoryDuration(nodes, choice.next, new Set([...visited, id])));
+  return estimateDuration(nodes[id]) + Math.max(0, ...branches);
+}
+
+/**
+ * Split a body file into [NODE:id] sections
+ * Text before the first marker is not part of any node
+ * @param {string} text - Raw body file
+ * @returns {Array<{ id: string, text: string, offset: number }>|null} null for a linear story
+ */
+export function splitStoryNodes(text) {
+  const markers = [...text.matchAll(NODE_PATTERN)];
+  if (!markers.length) return null;
+
+  return markers.map((marker, i) => {
+    const offset = marker.index + marker[0].length;
+    const end = markers[i + 1]?.index ?? text.length;
+    return { id: marker[1].trim().toLowerCase(), text: text.slice(offset, end), offset };
+  });
+}
+
+/**
+ * Match a spoken answer to one of a node's choices
+ * Label words win ("the forest" -> "Into the Forest"), then position ("the second one")
+ * @param {string} transcript - What the listener said
+ * @param {Array<{ next: string, label: string }>} choices
+ * @returns {{ next: string, label: string }|null} null if nothing (or more than one) matches
+ */
+export function matchChoice(transcript, choices) {
+  const said = choiceWords(transcript);
+  if (!said.length) return null;
+
+  // Share of each label's words that were said
+  const scores = choices.map(choice => {
+    const words = choiceWords(`${choice.label} ${choice.next}`);
+    return words.length ? words.filter(word => said.includes(word)).length / words.length : 0;
+  });
+  const best = Math.max(...scores);
+  if (best > 0) {
+    const matches = choices.filter((choice, i) => scores[i] === best);
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  // Later ordinals first, so "the second one" isn't taken as "one"
+  const position = CHOICE_ORDINALS.findLastIndex(words => words.some(word => said.includes(word)));
+  if (position === -1) return null;
+
+  // Last and right mean the final choice, whatever the count
+  if (position === CHOICE_ORDINALS.length - 1 && said.some(word => word === 'last' || word === 'right')) {
+    return choices[choices.length - 1];
+  }
+  return choices[position] || null;
+}
+
+function choiceWords(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9\s-]/g, '').split(/[\s-]+/)
+    .filter(word => word && !CHOICE_STOPWORDS.has(word));
+}
+
+/**
+ * Format a duration for the stories panel
+ * @param {number} seconds
+ * @returns {string} "45 sec" under a minute, otherwise rounded minutes
+ */
+export function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.max(5, Math.round(seconds / 5) * 5)} sec`;
+  return `${Math.round(seconds / 60)} min`;
+}
+
+async function fetchStories() {
+  const response = await fetch(`${STORIES_URL}manifest.json`);
+  if (!response.ok) {
+    throw new Error(`Manifest request failed: ${response.status}`);
+  }
+  const manifest = await response.json();
+
+  const entries = (manifest.stories || []).filter(entry => {
+    if (entry?.id && entry.body) return true;
+    console.warn('[StoryLibrary] Skipping manifest entry without id or body:', entry);
+    return false;
+  });
+
+  const stories = await Promise.all(entries.map(loadStory));
+  console.log(`[StoryLibrary] Loaded ${stories.filter(Boolean).length} stories`);
+  return stories.filter(Boolean);
+}
+
+/**
+ * Fetch one story's body and fill in defaults
+ * @param {Object} entry - Manifest entry
+ * @returns {Promise<Story|null>}
+ */
+async function loadStory(entry) {
+  const response = await fetch(new URL(entry.body, new URL(STORIES_URL, window.location.href)));
+  if (!response.ok) {
+    console.warn(`[StoryLibrary] Skipping "${entry.id}" - ${entry.body} returned ${response.status}`);
+    return null;
+  }
+
+  // Body files keep one beat per line for writers - narration is one paragraph
+  const text = await response.text();
+  const sections = splitStoryNodes(text) || [{ id: LINEAR_NODE, text }];
+  const nodes = {};
+  for (const section of sections) {
+    nodes[section.id] = section.text.replace(/\s*\n\s*/g, ' ').trim();
+  }
+
+  const start = sections[0].id;
+  const interactive = sections.length > 1;
+  const durationSeconds = estimateStoryDuration(nodes, start);
+
+  if (entry.cover && !GEOMETRIES.includes(entry.cover)) {
+    console.warn(`[StoryLibrary] "${entry.id}" has unknown cover geometry "${entry.cover}" - ignoring`);
+  }
+
+  return {
+    id: entry.id,
+    title: entry.title || entry.id,
+    description: entry.description || '',
+    tags: entry.tags || [],
+    voice: entry.voice || null,
+    music: entry.music ? new URL(entry.music, new URL(STORIES_URL, window.location.href)).href : null,
+    cover: GEOMETRIES.includes(entry.cover) ? entry.cover : null,
+    keepLook: entry.keepLook === true,
+    start,
+    nodes,
+    interactive,
+    durationSeconds,
+    durationLabel: `${interactive ? 'up to ' : ''}${formatDuration(durationSeconds)}`
+  };
+}
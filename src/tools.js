@@ -0,0 +1,282 @@
+/**
+ * Directive Tools Module
+ * Anthropic tool definitions for structured directive output ("tools" mode)
+ *
+ * In text mode the model writes directive lines (FEEL: joy, bounce) that
+ * parseResponse() scrapes. In tools mode it calls these tools instead and
+ * every directive arrives as a typed object validated against JSON-schema
+ * enums from vocabulary.js. Shared by the server and the browser BYOK path.
+ *
+ * Directives added with StoryDirector.registerDirective() get a tool each
+ * (SOUND -> directive_sound), built when the tool list is asked for, so ones
+ * registered later are included.
+ *
+ * Directive object shape (same as StoryDirector): { type, value, modifier }
+ */
+
+import {
+  EMOTIONS, UNDERTONES, GEOMETRIES, PRESETS, CHAINS, CAMERA_PRESETS,
+  GESTURES, TOGGLE_FEATURES, MOON_PHASES, SUN_ECLIPSES, MOON_ECLIPSES
+} from './vocabulary.js';
+import { StoryDirector } from './story-director.js';
+import './app-directives.js';
+
+export const DIRECTIVE_MODES = ['text', 'tools'];
+
+const ALL_GESTURES = [...GESTURES.motion, ...GESTURES.transform, ...GESTURES.effects];
+
+const enumProp = (values, description) => ({ type: 'string', enum: values, description });
+
+/**
+ * Tool definitions and how each maps to a directive
+ * toDirective(input) returns { type, value, modifier }
+ */
+const TOOL_SPECS = [
+  {
+    name: 'set_emotion',
+    description: 'Set your emotion, optionally with a gesture. Use on every reply.',
+    properties: {
+      emotion: enumProp(EMOTIONS, 'Emotion to express'),
+      gesture: enumProp(ALL_GESTURES, 'Gesture to perform with the emotion')
+    },
+    required: ['emotion'],
+    toDirective: ({ emotion, gesture }) => ({ type: 'FEEL', value: emotion, modifier: gesture || null })
+  },
+  {
+    name: 'morph',
+    description: 'Transform into a different shape.',
+    properties: { geometry: enumProp(GEOMETRIES, 'Shape to morph into') },
+    required: ['geometry'],
+    toDirective: ({ geometry }) => ({ type: 'MORPH', value: geometry, modifier: null })
+  },
+  {
+    name: 'set_preset',
+    description: 'Change your material to a gemstone preset.',
+    properties: { preset: enumProp(PRESETS, 'Material preset') },
+    required: ['preset'],
+    toDirective: ({ preset }) => ({ type: 'PRESET', value: preset, modifier: null })
+  },
+  {
+    name: 'play_chain',
+    description: 'Play a preset gesture sequence.',
+    properties: { chain: enumProp(CHAINS, 'Gesture chain name') },
+    required: ['chain'],
+    toDirective: ({ chain }) => ({ type: 'CHAIN', value: chain, modifier: null })
+  },
+  {
+    name: 'set_undertone',
+    description: 'Add an emotional undertone to the current emotion.',
+    properties: { undertone: enumProp(UNDERTONES, 'Undertone') },
+    required: ['undertone'],
+    toDirective: ({ undertone }) => ({ type: 'UNDERTONE', value: undertone, modifier: null })
+  },
+  {
+    name: 'toggle_feature',
+    description: 'Turn a visual feature on or off.',
+    properties: {
+      feature: enumProp(Object.keys(TOGGLE_FEATURES), 'Feature to toggle'),
+      enabled: { type: 'boolean', description: 'true for on, false for off' }
+    },
+    required: ['feature', 'enabled'],
+    toDirective: ({ feature, enabled }) => ({ type: 'TOGGLE', value: feature, modifier: enabled ? 'on' : 'off' })
+  },
+  {
+    name: 'set_camera',
+    description: 'Change the camera angle. ONLY when the user explicitly asks for a different view.',
+    properties: { preset: enumProp(CAMERA_PRESETS, 'Camera preset') },
+    required: ['preset'],
+    toDirective: ({ preset }) => ({ type: 'CAMERA', value: preset, modifier: null })
+  },
+  {
+    name: 'set_moon_phase',
+    description: 'Set the moon phase. Only when morphed to moon.',
+    properties: { phase: enumProp(MOON_PHASES, 'Moon phase') },
+    required: ['phase'],
+    toDirective: ({ phase }) => ({ type: 'PHASE', value: phase, modifier: null })
+  },
+  {
+    name: 'set_sun_eclipse',
+    description: 'Show a solar eclipse. Only when morphed to sun.',
+    properties: { eclipse: enumProp(Object.keys(SUN_ECLIPSES), 'Eclipse type') },
+    required: ['eclipse'],
+    toDirective: ({ eclipse }) => ({ type: 'SUNECLIPSE', value: eclipse, modifier: null })
+  },
+  {
+    name: 'set_moon_eclipse',
+    description: 'Show a lunar eclipse (total = blood moon). Only when morphed to moon.',
+    properties: { eclipse: enumProp(Object.keys(MOON_ECLIPSES), 'Eclipse type') },
+    required: ['eclipse'],
+    toDirective: ({ eclipse }) => ({ type: 'MOONECLIPSE', value: eclipse, modifier: null })
+  },
+  {
+    name: 'start_meditation',
+    description: 'Start the guided breathing exercise after your spoken intro.',
+    properties: {},
+    required: [],
+    toDirective: () => ({ type: 'MEDITATION', value: 'start', modifier: null })
+  }
+];
+
+const SPECS_BY_NAME = Object.fromEntries(TOOL_SPECS.map(spec => [spec.name, spec]));
+
+/**
+ * Tool specs for the directives added with StoryDirector.registerDirective()
+ * @returns {Array} Same shape as TOOL_SPECS
+ */
+function customToolSpecs() {
+  return StoryDirector.getCustomDirectives().map(({ type, description, valid, modifier }) => {
+    const properties = {
+      value: valid
+        ? enumProp(valid, `${type} value`)
+        : { type: 'string', description: `${type} value` }
+    };
+    if (modifier) {
+      properties.modifier = { type: 'string', description: `Optional second part, as in [${type}:value,modifier]` };
+    }
+
+    return {
+      name: `directive_${type.toLowerCase()}`,
+      description: description ? `${description[0].toUpperCase()}${description.slice(1)}.` : `Trigger the ${type} directive.`,
+      properties,
+      required: ['value'],
+      toDirective: ({ value, modifier: second }) => ({ type, value, modifier: second || null })
+    };
+  });
+}
+
+/**
+ * Tool definitions for the Anthropic Messages API "tools" parameter
+ * Built per call so directives registered after startup are included
+ * @returns {Array<{ name: string, description: string, input_schema: Object }>}
+ */
+export function getDirectiveTools() {
+  return [...TOOL_SPECS, ...customToolSpecs()].map(({ name, description, properties, required }) => ({
+    name,
+    description,
+    input_schema: { type: 'object', properties, required }
+  }));
+}
+
+/**
+ * System prompt addendum for tools mode
+ */
+export const TOOLS_MODE_INSTRUCTIONS = `DIRECTIVE TOOLS MODE:
+Do NOT write directive lines (FEEL:, MORPH:, TOGGLE:, PRESET:, etc.) at the end of your reply.
+Instead, write your short spoken reply as plain text FIRST, then call the matching tools
+(set_emotion, morph, set_preset, play_chain, ...). Always call set_emotion.
+Inline [TYPE:value] directives inside stories and meditation intros are still allowed.`;
+
+/**
+ * Convert a tool call to a directive
+ * @param {{ name: string, input: Object }} call - tool_use block
+ * @returns {{ type: string, value: string, modifier: string|null }|null}
+ */
+export function toolCallToDirective({ name, input }) {
+  const spec = SPECS_BY_NAME[name] || customToolSpecs().find(custom => custom.name === name);
+  if (!spec) {
+    console.warn(`[tools] Unknown tool "${name}"`);
+    return null;
+  }
+  return spec.toDirective(input || {});
+}
+
+/**
+ * Serialize a directive as a text directive line
+ * Used to keep conversation history in the text format both modes understand
+ * @param {{ type: string, value: string, modifier?: string }} directive
+ * @returns {string} e.g. "FEEL: joy, bounce" or "TOGGLE: wobble off"
+ */
+export function directiveToLine({ type, value, modifier }) {
+  if (!modifier) return `${type}: ${value}`;
+  return type === 'TOGGLE' ? `${type}: ${value} ${modifier}` : `${type}: ${value}, ${modifier}`;
+}
+
+/**
+ * Append directives to reply text as directive lines
+ * @param {string} text
+ * @param {Array} directives
+ * @returns {string}
+ */
+export function withDirectiveLines(text, directives) {
+  if (!directives?.length) return text;
+  return [text, ...directives.map(directiveToLine)].filter(Boolean).join('\n');
+}
+
+/**
+ * Split a Messages API response into spoken text and directives
+ * @param {Array} content - response.content blocks
+ * @returns {{ text: string, directives: Array }}
+ */
+export function extractReply(content = []) {
+  const text = content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+
+  const directives = content
+    .filter(block => block.type === 'tool_use')
+    .map(toolCallToDirective)
+    .filter(Boolean);
+
+  return { text, directives };
+}
+
+/**
+ * Collects tool_use blocks from a Messages API event stream
+ * Tool input arrives as partial JSON across several deltas.
+ */
+export class ToolCallCollector {
+  constructor() {
+    this._blocks = new Map();  // content block index -> { name, json }
+  }
+
+  /**
+   * Handle one stream event
+   * @param {Object} event - Parsed SSE data payload
+   * @returns {Object|null} Directive when a tool_use block completes
+   */
+  handleEvent(event) {
+    switch (event.type) {
+      case 'content_block_start':
+        if (event.content_block?.type === 'tool_use') {
+          this._blocks.set(event.index, { name: event.content_block.name, json: '' });
+        }
+        return null;
+
+      case 'content_block_delta':
+        if (event.delta?.type === 'input_json_delta' && this._blocks.has(event.index)) {
+          this._blocks.get(event.index).json += event.delta.partial_json;
+        }
+        return null;
+
+      case 'content_block_stop': {
+        const block = this._blocks.get(event.index);
+        if (!block) return null;
+        this._blocks.delete(event.index);
+
+        let input = {};
+        try {
+          input = block.json ? JSON.parse(block.json) : {};
+        } catch {
+          console.warn(`[tools] Could not parse input for "${block.name}"`);
+          return null;
+        }
+        return toolCallToDirective({ name: block.name, input });
+      }
+
+      default:
+        return null;
+    }
+  }
+}
+
+/**
+ * Resolve the directive mode for a request
+ * @param {string} [requested] - Mode asked for by the client
+ * @param {string} [fallback] - Default (e.g. from EMO_DIRECTIVE_MODE)
+ * @returns {'text'|'tools'}
+ */
+export function resolveDirectiveMode(requested, fallback = 'text') {
+  if (DIRECTIVE_MODES.includes(requested)) return requested;
+  return DIRECTIVE_MODES.includes(fallback) ? fallback : 'text';
+}
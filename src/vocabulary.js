@@ -0,0 +1,178 @@
+/**
+ * Vocabulary Module
+ * Single source of truth for every value Emo can use in a directive
+ *
+ * Shared by the browser (StoryDirector, response parsing, side menu, mood
+ * panel, geometry carousel, BYOK system prompt) and the server (system
+ * prompt), so the model is only ever told about values the client will
+ * accept. Generate lists from here - don't copy them.
+ *
+ * The static lists are what the engine supports today. In the browser,
+ * syncVocabularyFromEngine() narrows them to what the running engine build
+ * reports, so call it after the mascot is initialized and before building
+ * any UI. Lists are updated in place, so imported references stay valid.
+ */
+
+export const EMOTIONS = ['neutral', 'joy', 'calm', 'love', 'excited', 'euphoria', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'focused', 'suspicion', 'resting', 'glitch'];
+
+// Mildest to strongest - 'clear' (no undertone) first, the mood panel slider uses this order
+export const UNDERTONES = ['clear', 'calm', 'hesitant', 'confident', 'nervous', 'sarcastic'];
+
+// Carousel order
+export const GEOMETRIES = ['crystal', 'moon', 'star', 'sun', 'rough', 'heart'];
+
+// Spectrum order: white -> red -> yellow -> green -> blue -> purple
+export const PRESETS = ['quartz', 'ruby', 'citrine', 'emerald', 'sapphire', 'amethyst'];
+
+// Geometries that take an SSS preset (moon and sun have their own variants)
+export const SSS_GEOMETRIES = ['crystal', 'star', 'rough', 'heart'];
+
+export const CAMERA_PRESETS = ['front', 'side', 'top', 'bottom', 'angle', 'back'];
+
+// Gestures grouped by kind (used in FEEL: emotion, gesture)
+export const GESTURES = {
+  motion: ['bounce', 'pulse', 'shake', 'nod', 'vibrate', 'orbit', 'twitch', 'sway', 'float', 'jitter', 'wiggle', 'headBob', 'lean', 'point', 'reach'],
+  transform: ['spin', 'jump', 'morph', 'stretch', 'tilt', 'orbital', 'hula', 'twist'],
+  effects: ['wave', 'drift', 'flicker', 'burst', 'settle', 'fade', 'hold', 'breathe', 'expand', 'contract', 'flash', 'glow', 'sparkle', 'shimmer', 'groove', 'rain']
+};
+
+// Gesture chains - ">" runs steps in sequence, "+" runs gestures together
+export const CHAIN_DEFINITIONS = {
+  rise: { sequence: 'breathe > sway+lean+tilt', description: 'breathe first, then sway/lean/tilt together' },
+  flow: { sequence: 'sway > lean+tilt > spin > bounce', description: 'flowing 4-step sequence' },
+  burst: { sequence: 'jump > nod > shake > flash', description: 'quick impact sequence' },
+  drift: { sequence: 'sway+breathe+float+drift', description: 'all 4 at once - very calming' },
+  chaos: { sequence: 'shake+shake > spin+flash > bounce+pulse > twist+sparkle', description: 'intense!' },
+  morph: { sequence: 'expand > contract > morph+glow > expand+flash', description: 'transformation' },
+  rhythm: { sequence: 'pulse > pulse+sparkle > pulse+flicker', description: 'musical feel' },
+  spiral: { sequence: 'spin > orbital > twist > orbital+sparkle', description: 'rotational' },
+  routine: { sequence: 'nod > bounce > spin+sparkle > sway+pulse > nod+flash', description: 'full performance' },
+  radiance: { sequence: 'sparkle > pulse+flicker > shimmer', description: 'glowing' },
+  twinkle: { sequence: 'sparkle > flash > pulse+sparkle > shimmer+flicker', description: 'starry' },
+  stream: { sequence: 'wave > nod+pulse > sparkle > flash', description: 'flowing energy' }
+};
+
+export const CHAINS = Object.keys(CHAIN_DEFINITIONS);
+
+// Features that can be switched with TOGGLE: <feature> <on|off>
+export const TOGGLE_FEATURES = {
+  wobble: 'wobbly movement effect',
+  particles: 'particle system around mascot',
+  blinking: 'eye blink animation',
+  breathing: 'breathing animation',
+  autorotate: 'automatic camera rotation'
+};
+
+// Celestial features (moon and sun geometries only)
+export const MOON_PHASES = ['new', 'waxing-crescent', 'first-quarter', 'waxing-gibbous', 'full', 'waning-gibbous', 'last-quarter', 'waning-crescent'];
+
+export const SUN_ECLIPSES = {
+  off: 'normal sun',
+  annular: 'ring of fire',
+  total: 'complete eclipse'
+};
+
+export const MOON_ECLIPSES = {
+  off: 'normal moon',
+  partial: 'partial shadow',
+  total: 'blood moon - red glow'
+};
+
+// Side menu mood carousels - left: positive, right: negative/intense
+// Only emotions with an icon in public/assets/emotions/ belong here - any
+// others (added by the engine) are shown on the right with a fallback icon
+export const EMOTION_GROUPS = {
+  left: ['neutral', 'joy', 'love', 'excited', 'calm', 'euphoria'],
+  right: ['surprise', 'fear', 'sadness', 'disgust', 'anger', 'glitch']
+};
+
+/**
+ * Display label for a vocabulary value ('waxing-crescent' -> 'Waxing Crescent')
+ * @param {string} value
+ * @returns {string}
+ */
+export function vocabularyLabel(value) {
+  return value
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[-_\s]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Engine methods that report each list, newest name first (feature detected -
+// older engine builds have none of them and keep the static lists)
+const ENGINE_REPORTERS = {
+  emotions: ['getAvailableEmotions', 'getEmotions'],
+  undertones: ['getAvailableUndertones', 'getUndertones'],
+  geometries: ['getAvailableGeometries', 'getGeometries'],
+  presets: ['getAvailableSSSPresets', 'getSSSPresets'],
+  cameraPresets: ['getAvailableCameraPresets', 'getCameraPresets']
+};
+
+/**
+ * Narrow the registry to what the running engine supports
+ *
+ * Values the engine doesn't report are dropped; values it reports that we
+ * don't know yet are appended. Known values keep the registry order (the UI
+ * depends on it). An empty or missing report leaves a list untouched.
+ *
+ * @param {Object} mascot - Initialized EmotiveMascot3D
+ * @returns {string[]} Names of the lists that changed
+ */
+export function syncVocabularyFromEngine(mascot) {
+  const changed = [];
+
+  for (const [name, methods] of Object.entries(ENGINE_REPORTERS)) {
+    const method = methods.find(m => typeof mascot?.[m] === 'function');
+    if (!method) continue;
+
+    let reported;
+    try {
+      reported = mascot[method]();
+    } catch (error) {
+      console.warn(`[Vocabulary] ${method}() failed, keeping static ${name}:`, error.message);
+      continue;
+    }
+    if (!Array.isArray(reported)) continue;
+
+    // Some builds report { name } objects instead of plain strings
+    reported = reported
+      .map(value => (typeof value === 'string' ? value : value?.name || value?.id))
+      .filter(value => typeof value === 'string' && value);
+    if (!reported.length) continue;
+
+    const list = VOCABULARY[name];
+    const next = [
+      ...list.filter(value => reported.includes(value)),
+      ...reported.filter(value => !list.includes(value))
+    ];
+    if (next.length === list.length && next.every((value, i) => value === list[i])) continue;
+
+    list.splice(0, list.length, ...next);
+    changed.push(name);
+  }
+
+  if (changed.length) {
+    console.log(`[Vocabulary] Synced from engine: ${changed.join(', ')}`);
+  }
+  return changed;
+}
+
+/**
+ * Everything above in one object - handy for passing to buildSystemPrompt()
+ */
+export const VOCABULARY = {
+  emotions: EMOTIONS,
+  undertones: UNDERTONES,
+  geometries: GEOMETRIES,
+  presets: PRESETS,
+  cameraPresets: CAMERA_PRESETS,
+  gestures: GESTURES,
+  chains: CHAIN_DEFINITIONS,
+  toggleFeatures: TOGGLE_FEATURES,
+  moonPhases: MOON_PHASES,
+  sunEclipses: SUN_ECLIPSES,
+  moonEclipses: MOON_ECLIPSES
+};
+
+export default VOCABULARY;
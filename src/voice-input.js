@@ -131,6 +131,22 @@ export class VoiceInput {
     }
   }
 
+  /**
+   * Stop listening and discard anything heard (no onResult)
+   */
+  abort() {
+    if (!this.recognition || !this.isListening) return;
+
+    try {
+      this.recognition.abort();
+      console.log('Listening aborted');
+    } catch (error) {
+      console.error('Failed to abort recognition:', error);
+    }
+    this.isListening = false;
+    this.recognition = null;
+  }
+
   isSupported() {
     return !!this.SpeechRecognition;
   }